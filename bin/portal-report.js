@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Link report for an exported portal list (portals.txt), without the browser.
+//
+//   node bin/portal-report.js portals.txt [--json] [--rules java-1.18] [--out report.txt] [--check]
+//
+// --check exits with status 1 when any portal has a problem, so a bot can
+// flag a broken shared list. Bad arguments or an unreadable file exit with 2.
+
+const fs = require("fs");
+const path = require("path");
+const engine = require("../portal-engine.js");
+
+const USAGE =
+  "Usage: portal-report <portals.txt> [--json] [--rules <profile>] [--out <file>] [--check]\n" +
+  `Rules profiles: ${Object.keys(engine.RULES_PROFILES).join(", ")}`;
+
+class UsageError extends Error {}
+
+// ---- Arguments ----
+
+function parseArgs(argv) {
+  const options = { file: null, json: false, rules: null, out: null, check: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case "--json":
+        options.json = true;
+        break;
+      case "--check":
+        options.check = true;
+        break;
+      case "--rules":
+      case "--out":
+        if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value.`);
+        options[arg.slice(2)] = argv[++i];
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) throw new UsageError(`Unknown option ${arg}.`);
+        if (options.file) throw new UsageError("Only one portal file can be checked at a time.");
+        options.file = arg;
+    }
+  }
+
+  if (!options.help && !options.file) throw new UsageError("No portal file given.");
+  if (options.rules && !engine.RULES_PROFILES[options.rules]) {
+    throw new UsageError(`Unknown rules profile "${options.rules}".`);
+  }
+
+  return options;
+}
+
+// ---- Report ----
+
+// Problems worth a bot's attention, one { code, message } each
+function findPortalProblems(portal) {
+  const problems = [];
+  const { closest, target } = portal;
+
+  if (!engine.getPortalFrameBounds(portal)) {
+    problems.push({ code: "no-coordinates", message: "has no coordinates" });
+    return problems;
+  }
+
+  if (closest.name == null) {
+    problems.push({ code: "no-link", message: "links to no portal, the game will build a new one" });
+  } else if (closest.others && closest.others.length > 0) {
+    const names = closest.others.map((other) => other.name).join(", ");
+    problems.push({ code: "split", message: `part of the frame links to ${names} instead of ${closest.name}` });
+  }
+
+  if (portal.destination || portal.destinationId) {
+    if (target.name == null) {
+      problems.push({ code: "missing-destination", message: `destination "${portal.destination}" does not exist` });
+    } else if (target.distance === "Cannot Reach") {
+      problems.push({ code: "cannot-reach", message: `cannot reach ${target.name}` });
+    } else if (closest.name != null && closest.index !== target.index) {
+      problems.push({ code: "mislinked", message: `links to ${closest.name}, not to ${target.name}` });
+    }
+  }
+
+  return problems;
+}
+
+function buildReport(result, rulesKey) {
+  const profile = engine.getRulesProfile(rulesKey);
+  const { portals } = engine.computeNetwork(result.portals, profile);
+
+  const entries = portals.map((portal, index) => {
+    const { travel, closest, target, generated } = portal;
+
+    return {
+      index: index + 1,
+      id: portal.id,
+      name: portal.name,
+      destination: portal.destination,
+      destinationId: portal.destinationId,
+      world: portal.world,
+      x: portal.x,
+      y: portal.y,
+      z: portal.z,
+      frame: portal.frame,
+      travel: travel.x == null ? null : travel,
+      closest: closest.name == null ? null : closest,
+      target: target.name == null ? null : target,
+      generated: generated ? { x: generated.x, y: generated.y, z: generated.z, world: generated.world } : null,
+      problems: findPortalProblems(portal),
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    rulesProfile: rulesKey,
+    fileSchemaVersion: result.header.schemaVersion,
+    fileAppVersion: result.header.appVersion,
+    portalCount: entries.length,
+    problemCount: entries.reduce((sum, entry) => sum + entry.problems.length, 0),
+    repaired: result.repaired,
+    rejected: result.rejected,
+    portals: entries,
+  };
+}
+
+// ---- Text Output ----
+
+function formatRange(min, max) {
+  return min === max ? `${min}` : `${min}..${max}`;
+}
+
+function formatDistanceRange(min, max) {
+  if (max == null || max.toFixed(2) === min.toFixed(2)) return min.toFixed(2);
+  return `${min.toFixed(2)}–${max.toFixed(2)}`;
+}
+
+function formatPortalLine(entry) {
+  const label = entry.name || "(unnamed)";
+  const where = entry.x == null ? "no coordinates" : `${entry.x} / ${entry.y} / ${entry.z}`;
+  return `#${entry.index} ${label} (${entry.world} ${where})`;
+}
+
+function formatTextReport(report) {
+  const profile = engine.getRulesProfile(report.rulesProfile);
+  const lines = [
+    `Portal link report: ${report.portalCount} portal${report.portalCount === 1 ? "" : "s"}, ` +
+      `${profile.label} rules, ${report.problemCount} problem${report.problemCount === 1 ? "" : "s"}`,
+  ];
+
+  [...report.repaired, ...report.rejected].forEach(({ entry, label, issues }) => {
+    const rejected = report.rejected.some((r) => r.entry === entry);
+    lines.push(`  file entry ${entry}${label ? ` (${label})` : ""} ${rejected ? "rejected" : "repaired"}: ${issues.join(", ")}`);
+  });
+
+  report.portals.forEach((entry) => {
+    lines.push("", formatPortalLine(entry));
+
+    if (entry.travel) {
+      const { min, max, world } = entry.travel;
+      lines.push(`  travel   ${formatRange(min.x, max.x)} / ${formatRange(min.y, max.y)} / ${formatRange(min.z, max.z)} ${world}`);
+    }
+    if (entry.closest) {
+      lines.push(`  closest  ${entry.closest.name} (${formatDistanceRange(entry.closest.distance, entry.closest.maxDistance)})`);
+    } else if (entry.generated) {
+      const g = entry.generated;
+      lines.push(`  closest  none, new portal near ${g.x} / ${g.y} / ${g.z} ${g.world}`);
+    }
+    if (entry.target) {
+      const reach = entry.target.distance === "Cannot Reach"
+        ? "Cannot Reach"
+        : formatDistanceRange(entry.target.distance, entry.target.maxDistance);
+      lines.push(`  target   ${entry.target.name} (${reach})`);
+    }
+
+    entry.problems.forEach((problem) => lines.push(`  ! ${problem.message}`));
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// ---- Main ----
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let result;
+  try {
+    const text = fs.readFileSync(path.resolve(options.file), "utf8");
+    result = engine.validatePortalData(JSON.parse(text));
+  } catch (err) {
+    console.error(`Cannot read ${options.file}: ${err.message}`);
+    return 2;
+  }
+
+  const rulesKey = options.rules || result.header.rulesProfile || engine.DEFAULT_RULES_PROFILE;
+  const report = buildReport(result, rulesKey);
+  const output = options.json ? JSON.stringify(report, null, 2) + "\n" : formatTextReport(report);
+
+  if (options.out) {
+    try {
+      fs.writeFileSync(options.out, output);
+    } catch (err) {
+      console.error(`Cannot write ${options.out}: ${err.message}`);
+      return 2;
+    }
+  } else {
+    process.stdout.write(output);
+  }
+
+  return options.check && report.problemCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { buildReport, formatTextReport, findPortalProblems };
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+// Reference server for team sync: one shared portal list per name, kept in a
+// JSON file. Uses only Node's standard library.
+//
+//   node bin/sync-server.js [--port 8787] [--data sync-data.json] [--token secret]
+//
+// Every portal is stored on its own with a revision number. A client sends the
+// revision it last saw with each change; if someone else changed that portal
+// since, the change is refused and the current version sent back as a conflict.
+//
+//   GET  /lists/<name>?since=<revision>   portals changed after that revision
+//   POST /lists/<name>/changes            { user, changes: [{ id, baseRevision, portal | null }] }
+//   GET  /lists/<name>/events             server-sent events, one "revision" event per change
+//
+// With --token, requests need "Authorization: Bearer <token>" or ?token=<token>
+// (browsers cannot set headers on an event stream).
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const engine = require("../portal-engine.js");
+
+const USAGE = "Usage: sync-server [--port <port>] [--data <file>] [--token <token>]";
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_DATA_FILE = "sync-data.json";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const EVENT_PING_MS = 25000;
+const LIST_NAME = /^[\w-]{1,64}$/;
+
+// Keys that would reach Object.prototype; never list names or portal ids
+const RESERVED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+class UsageError extends Error {}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ---- Arguments ----
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, data: DEFAULT_DATA_FILE, token: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case "--port":
+      case "--data":
+      case "--token":
+        if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value.`);
+        options[arg.slice(2)] = argv[++i];
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        throw new UsageError(`Unknown argument ${arg}.`);
+    }
+  }
+
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new UsageError("--port must be a port number.");
+  }
+
+  return options;
+}
+
+// ---- Storage ----
+
+function isReservedKey(key) {
+  return RESERVED_KEYS.has(key);
+}
+
+// Lists and entries are keyed by user input, so they have no prototype
+function createDictionary(source) {
+  const dictionary = Object.create(null);
+  if (!source || typeof source !== "object") return dictionary;
+
+  Object.keys(source).forEach((key) => {
+    if (!isReservedKey(key)) dictionary[key] = source[key];
+  });
+  return dictionary;
+}
+
+function loadStore(file) {
+  if (!fs.existsSync(file)) return { lists: createDictionary() };
+
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || typeof data.lists !== "object") throw new Error(`${file} is not a sync data file.`);
+
+  const lists = createDictionary(data.lists);
+  Object.keys(lists).forEach((name) => {
+    const list = lists[name] || {};
+    lists[name] = { revision: Number(list.revision) || 0, entries: createDictionary(list.entries) };
+  });
+  return { lists };
+}
+
+// Written to a temporary file first, so a crash never leaves half a file
+function saveStore(file, store) {
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store));
+  fs.renameSync(temp, file);
+}
+
+function getList(store, name) {
+  if (!Object.hasOwn(store.lists, name)) store.lists[name] = { revision: 0, entries: createDictionary() };
+  return store.lists[name];
+}
+
+// ---- Changes ----
+
+// The stored form of a portal, or null for a deletion; the client compares
+// these as JSON, so they must come from serializePortal
+function normalizeChangePortal(change) {
+  if (change.portal === null) return null;
+
+  const { portal } = engine.validatePortalEntry(change.portal);
+  if (!portal || portal.id !== change.id) return undefined;
+  return engine.serializePortal(portal);
+}
+
+function applyChanges(list, user, changes) {
+  const results = [];
+
+  changes.forEach((change) => {
+    if (!change || typeof change.id !== "string" || change.id === "" || isReservedKey(change.id)) {
+      results.push({ id: null, status: "invalid" });
+      return;
+    }
+
+    const portal = normalizeChangePortal(change);
+    if (portal === undefined) {
+      results.push({ id: change.id, status: "invalid" });
+      return;
+    }
+
+    const current = Object.hasOwn(list.entries, change.id) ? list.entries[change.id] : null;
+    const currentRevision = current ? current.revision : 0;
+
+    if (change.baseRevision !== currentRevision) {
+      // Someone else got there first; the same content is still fine
+      const same = current && JSON.stringify(current.portal) === JSON.stringify(portal);
+      results.push(same
+        ? { id: change.id, status: "ok", revision: currentRevision }
+        : { id: change.id, status: "conflict", current: current || null });
+      return;
+    }
+
+    list.revision++;
+    list.entries[change.id] = {
+      id: change.id,
+      revision: list.revision,
+      portal,
+      updatedBy: user,
+      updatedAt: new Date().toISOString(),
+    };
+    results.push({ id: change.id, status: "ok", revision: list.revision });
+  });
+
+  return results;
+}
+
+function getChangesSince(list, since) {
+  return Object.values(list.entries)
+    .filter((entry) => entry.revision > since)
+    .sort((a, b) => a.revision - b.revision);
+}
+
+// ---- HTTP ----
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(new HttpError(400, "Body is not valid JSON."));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req, url, token) {
+  if (!token) return true;
+  return req.headers.authorization === `Bearer ${token}` || url.searchParams.get("token") === token;
+}
+
+function createSyncServer({ dataFile, token = null }) {
+  const store = loadStore(dataFile);
+  const listeners = new Map();
+
+  const notify = (name, revision) => {
+    (listeners.get(name) || new Set()).forEach((res) => {
+      res.write(`event: revision\ndata: ${JSON.stringify({ revision })}\n\n`);
+    });
+  };
+
+  const openEventStream = (req, res, name, list) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(`event: revision\ndata: ${JSON.stringify({ revision: list.revision })}\n\n`);
+
+    if (!listeners.has(name)) listeners.set(name, new Set());
+    listeners.get(name).add(res);
+
+    // Comments keep proxies from closing a quiet stream
+    const ping = setInterval(() => res.write(": ping\n\n"), EVENT_PING_MS);
+    req.on("close", () => {
+      clearInterval(ping);
+      listeners.get(name).delete(res);
+    });
+  };
+
+  const handle = async (req, res) => {
+    // The page is served from elsewhere (GitHub Pages or a file)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/lists\/([^/]+)(\/changes|\/events)?$/);
+    if (!match) throw new HttpError(404, "Not found.");
+    if (!isAuthorized(req, url, token)) throw new HttpError(401, "Wrong or missing token.");
+
+    const name = decodeURIComponent(match[1]);
+    if (!LIST_NAME.test(name) || isReservedKey(name)) {
+      throw new HttpError(400, "List names are letters, digits, - and _.");
+    }
+
+    const list = getList(store, name);
+    const route = `${req.method} ${match[2] || ""}`;
+
+    if (route === "GET ") {
+      const since = Number(url.searchParams.get("since")) || 0;
+      sendJson(res, 200, { revision: list.revision, entries: getChangesSince(list, since) });
+    } else if (route === "GET /events") {
+      openEventStream(req, res, name, list);
+    } else if (route === "POST /changes") {
+      const body = await readJsonBody(req);
+      if (!body || !Array.isArray(body.changes)) throw new HttpError(400, "Expected { changes: [...] }.");
+
+      const user = typeof body.user === "string" ? body.user.slice(0, 64) : "";
+      const before = list.revision;
+      const results = applyChanges(list, user, body.changes);
+
+      if (list.revision !== before) {
+        saveStore(dataFile, store);
+        notify(name, list.revision);
+      }
+      sendJson(res, 200, { revision: list.revision, results });
+    } else {
+      throw new HttpError(405, "Method not allowed.");
+    }
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!(err instanceof HttpError)) console.error(err);
+      if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message });
+      else res.end();
+    });
+  });
+}
+
+// ---- Main ----
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let server;
+  const dataFile = path.resolve(options.data);
+  try {
+    server = createSyncServer({ dataFile, token: options.token });
+  } catch (err) {
+    console.error(`Cannot read ${options.data}: ${err.message}`);
+    return 2;
+  }
+
+  server.listen(options.port, () => {
+    console.log(`Portal sync server on http://localhost:${server.address().port}, data in ${dataFile}`);
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  const code = main(process.argv.slice(2));
+  if (code !== 0) process.exitCode = code;
+}
+
+module.exports = { createSyncServer, applyChanges, getChangesSince };
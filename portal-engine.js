@@ -0,0 +1,1288 @@
+// Nether Portal Linker calculation engine.
+//
+// Coordinate conversion, frame geometry, closest/target portal search, new
+// portal prediction, step-by-step link explanations and the portal file
+// format, with no DOM access. The page loads it with a <script> tag
+// (window.PortalEngine), Node with require().
+//
+// Anything that depends on the linking rules takes a rules profile (one of
+// RULES_PROFILES). Anything that searches the network takes a context
+// { portals, profile } instead of reading the page's portal list.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PortalEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---- Config & Data Model ----
+
+  // Portal list format: bump SCHEMA_VERSION and add a step to SCHEMA_MIGRATIONS
+  // whenever existing data has to be converted. New optional fields that default
+  // to null when missing do not need a migration.
+  const SCHEMA_VERSION = 3;
+  const FILE_FORMAT_ID = "nether-portal-linker";
+
+  const WORLD_OVERWORLD = "Overworld";
+  const WORLD_NETHER = "Nether";
+
+  const AXIS_X = "x";
+  const AXIS_Z = "z";
+
+  // Portal block counts inside the obsidian frame (frame itself is up to 23x23)
+  const MIN_PORTAL_WIDTH = 2;
+  const MAX_PORTAL_WIDTH = 21;
+  const MIN_PORTAL_HEIGHT = 3;
+  const MAX_PORTAL_HEIGHT = 21;
+
+  // Which corner portal block the stored x/y/z points at.
+  // "min"/"max" is the low/high end along the frame axis.
+  const FRAME_ANCHORS = ["bottom-min", "bottom-max", "top-min", "top-max"];
+
+  // User tags such as "shop" or "player: Alex"
+  const MAX_TAG_LENGTH = 32;
+  const MAX_TAGS_PER_PORTAL = 12;
+
+  // ---- Linking Rules Profiles ----
+  //
+  // Everything the calculations need to know about how a given edition/version
+  // links portals. searchRange is the half-size of the horizontal search square
+  // (every profile searches the whole height), buildLimits clamp exit points
+  // into the world, rounding is how Overworld coordinates are scaled down,
+  // tieBreak settles portals at equal distance.
+  // worldBorder, logicalHeight and generation describe where a new portal is
+  // built when nothing links.
+
+  const WORLD_BORDER = { [WORLD_OVERWORLD]: 29999984, [WORLD_NETHER]: 3749998 };
+
+  const PORTAL_GENERATION = {
+    searchRadius: 16,
+    platformMinY: 70,
+    platformTopMargin: 10,
+  };
+
+  const RULES_PROFILES = {
+    "java-1.18": {
+      label: "Java 1.18+",
+      edition: "Java",
+      netherScale: 8,
+      rounding: "floor",
+      searchRange: { [WORLD_OVERWORLD]: 128, [WORLD_NETHER]: 16 },
+      buildLimits: {
+        [WORLD_OVERWORLD]: { minY: -64, maxY: 319 },
+        [WORLD_NETHER]: { minY: 0, maxY: 255 },
+      },
+      tieBreak: "lowest-y",
+      worldBorder: WORLD_BORDER,
+      logicalHeight: { [WORLD_OVERWORLD]: 384, [WORLD_NETHER]: 128 },
+      generation: PORTAL_GENERATION,
+    },
+    "java-1.16": {
+      label: "Java 1.16–1.17",
+      edition: "Java",
+      netherScale: 8,
+      rounding: "floor",
+      searchRange: { [WORLD_OVERWORLD]: 128, [WORLD_NETHER]: 16 },
+      buildLimits: {
+        [WORLD_OVERWORLD]: { minY: 0, maxY: 255 },
+        [WORLD_NETHER]: { minY: 0, maxY: 255 },
+      },
+      tieBreak: "lowest-y",
+      worldBorder: WORLD_BORDER,
+      logicalHeight: { [WORLD_OVERWORLD]: 256, [WORLD_NETHER]: 128 },
+      generation: PORTAL_GENERATION,
+    },
+    "java-1.13": {
+      label: "Java 1.13–1.15",
+      edition: "Java",
+      netherScale: 8,
+      rounding: "floor",
+      searchRange: { [WORLD_OVERWORLD]: 128, [WORLD_NETHER]: 128 },
+      buildLimits: {
+        [WORLD_OVERWORLD]: { minY: 0, maxY: 255 },
+        [WORLD_NETHER]: { minY: 0, maxY: 255 },
+      },
+      tieBreak: "first",
+      worldBorder: WORLD_BORDER,
+      logicalHeight: { [WORLD_OVERWORLD]: 256, [WORLD_NETHER]: 128 },
+      generation: PORTAL_GENERATION,
+    },
+    "bedrock-1.18": {
+      label: "Bedrock 1.18+",
+      edition: "Bedrock",
+      netherScale: 8,
+      rounding: "truncate",
+      searchRange: { [WORLD_OVERWORLD]: 128, [WORLD_NETHER]: 16 },
+      buildLimits: {
+        [WORLD_OVERWORLD]: { minY: -64, maxY: 319 },
+        [WORLD_NETHER]: { minY: 0, maxY: 127 },
+      },
+      tieBreak: "first",
+      worldBorder: WORLD_BORDER,
+      logicalHeight: { [WORLD_OVERWORLD]: 384, [WORLD_NETHER]: 128 },
+      generation: PORTAL_GENERATION,
+    },
+    "bedrock-1.16": {
+      label: "Bedrock 1.16–1.17",
+      edition: "Bedrock",
+      netherScale: 8,
+      rounding: "truncate",
+      searchRange: { [WORLD_OVERWORLD]: 128, [WORLD_NETHER]: 16 },
+      buildLimits: {
+        [WORLD_OVERWORLD]: { minY: 0, maxY: 255 },
+        [WORLD_NETHER]: { minY: 0, maxY: 127 },
+      },
+      tieBreak: "first",
+      worldBorder: WORLD_BORDER,
+      logicalHeight: { [WORLD_OVERWORLD]: 256, [WORLD_NETHER]: 128 },
+      generation: PORTAL_GENERATION,
+    },
+  };
+
+  const DEFAULT_RULES_PROFILE = "java-1.18";
+
+  // ---- Portal Factory & Validation ----
+
+  function createBlankFrame() {
+    return {
+      axis: AXIS_X,
+      width: MIN_PORTAL_WIDTH,
+      height: MIN_PORTAL_HEIGHT,
+      anchor: FRAME_ANCHORS[0],
+    };
+  }
+
+  // Random id that stays with a portal through renames and reordering.
+  // Uniqueness inside one list is enforced by assignUniqueIds.
+  function createPortalId() {
+    return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // destinationId is the link; destination is the target's name for display,
+  // or the text typed/imported while it matches no portal yet
+  function createBlankPortal() {
+    return {
+      id: createPortalId(),
+      name: "",
+      destination: "",
+      destinationId: null,
+      x: null,
+      y: null,
+      z: null,
+      world: WORLD_OVERWORLD,
+      frame: createBlankFrame(),
+      color: null,
+      tags: [],
+      travel: { x: null, y: null, z: null, world: null },
+      closest: { name: null, distance: null },
+      target: { name: null, distance: null },
+      generated: null,
+    };
+  }
+
+  function clampInt(value, min, max, fallback) {
+    if (!Number.isFinite(value)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(value)));
+  }
+
+  function sanitizeFrame(raw) {
+    const blank = createBlankFrame();
+    if (!raw || typeof raw !== "object") return blank;
+
+    return {
+      axis: raw.axis === AXIS_Z ? AXIS_Z : AXIS_X,
+      width: clampInt(raw.width, MIN_PORTAL_WIDTH, MAX_PORTAL_WIDTH, blank.width),
+      height: clampInt(raw.height, MIN_PORTAL_HEIGHT, MAX_PORTAL_HEIGHT, blank.height),
+      anchor: FRAME_ANCHORS.includes(raw.anchor) ? raw.anchor : blank.anchor,
+    };
+  }
+
+  // "#abc" / "ABCDEF" / "#aabbcc" -> "#aabbcc", anything else -> null
+  function normalizeHexColor(value) {
+    if (typeof value !== "string") return null;
+
+    const match = value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+
+    let hex = match[1].toLowerCase();
+    if (hex.length === 3) hex = hex.split("").map((c) => c + c).join("");
+    return `#${hex}`;
+  }
+
+  // Trimmed, single-spaced and length-limited; "" when nothing is left
+  function normalizeTag(value) {
+    if (typeof value !== "string") return "";
+    return value.trim().replace(/\s+/g, " ").slice(0, MAX_TAG_LENGTH);
+  }
+
+  // Tags compare case-insensitively, the first spelling is kept
+  function normalizeTagList(values) {
+    const tags = [];
+    const seen = new Set();
+
+    values.forEach((value) => {
+      const tag = normalizeTag(value);
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key) || tags.length >= MAX_TAGS_PER_PORTAL) return;
+
+      seen.add(key);
+      tags.push(tag);
+    });
+
+    return tags;
+  }
+
+  // Tag colours are kept per network as { tag: "#rrggbb" }
+  function sanitizeTagColors(raw) {
+    const colors = {};
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return colors;
+
+    Object.entries(raw).forEach(([tag, value]) => {
+      const name = normalizeTag(tag);
+      const color = normalizeHexColor(value);
+      if (name && color) colors[name] = color;
+    });
+
+    return colors;
+  }
+
+  // Checks one stored/imported entry field by field. Returns the repaired portal
+  // (null when the entry cannot be used at all) and a note per repair made.
+  // Computed fields (travel/closest/target) are never trusted, they are rebuilt.
+  function validatePortalEntry(raw) {
+    const issues = [];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { portal: null, issues: ["not a portal entry"] };
+    }
+
+    const portal = createBlankPortal();
+
+    ["id", "destinationId"].forEach((key) => {
+      const value = raw[key];
+      if (value == null) return;
+
+      if (typeof value === "string" && value !== "") {
+        portal[key] = value;
+      } else {
+        issues.push(`${key} is not valid, ${key === "id" ? "given a new one" : "cleared"}`);
+      }
+    });
+
+    ["name", "destination"].forEach((key) => {
+      const value = raw[key];
+      if (value == null) return;
+
+      if (typeof value === "string") {
+        portal[key] = value;
+      } else if (typeof value === "number" || typeof value === "boolean") {
+        portal[key] = String(value);
+        issues.push(`${key} converted to text`);
+      } else {
+        issues.push(`${key} is not text, cleared`);
+      }
+    });
+
+    const border = WORLD_BORDER[WORLD_OVERWORLD];
+
+    ["x", "y", "z"].forEach((key) => {
+      const value = raw[key];
+      if (value == null || value === "") return;
+
+      const num = typeof value === "string" ? Number(value.trim()) : value;
+
+      if (typeof num !== "number" || !Number.isFinite(num)) {
+        issues.push(`${key} "${value}" is not a number, cleared`);
+        return;
+      }
+
+      if (Math.abs(num) > border) {
+        issues.push(`${key} ${num} is outside the world, cleared`);
+        return;
+      }
+
+      portal[key] = num;
+      if (typeof value === "string") issues.push(`${key} converted from text`);
+    });
+
+    if (raw.world === WORLD_OVERWORLD || raw.world === WORLD_NETHER) {
+      portal.world = raw.world;
+    } else if (raw.world != null) {
+      issues.push(`unknown world "${raw.world}", using ${WORLD_OVERWORLD}`);
+    }
+
+    if (raw.color != null) {
+      const color = normalizeHexColor(raw.color);
+      if (color) portal.color = color;
+      else issues.push(`color "${raw.color}" is not a hex colour, cleared`);
+    }
+
+    if (raw.tags != null) {
+      if (Array.isArray(raw.tags)) {
+        portal.tags = normalizeTagList(raw.tags);
+        if (portal.tags.length !== raw.tags.length) issues.push("tags tidied");
+      } else {
+        issues.push("tags are not a list, cleared");
+      }
+    }
+
+    if (raw.frame != null) {
+      portal.frame = sanitizeFrame(raw.frame);
+
+      if (typeof raw.frame !== "object") {
+        issues.push("frame is not an object, using the default");
+      } else {
+        const changed = Object.keys(portal.frame).filter((key) =>
+          raw.frame[key] !== undefined && portal.frame[key] !== raw.frame[key]
+        );
+        if (changed.length > 0) issues.push(`frame ${changed.join("/")} repaired`);
+      }
+    }
+
+    return { portal, issues };
+  }
+
+  // Only user-entered fields are stored, everything else is recalculated on load
+  function serializePortal(portal) {
+    return {
+      id: portal.id,
+      name: portal.name,
+      destination: portal.destination,
+      destinationId: portal.destinationId,
+      x: portal.x,
+      y: portal.y,
+      z: portal.z,
+      world: portal.world,
+      frame: { ...portal.frame },
+      color: portal.color,
+      tags: [...portal.tags],
+    };
+  }
+
+  // ---- Schema Versions & Migrations ----
+
+  // Each step takes data at version N and returns data at version N + 1
+  const SCHEMA_MIGRATIONS = {
+    // v1: bare array of portals (portalListData_v1 and early portals.txt exports)
+    1: (data) => ({
+      schemaVersion: 2,
+      portals: data.map((raw) =>
+        raw && typeof raw === "object" && raw.frame == null ? { ...raw, frame: createBlankFrame() } : raw
+      ),
+    }),
+    // v2: destinations were names. Give every portal an id and point each
+    // destination at the first portal with that name, as the name lookup did.
+    2: (data) => {
+      const portals = data.portals.map((raw) =>
+        raw && typeof raw === "object" && !Array.isArray(raw) ? { ...raw, id: createPortalId() } : raw
+      );
+      resolveDestinations(portals.filter((raw) => raw && raw.id));
+
+      return { ...data, schemaVersion: 3, portals };
+    },
+  };
+
+  function detectSchemaVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (data && typeof data === "object" && Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+    return null;
+  }
+
+  // Brings any known version up to SCHEMA_VERSION, keeping header fields as they are
+  function migrateData(data) {
+    let version = detectSchemaVersion(data);
+
+    if (version == null) {
+      throw new Error("This is not a portal list file.");
+    }
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`This file was made by a newer version of the tool (schema ${version}). Reload the page to update it.`);
+    }
+
+    let current = data;
+    while (version < SCHEMA_VERSION) {
+      const migrate = SCHEMA_MIGRATIONS[version];
+      if (!migrate) throw new Error(`No migration from schema ${version}.`);
+
+      // v1 is the bare array, later versions keep it in "portals"
+      const list = version === 1 ? current : current.portals;
+      if (!Array.isArray(list)) throw new Error("The file has no portal list.");
+
+      current = migrate(current);
+      version = current.schemaVersion;
+    }
+
+    if (!Array.isArray(current.portals)) {
+      throw new Error("The file has no portal list.");
+    }
+
+    return current;
+  }
+
+  // Migrates and validates parsed data, reporting what was repaired or rejected
+  function validatePortalData(data) {
+    const schemaVersion = detectSchemaVersion(data);
+    const migrated = migrateData(data);
+
+    const accepted = [];
+    const checked = [];
+    const rejected = [];
+
+    migrated.portals.forEach((raw, i) => {
+      const { portal, issues } = validatePortalEntry(raw);
+      const label = raw && typeof raw.name === "string" ? raw.name : "";
+
+      if (!portal) {
+        rejected.push({ entry: i + 1, label, issues });
+        return;
+      }
+
+      accepted.push(portal);
+      checked.push({ entry: i + 1, label, issues });
+    });
+
+    assignUniqueIds(accepted).forEach((i) => checked[i].issues.push("duplicate id, given a new one"));
+    const repaired = checked.filter((item) => item.issues.length > 0);
+
+    return {
+      portals: accepted,
+      header: {
+        schemaVersion,
+        appVersion: typeof migrated.appVersion === "string" ? migrated.appVersion : null,
+        rulesProfile: RULES_PROFILES[migrated.rulesProfile] ? migrated.rulesProfile : null,
+        tagColors: sanitizeTagColors(migrated.tagColors),
+      },
+      repaired,
+      rejected,
+    };
+  }
+
+  // ---- Destination References ----
+
+  function getDestinationPortal(portal, portals) {
+    if (!portal.destinationId) return null;
+    return portals.find((p) => p.id === portal.destinationId) || null;
+  }
+
+  // Keeps destination names in step with renamed targets, and links typed or
+  // imported names to the first portal with that name once one exists
+  function resolveDestinations(portals, candidates = portals) {
+    portals.forEach((portal) => {
+      if (portal.destinationId) {
+        const target = getDestinationPortal(portal, candidates);
+        if (target && typeof target.name === "string") portal.destination = target.name;
+        return;
+      }
+
+      if (typeof portal.destination !== "string" || portal.destination === "") return;
+
+      const target = candidates.find((p) => p !== portal && p.id && p.name === portal.destination);
+      if (target) portal.destinationId = target.id;
+    });
+
+    return portals;
+  }
+
+  // Gives a fresh id to portals whose id is missing, repeated, or already used by
+  // one of `existing`. Destinations inside the list follow a portal that had to
+  // move off an existing id. Returns the indices of the portals that changed.
+  function assignUniqueIds(portals, existing = []) {
+    const existingIds = new Set(existing.map((p) => p.id));
+    const taken = new Set(existingIds);
+    const moved = new Map();
+    const changed = [];
+
+    portals.forEach((portal, index) => {
+      if (portal.id && !taken.has(portal.id)) {
+        taken.add(portal.id);
+        return;
+      }
+
+      const fresh = createPortalId();
+      if (existingIds.has(portal.id) && !moved.has(portal.id)) moved.set(portal.id, fresh);
+      if (portal.id) changed.push(index);
+
+      portal.id = fresh;
+      taken.add(fresh);
+    });
+
+    portals.forEach((portal) => {
+      if (moved.has(portal.destinationId)) portal.destinationId = moved.get(portal.destinationId);
+    });
+
+    return changed;
+  }
+
+  // ---- Math Helpers ----
+
+  function roundCoord(value, rounding) {
+    return rounding === "truncate" ? Math.trunc(value) : Math.floor(value);
+  }
+
+  function convertCoords(x, z, fromWorld, toWorld, profile) {
+    if (x == null || z == null) return { x: null, z: null };
+
+    const { netherScale, rounding } = profile;
+
+    // Overworld → Nether divides, then rounds per profile (Java floors, Bedrock truncates)
+    if (fromWorld === WORLD_OVERWORLD && toWorld === WORLD_NETHER) {
+      return {
+        x: roundCoord(x / netherScale, rounding),
+        z: roundCoord(z / netherScale, rounding),
+      };
+    }
+
+    // Nether → Overworld uses multiply
+    if (fromWorld === WORLD_NETHER && toWorld === WORLD_OVERWORLD) {
+      return {
+        x: x * netherScale,
+        z: z * netherScale,
+      };
+    }
+
+    return { x, z };
+  }
+
+  function distance3D(x1, y1, z1, x2, y2, z2) {
+    if ([x1, y1, z1, x2, y2, z2].some((v) => v == null)) return null;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const dz = z2 - z1;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  function getOtherWorld(world) {
+    return world === WORLD_OVERWORLD ? WORLD_NETHER : WORLD_OVERWORLD;
+  }
+
+  // Horizontal half-size of the square the game searches for an existing portal
+  function getSearchRange(world, profile) {
+    return profile.searchRange[world];
+  }
+
+  // Exit points outside the world height get pushed back inside it
+  function clampToBuildLimits(y, world, profile) {
+    if (y == null) return null;
+    const { minY, maxY } = profile.buildLimits[world];
+    return Math.min(maxY, Math.max(minY, y));
+  }
+
+  // ---- Portal Frame Geometry ----
+
+  // Block bounds of the portal blocks inside the frame (obsidian excluded)
+  function getPortalFrameBounds(portal) {
+    const { x, y, z } = portal;
+    if (x == null || y == null || z == null) return null;
+
+    const frame = portal.frame || createBlankFrame();
+    const along = frame.width - 1;
+    const up = frame.height - 1;
+    const fromHigh = frame.anchor.endsWith("max");
+    const fromTop = frame.anchor.startsWith("top");
+
+    const minY = fromTop ? y - up : y;
+    const bounds = { minX: x, maxX: x, minY, maxY: minY + up, minZ: z, maxZ: z };
+
+    if (frame.axis === AXIS_Z) {
+      bounds.minZ = fromHigh ? z - along : z;
+      bounds.maxZ = bounds.minZ + along;
+    } else {
+      bounds.minX = fromHigh ? x - along : x;
+      bounds.maxX = bounds.minX + along;
+    }
+
+    return bounds;
+  }
+
+  // The portal block of a frame nearest to a point, i.e. the one the game links to
+  function nearestFrameBlock(bounds, point) {
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    return {
+      x: clamp(point.x, bounds.minX, bounds.maxX),
+      y: clamp(point.y, bounds.minY, bounds.maxY),
+      z: clamp(point.z, bounds.minZ, bounds.maxZ),
+    };
+  }
+
+  // Nearest block of a frame and its distance, or null when the frame is outside the search area
+  function findFrameBlockInRange(other, point, world, profile) {
+    const bounds = getPortalFrameBounds(other);
+    if (!bounds) return null;
+
+    const block = nearestFrameBlock(bounds, point);
+    const maxRange = getSearchRange(world, profile);
+
+    // ---- STEP 1: Horizontal reachability (Minecraft-accurate) ----
+    const dx = Math.abs(block.x - point.x);
+    const dz = Math.abs(block.z - point.z);
+
+    // If outside the square search region → unreachable
+    if (dx > maxRange || dz > maxRange) return null;
+
+    // ---- STEP 2: 3D distance to the nearest portal block ----
+    const distance = distance3D(point.x, point.y, point.z, block.x, block.y, block.z);
+    if (distance == null) return null;
+
+    return { block, distance };
+  }
+
+  // Every distinct exit point of a portal, with how many entry blocks lead to it
+  function getTravelPoints(portal, profile) {
+    const bounds = getPortalFrameBounds(portal);
+    if (!bounds) return [];
+
+    const targetWorld = getOtherWorld(portal.world);
+    const points = new Map();
+
+    for (let bx = bounds.minX; bx <= bounds.maxX; bx++) {
+      for (let bz = bounds.minZ; bz <= bounds.maxZ; bz++) {
+        const converted = convertCoords(bx, bz, portal.world, targetWorld, profile);
+
+        for (let by = bounds.minY; by <= bounds.maxY; by++) {
+          const travelY = clampToBuildLimits(by, targetWorld, profile);
+          const key = `${converted.x},${travelY},${converted.z}`;
+          const existing = points.get(key);
+
+          if (existing) {
+            existing.blocks++;
+          } else {
+            points.set(key, { x: converted.x, y: travelY, z: converted.z, blocks: 1 });
+          }
+        }
+      }
+    }
+
+    return [...points.values()];
+  }
+
+  // Candidates come from the spatial index when the context has one, otherwise
+  // every portal is checked. They must be in list order so ties resolve the same.
+  function findClosestPortalTo(point, world, excludeIndex, context, candidates) {
+    const { portals, profile, spatialIndex } = context;
+    const { tieBreak } = profile;
+
+    if (!candidates && spatialIndex) {
+      const range = getSearchRange(world, profile);
+      candidates = queryFrames(spatialIndex, world, {
+        minX: point.x - range,
+        maxX: point.x + range,
+        minZ: point.z - range,
+        maxZ: point.z + range,
+      });
+    }
+
+    let best = null;
+    let bestDist = Infinity;
+    let bestY = Infinity;
+
+    (candidates || [...portals.keys()]).forEach((i) => {
+      const other = portals[i];
+      if (i === excludeIndex) return;
+      if (other.world !== world) return;
+
+      const hit = findFrameBlockInRange(other, point, world, profile);
+      if (!hit) return;
+
+      // Java prefers the lower portal when two are equally close
+      const wins = hit.distance < bestDist ||
+        (hit.distance === bestDist && tieBreak === "lowest-y" && hit.block.y < bestY);
+
+      if (wins) {
+        bestDist = hit.distance;
+        bestY = hit.block.y;
+        best = other;
+      }
+    });
+
+    return best ? { portal: best, distance: bestDist } : null;
+  }
+
+  // ---- Calculations per Portal ----
+
+  function computePortalTravelLocation(portal, profile) {
+    const { x, y, z, world } = portal;
+    const points = getTravelPoints(portal, profile);
+
+    if (points.length === 0) {
+      portal.travel = { x: null, y: null, z: null, world: null };
+      return;
+    }
+
+    const targetWorld = getOtherWorld(world);
+
+    // x/y/z is where the anchor block leads, min/max span the whole frame
+    const converted = convertCoords(x, z, world, targetWorld, profile);
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const zs = points.map((p) => p.z);
+
+    portal.travel = {
+      x: converted.x,
+      y: clampToBuildLimits(y, targetWorld, profile),
+      z: converted.z,
+      world: targetWorld,
+      min: { x: Math.min(...xs), y: Math.min(...ys), z: Math.min(...zs) },
+      max: { x: Math.max(...xs), y: Math.max(...ys), z: Math.max(...zs) },
+    };
+  }
+
+  function computeClosestPortal(portal, index, context) {
+    const { portals, profile } = context;
+    const points = getTravelPoints(portal, profile);
+
+    if (points.length === 0) {
+      portal.closest = { name: null, distance: null };
+      portal.generated = null;
+      return;
+    }
+
+    const targetWorld = getOtherWorld(portal.world);
+    const unlinkedPoints = [];
+    let totalBlocks = 0;
+    let unlinkedBlocks = 0;
+
+    // One index lookup covers the search squares of every exit point
+    const searchBounds = context.spatialIndex ? getSearchBounds(portal.travel, profile) : null;
+    const candidates = searchBounds ? queryFrames(context.spatialIndex, targetWorld, searchBounds) : null;
+
+    // One entry per distinct portal reached from some block of this frame
+    const links = new Map();
+
+    points.forEach((point) => {
+      totalBlocks += point.blocks;
+
+      const hit = findClosestPortalTo(point, targetWorld, index, context, candidates);
+      if (!hit) {
+        unlinkedBlocks += point.blocks;
+        unlinkedPoints.push(point);
+        return;
+      }
+
+      let link = links.get(hit.portal);
+      if (!link) {
+        link = { portal: hit.portal, blocks: 0, distance: Infinity, maxDistance: 0 };
+        links.set(hit.portal, link);
+      }
+
+      link.blocks += point.blocks;
+      link.distance = Math.min(link.distance, hit.distance);
+      link.maxDistance = Math.max(link.maxDistance, hit.distance);
+    });
+
+    portal.generated = predictGeneratedPortalFor(portal, unlinkedPoints, profile);
+
+    if (links.size === 0) {
+      portal.closest = { name: null, distance: null };
+      return;
+    }
+
+    // Report the portal most of the frame links to, keep the rest for warnings
+    const [primary, ...others] = [...links.values()].sort((a, b) => b.blocks - a.blocks);
+
+    portal.closest = {
+      name: primary.portal.name || "(unnamed)",
+      index: portals.indexOf(primary.portal),
+      distance: primary.distance,
+      maxDistance: primary.maxDistance,
+      blocks: primary.blocks,
+      totalBlocks,
+      unlinkedBlocks,
+      others: others.map((link) => ({
+        name: link.portal.name || "(unnamed)",
+        index: portals.indexOf(link.portal),
+        blocks: link.blocks,
+      })),
+    };
+  }
+
+  function computeTargetPortal(portal, context) {
+    const { portals, profile } = context;
+
+    const target = getDestinationPortal(portal, portals);
+
+    if (!target || !getPortalFrameBounds(target)) {
+      portal.target = { name: null, distance: null };
+      return;
+    }
+
+    // ---- STEP 1: Travel coords must exist ----
+    const points = getTravelPoints(portal, profile);
+    if (points.length === 0) {
+      portal.target = { name: target.name, distance: "Cannot Reach" };
+      return;
+    }
+
+    // ---- STEP 2: Must be same world (travel world vs target world) ----
+    const travelWorld = getOtherWorld(portal.world);
+    if (travelWorld !== target.world) {
+      portal.target = { name: target.name, distance: "Cannot Reach" };
+      return;
+    }
+
+    // ---- STEP 3: Reachability and distance from every exit point ----
+    let totalBlocks = 0;
+    let reachableBlocks = 0;
+    let minDist = Infinity;
+    let maxDist = 0;
+
+    points.forEach((point) => {
+      totalBlocks += point.blocks;
+
+      const hit = findFrameBlockInRange(target, point, travelWorld, profile);
+      if (!hit) return;
+
+      reachableBlocks += point.blocks;
+      minDist = Math.min(minDist, hit.distance);
+      maxDist = Math.max(maxDist, hit.distance);
+    });
+
+    if (reachableBlocks === 0) {
+      portal.target = { name: target.name, distance: "Cannot Reach" };
+      return;
+    }
+
+    portal.target = {
+      name: target.name,
+      index: portals.indexOf(target),
+      distance: minDist,
+      maxDistance: maxDist,
+      reachableBlocks,
+      totalBlocks,
+    };
+  }
+
+  // ---- Generated Portal Prediction ----
+
+  // Where the game builds a new portal for an exit point that links to nothing:
+  // it clamps to the world border and the usable height, looks for a spot within
+  // the search area and falls back to a forced obsidian platform.
+  function predictGeneratedPortal(point, world, profile) {
+    const { minY, maxY } = profile.buildLimits[world];
+    const logicalHeight = profile.logicalHeight[world];
+    const topY = Math.min(maxY, minY + logicalHeight - 1);
+    const border = profile.worldBorder[world];
+    const { searchRadius, platformMinY, platformTopMargin } = profile.generation;
+
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    const clampBorder = (v) => clamp(v, -border, border - 1);
+
+    const x = clampBorder(point.x);
+    const z = clampBorder(point.z);
+
+    return {
+      x,
+      y: clamp(point.y, minY, topY),
+      z,
+      world,
+      search: {
+        minX: clampBorder(x - searchRadius),
+        maxX: clampBorder(x + searchRadius),
+        minY,
+        maxY: topY,
+        minZ: clampBorder(z - searchRadius),
+        maxZ: clampBorder(z + searchRadius),
+      },
+      platform: {
+        x,
+        y: clamp(point.y, Math.max(minY + 1, platformMinY), minY + logicalHeight - platformTopMargin),
+        z,
+      },
+    };
+  }
+
+  // Predict from the unlinked exit point nearest to where the anchor block leads
+  function predictGeneratedPortalFor(portal, unlinkedPoints, profile) {
+    if (unlinkedPoints.length === 0) return null;
+
+    const travel = portal.travel;
+    const origin = travel && travel.x != null ? travel : unlinkedPoints[0];
+
+    let best = unlinkedPoints[0];
+    let bestDist = Infinity;
+
+    unlinkedPoints.forEach((point) => {
+      const d3 = distance3D(origin.x, origin.y, origin.z, point.x, point.y, point.z);
+      if (d3 < bestDist) {
+        bestDist = d3;
+        best = point;
+      }
+    });
+
+    return predictGeneratedPortal(best, getOtherWorld(portal.world), profile);
+  }
+
+  // ---- Link Explanation ----
+  //
+  // The search computeClosestPortal and computeTargetPortal run, written out for
+  // the exit point of the anchor block: how the coordinates convert, the square
+  // the game searches, every portal in the other dimension with the reason it
+  // was or was not picked, and whether the chosen destination is reachable.
+
+  // Candidate order in a trace: the winner, then the others by how close they came
+  const CANDIDATE_ORDER = ["chosen", "tie", "farther", "out-of-range", "no-coordinates"];
+
+  function explainCoordinate(value, fromWorld, profile) {
+    const { netherScale, rounding } = profile;
+
+    if (fromWorld === WORLD_OVERWORLD) {
+      const scaled = value / netherScale;
+      return { input: value, operation: "divide", scaled, output: roundCoord(scaled, rounding) };
+    }
+
+    return { input: value, operation: "multiply", scaled: value * netherScale, output: value * netherScale };
+  }
+
+  function explainConversion(portal, profile) {
+    const toWorld = getOtherWorld(portal.world);
+    const { minY, maxY } = profile.buildLimits[toWorld];
+    const y = clampToBuildLimits(portal.y, toWorld, profile);
+
+    return {
+      fromWorld: portal.world,
+      toWorld,
+      scale: profile.netherScale,
+      rounding: profile.rounding,
+      x: explainCoordinate(portal.x, portal.world, profile),
+      y: { input: portal.y, output: y, clamped: y !== portal.y, minY, maxY },
+      z: explainCoordinate(portal.z, portal.world, profile),
+    };
+  }
+
+  // Why one portal of the searched dimension did or did not win
+  function explainCandidate(other, point, search, profile, winner) {
+    const entry = { portal: other, name: other.name || "(unnamed)", block: null, dx: null, dz: null, distance: null };
+
+    const bounds = getPortalFrameBounds(other);
+    if (!bounds) return { ...entry, status: "no-coordinates" };
+
+    const block = nearestFrameBlock(bounds, point);
+    entry.block = block;
+    entry.dx = Math.abs(block.x - point.x);
+    entry.dz = Math.abs(block.z - point.z);
+    entry.distance = distance3D(point.x, point.y, point.z, block.x, block.y, block.z);
+
+    if (entry.dx > search.range || entry.dz > search.range) return { ...entry, status: "out-of-range" };
+
+    if (winner.portal === other) return { ...entry, status: "chosen" };
+    if (entry.distance > winner.distance) return { ...entry, status: "farther" };
+
+    // Equally close: lost on the profile's tie-break
+    const lower = profile.tieBreak === "lowest-y" && block.y > winner.block.y;
+    return { ...entry, status: "tie", lostTo: lower ? "lower" : "earlier" };
+  }
+
+  function explainDestination(portal, point, world, context, winner) {
+    const target = getDestinationPortal(portal, context.portals);
+    if (!target) return null;
+
+    const entry = { portal: target, name: target.name || "(unnamed)" };
+
+    if (!getPortalFrameBounds(target)) return { ...entry, status: "no-coordinates" };
+    if (target.world !== world) return { ...entry, status: "wrong-world" };
+
+    const hit = findFrameBlockInRange(target, point, world, context.profile);
+    if (!hit) return { ...entry, status: "out-of-range" };
+
+    const linked = winner && winner.portal === target;
+    return { ...entry, status: linked ? "linked" : "not-closest", block: hit.block, distance: hit.distance };
+  }
+
+  // Trace for portal (portals[index], or index -1 for an unsaved portal such as
+  // the top inputs), or null while it has no coordinates. Every portal is
+  // checked, so the reasons cover portals the spatial index would skip.
+  function explainPortalLink(portal, index, context) {
+    const { portals, profile } = context;
+    if (!getPortalFrameBounds(portal)) return null;
+
+    const conversion = explainConversion(portal, profile);
+    const world = conversion.toWorld;
+    const point = { x: conversion.x.output, y: conversion.y.output, z: conversion.z.output };
+
+    const range = getSearchRange(world, profile);
+    const search = {
+      range,
+      minX: point.x - range,
+      maxX: point.x + range,
+      minZ: point.z - range,
+      maxZ: point.z + range,
+      minY: profile.buildLimits[world].minY,
+      maxY: profile.buildLimits[world].maxY,
+    };
+
+    const hit = findClosestPortalTo(point, world, index, { portals, profile });
+    const winner = hit
+      ? { ...hit, block: nearestFrameBlock(getPortalFrameBounds(hit.portal), point) }
+      : { portal: null, distance: Infinity, block: null };
+
+    let otherWorldCount = 0;
+    const candidates = [];
+
+    portals.forEach((other, i) => {
+      if (i === index) return;
+      if (other.world !== world) {
+        otherWorldCount++;
+        return;
+      }
+      candidates.push({ index: i, ...explainCandidate(other, point, search, profile, winner) });
+    });
+
+    const rank = (entry) => CANDIDATE_ORDER.indexOf(entry.status);
+    candidates.sort((a, b) =>
+      rank(a) - rank(b) || (a.distance ?? Infinity) - (b.distance ?? Infinity) || a.index - b.index);
+
+    const points = getTravelPoints(portal, profile);
+
+    return {
+      conversion,
+      point,
+      world,
+      exitPoints: points.length,
+      totalBlocks: points.reduce((sum, p) => sum + p.blocks, 0),
+      search,
+      tieBreak: profile.tieBreak,
+      candidates,
+      otherWorldCount,
+      chosen: candidates.find((entry) => entry.status === "chosen") || null,
+      generated: hit ? null : predictGeneratedPortal(point, world, profile),
+      destination: explainDestination(portal, point, world, context, hit),
+    };
+  }
+
+  // ---- Spatial Index ----
+
+  // Portals are bucketed per dimension into cells one search range wide, so a
+  // search square only ever touches a few cells. "frames" holds where each frame
+  // is, "reach" holds where each portal's exit points can find a frame.
+  function createSpatialIndex(portals, profile) {
+    const index = { portals, profile, count: portals.length, frames: {}, reach: {}, cells: [] };
+
+    [WORLD_OVERWORLD, WORLD_NETHER].forEach((world) => {
+      index.frames[world] = new Map();
+      index.reach[world] = new Map();
+    });
+
+    portals.forEach((portal, i) => indexPortal(index, i));
+    return index;
+  }
+
+  // Area around a portal's exit points that its search squares cover
+  function getSearchBounds(travel, profile) {
+    if (!travel || travel.x == null) return null;
+
+    const range = getSearchRange(travel.world, profile);
+    return {
+      minX: travel.min.x - range,
+      maxX: travel.max.x + range,
+      minZ: travel.min.z - range,
+      maxZ: travel.max.z + range,
+    };
+  }
+
+  function getCellKeys(bounds, size) {
+    const keys = [];
+    for (let cx = Math.floor(bounds.minX / size); cx <= Math.floor(bounds.maxX / size); cx++) {
+      for (let cz = Math.floor(bounds.minZ / size); cz <= Math.floor(bounds.maxZ / size); cz++) {
+        keys.push(`${cx},${cz}`);
+      }
+    }
+    return keys;
+  }
+
+  function addToCells(layer, world, bounds, i, size) {
+    if (!world || !bounds) return null;
+
+    const keys = getCellKeys(bounds, size);
+    keys.forEach((key) => {
+      let cell = layer[world].get(key);
+      if (!cell) {
+        cell = new Set();
+        layer[world].set(key, cell);
+      }
+      cell.add(i);
+    });
+
+    return { world, keys };
+  }
+
+  function removeFromCells(layer, entry, i) {
+    if (!entry) return;
+
+    entry.keys.forEach((key) => {
+      const cell = layer[entry.world].get(key);
+      if (!cell) return;
+      cell.delete(i);
+      if (cell.size === 0) layer[entry.world].delete(key);
+    });
+  }
+
+  // (Re)files one portal; its travel location must already be computed
+  function indexPortal(index, i) {
+    const portal = index.portals[i];
+    const previous = index.cells[i];
+
+    if (previous) {
+      removeFromCells(index.frames, previous.frame, i);
+      removeFromCells(index.reach, previous.reach, i);
+    }
+
+    const { profile } = index;
+    const travelWorld = portal.travel ? portal.travel.world : null;
+
+    index.cells[i] = {
+      frame: addToCells(index.frames, portal.world, getPortalFrameBounds(portal), i, getSearchRange(portal.world, profile)),
+      reach: travelWorld
+        ? addToCells(index.reach, travelWorld, getSearchBounds(portal.travel, profile), i, getSearchRange(travelWorld, profile))
+        : null,
+    };
+  }
+
+  function queryCells(layer, world, bounds, size) {
+    if (!bounds || !layer[world]) return [];
+
+    const found = new Set();
+    getCellKeys(bounds, size).forEach((key) => {
+      const cell = layer[world].get(key);
+      if (cell) cell.forEach((i) => found.add(i));
+    });
+
+    return [...found].sort((a, b) => a - b);
+  }
+
+  // Portals whose frame may overlap the area, in list order
+  function queryFrames(index, world, bounds) {
+    return queryCells(index.frames, world, bounds, getSearchRange(world, index.profile));
+  }
+
+  // Portals whose search squares may reach into the area, in list order
+  function queryReach(index, world, bounds) {
+    return queryCells(index.reach, world, bounds, getSearchRange(world, index.profile));
+  }
+
+  // ---- Whole Network ----
+
+  function getRulesProfile(key) {
+    return RULES_PROFILES[key] || RULES_PROFILES[DEFAULT_RULES_PROFILE];
+  }
+
+  // Fills travel/closest/target/generated on every portal, in place. The
+  // returned context carries the spatial index for updatePortalInNetwork.
+  function computeNetwork(portals, profile) {
+    resolveDestinations(portals);
+    portals.forEach((portal) => computePortalTravelLocation(portal, profile));
+
+    const context = { portals, profile, spatialIndex: createSpatialIndex(portals, profile) };
+
+    portals.forEach((portal, index) => computeClosestPortal(portal, index, context));
+    portals.forEach((portal) => computeTargetPortal(portal, context));
+
+    return context;
+  }
+
+  // Where a portal sits, taken before an edit so updatePortalInNetwork can
+  // find the portals that could see it at its old position
+  function getPortalFootprint(portal) {
+    return { world: portal.world, bounds: getPortalFrameBounds(portal) };
+  }
+
+  // Recalculates only what an edit to portals[index] can change: the portal
+  // itself, portals whose search squares cover its old or new frame, portals
+  // that linked to it and portals that name it as their destination.
+  // Returns the indices that were recalculated.
+  function updatePortalInNetwork(index, before, context) {
+    const { portals, profile, spatialIndex } = context;
+    const portal = portals[index];
+
+    resolveDestinations(portals);
+    computePortalTravelLocation(portal, profile);
+    indexPortal(spatialIndex, index);
+
+    const affected = new Set([index]);
+    const after = getPortalFootprint(portal);
+
+    [before, after].forEach((footprint) => {
+      if (!footprint || !footprint.bounds) return;
+      queryReach(spatialIndex, footprint.world, footprint.bounds).forEach((i) => affected.add(i));
+    });
+
+    portals.forEach((other, i) => {
+      const { closest } = other;
+      const linked = closest && (closest.index === index ||
+        (closest.others && closest.others.some((link) => link.index === index)));
+
+      if (linked || (portal.id && other.destinationId === portal.id)) affected.add(i);
+    });
+
+    const indices = [...affected].sort((a, b) => a - b);
+    indices.forEach((i) => computeClosestPortal(portals[i], i, context));
+    indices.forEach((i) => computeTargetPortal(portals[i], context));
+
+    return indices;
+  }
+
+  return {
+    SCHEMA_VERSION,
+    FILE_FORMAT_ID,
+    WORLD_OVERWORLD,
+    WORLD_NETHER,
+    AXIS_X,
+    AXIS_Z,
+    MIN_PORTAL_WIDTH,
+    MAX_PORTAL_WIDTH,
+    MIN_PORTAL_HEIGHT,
+    MAX_PORTAL_HEIGHT,
+    FRAME_ANCHORS,
+    MAX_TAG_LENGTH,
+    MAX_TAGS_PER_PORTAL,
+    WORLD_BORDER,
+    PORTAL_GENERATION,
+    RULES_PROFILES,
+    DEFAULT_RULES_PROFILE,
+
+    createBlankFrame,
+    createPortalId,
+    createBlankPortal,
+    clampInt,
+    sanitizeFrame,
+    normalizeHexColor,
+    normalizeTag,
+    normalizeTagList,
+    sanitizeTagColors,
+    validatePortalEntry,
+    serializePortal,
+    detectSchemaVersion,
+    migrateData,
+    validatePortalData,
+    getDestinationPortal,
+    resolveDestinations,
+    assignUniqueIds,
+
+    getRulesProfile,
+    convertCoords,
+    distance3D,
+    getOtherWorld,
+    getSearchRange,
+    clampToBuildLimits,
+    getPortalFrameBounds,
+    nearestFrameBlock,
+    findFrameBlockInRange,
+    getTravelPoints,
+    findClosestPortalTo,
+    computePortalTravelLocation,
+    computeClosestPortal,
+    computeTargetPortal,
+    predictGeneratedPortal,
+    predictGeneratedPortalFor,
+    explainPortalLink,
+    createSpatialIndex,
+    indexPortal,
+    getSearchBounds,
+    queryFrames,
+    queryReach,
+    computeNetwork,
+    getPortalFootprint,
+    updatePortalInNetwork,
+  };
+});
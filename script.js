@@ -1,908 +1,8353 @@
 // ---- Config & Data Model ----
 
-const STORAGE_KEY = "portalListData_v1";
-
-const WORLD_OVERWORLD = "Overworld";
-const WORLD_NETHER = "Nether";
+const APP_VERSION = "1.0.0";
+
+// Data model, file format, linking rules and link calculations are shared with
+// Node through portal-engine.js, loaded before this script
+const {
+  SCHEMA_VERSION,
+  FILE_FORMAT_ID,
+  WORLD_OVERWORLD,
+  WORLD_NETHER,
+  AXIS_X,
+  AXIS_Z,
+  MIN_PORTAL_WIDTH,
+  MAX_PORTAL_WIDTH,
+  MIN_PORTAL_HEIGHT,
+  MAX_PORTAL_HEIGHT,
+  FRAME_ANCHORS,
+  MAX_TAGS_PER_PORTAL,
+  WORLD_BORDER,
+  RULES_PROFILES,
+  DEFAULT_RULES_PROFILE,
+  createBlankFrame,
+  createPortalId,
+  createBlankPortal,
+  clampInt,
+  sanitizeFrame,
+  normalizeTag,
+  normalizeTagList,
+  sanitizeTagColors,
+  validatePortalEntry,
+  serializePortal,
+  validatePortalData,
+  getDestinationPortal,
+  distance3D,
+  getOtherWorld,
+  getPortalFrameBounds,
+  nearestFrameBlock,
+} = PortalEngine;
+
+const STORAGE_KEY = "portalListData_v2";
+const LEGACY_STORAGE_KEY = "portalListData_v1";
+const SETTINGS_KEY = "portalSettings_v1";
+const TOP_CARD_KEY = "portalTopCard_v1";
+const WORKSPACES_KEY = "portalWorkspaces_v1";
+const HIGHWAYS_KEY = "portalHighways_v1";
+const SYNC_KEY = "portalSync_v1";
+// sessionStorage, per workspace
+const HISTORY_KEY = "portalHistory_v1";
+
+// The first workspace keeps the original un-suffixed keys
+const DEFAULT_WORKSPACE_ID = "default";
+
+// Namespaced ids the game uses for each dimension
+const DIMENSION_IDS = { [WORLD_OVERWORLD]: "minecraft:overworld", [WORLD_NETHER]: "minecraft:the_nether" };
+
+// Names of the FRAME_ANCHORS corners in the frame selects
+const FRAME_ANCHOR_LABELS = {
+  "bottom-min": "Bottom low",
+  "bottom-max": "Bottom high",
+  "top-min": "Top low",
+  "top-max": "Top high",
+};
+
+// Shown in the colour swatch of portals that have no colour of their own
+const DEFAULT_PORTAL_COLOR = "#a855f7";
 
 let portals = [];
 let topWorld = WORLD_OVERWORLD;
+let settings = createDefaultSettings();
+let workspaceIndex = createDefaultWorkspaceIndex();
+let highwayPlan = createDefaultHighwayPlan();
+let syncState = createDefaultSyncState();
 
 // ---- Portal Factory & Sanitization ----
 
-function createBlankPortal() {
+function createDefaultSettings() {
+  return {
+    rulesProfile: DEFAULT_RULES_PROFILE,
+    tagColors: {},
+  };
+}
+
+function sanitizeSettings(raw) {
+  const defaults = createDefaultSettings();
+  if (!raw || typeof raw !== "object") return defaults;
+
+  return {
+    rulesProfile: RULES_PROFILES[raw.rulesProfile] ? raw.rulesProfile : defaults.rulesProfile,
+    tagColors: sanitizeTagColors(raw.tagColors),
+  };
+}
+
+// Nether highways: straight tunnels along an axis. A highway with axis "x"
+// runs from x = start to x = end at z = offset, and the other way round for "z".
+function createBlankHighway() {
+  return { name: "", axis: AXIS_X, y: null, offset: null, start: null, end: null };
+}
+
+function createDefaultHighwayPlan() {
+  return { highways: [], nearDistance: 16 };
+}
+
+function sanitizeHighwayPlan(raw) {
+  const defaults = createDefaultHighwayPlan();
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.highways)) return defaults;
+
+  const border = WORLD_BORDER[WORLD_NETHER];
+  const coord = (value) => (Number.isFinite(value) ? clampInt(value, -border, border, null) : null);
+
+  return {
+    highways: raw.highways.filter((h) => h && typeof h === "object").map((h) => ({
+      name: typeof h.name === "string" ? h.name : "",
+      axis: h.axis === AXIS_Z ? AXIS_Z : AXIS_X,
+      y: coord(h.y),
+      offset: coord(h.offset),
+      start: coord(h.start),
+      end: coord(h.end),
+    })),
+    nearDistance: clampInt(raw.nearDistance, 0, 1000, defaults.nearDistance),
+  };
+}
+
+// Team sync settings and what this browser last got from the server: the
+// list revision, and per portal the revision and serialized copy (null once
+// deleted). conflicts holds the server's version of portals changed on both sides.
+function createDefaultSyncState() {
+  return { enabled: false, serverUrl: "", list: "", user: "", token: "", revision: 0, base: {}, conflicts: {} };
+}
+
+function sanitizeSyncState(raw) {
+  const defaults = createDefaultSyncState();
+  if (!raw || typeof raw !== "object") return defaults;
+
+  const text = (value) => (typeof value === "string" ? value : "");
+  const isRecord = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+  const base = {};
+  if (isRecord(raw.base)) {
+    Object.entries(raw.base).forEach(([id, entry]) => {
+      if (isRecord(entry) && Number.isInteger(entry.revision) && (typeof entry.data === "string" || entry.data === null)) {
+        base[id] = { revision: entry.revision, data: entry.data };
+      }
+    });
+  }
+
+  const conflicts = {};
+  if (isRecord(raw.conflicts)) {
+    Object.entries(raw.conflicts).forEach(([id, entry]) => {
+      if (isRecord(entry) && Number.isInteger(entry.revision)) conflicts[id] = entry;
+    });
+  }
+
+  return {
+    enabled: raw.enabled === true,
+    serverUrl: text(raw.serverUrl),
+    list: text(raw.list),
+    user: text(raw.user),
+    token: text(raw.token),
+    revision: Number.isInteger(raw.revision) && raw.revision >= 0 ? raw.revision : 0,
+    base,
+    conflicts,
+  };
+}
+
+function createDefaultWorkspaceIndex() {
   return {
-    name: "",
-    destination: "",
-    x: null,
-    y: null,
-    z: null,
-    world: WORLD_OVERWORLD,
-    travel: { x: null, y: null, z: null, world: null },
-    closest: { name: null, distance: null },
-    target: { name: null, distance: null },
+    activeId: DEFAULT_WORKSPACE_ID,
+    workspaces: [{ id: DEFAULT_WORKSPACE_ID, name: "My World" }],
   };
 }
 
+function sanitizeWorkspaceIndex(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.workspaces)) {
+    return createDefaultWorkspaceIndex();
+  }
+
+  const workspaces = raw.workspaces
+    .filter((ws) => ws && typeof ws.id === "string" && ws.id !== "")
+    .map((ws) => ({ id: ws.id, name: typeof ws.name === "string" && ws.name ? ws.name : ws.id }));
+
+  if (workspaces.length === 0) return createDefaultWorkspaceIndex();
+
+  const activeId = workspaces.some((ws) => ws.id === raw.activeId) ? raw.activeId : workspaces[0].id;
+  return { activeId, workspaces };
+}
+
 function sanitizePortal(raw) {
   try {
-    return {
-      name: typeof raw.name === "string" ? raw.name : "",
-      destination: typeof raw.destination === "string" ? raw.destination : "",
-      x: Number.isFinite(raw.x) ? raw.x : null,
-      y: Number.isFinite(raw.y) ? raw.y : null,
-      z: Number.isFinite(raw.z) ? raw.z : null,
-      world: raw.world === WORLD_NETHER ? WORLD_NETHER : WORLD_OVERWORLD,
-      travel: raw.travel || { x: null, y: null, z: null, world: null },
-      closest: raw.closest || { name: null, distance: null },
-      target: raw.target || { name: null, distance: null },
-    };
+    return validatePortalEntry(raw).portal || createBlankPortal();
   } catch (err) {
     console.warn("Portal data corrupted, resetting portal:", err);
     return createBlankPortal();
   }
 }
 
+// ---- Storage Format ----
+
+function buildStorageData() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    portals: portals.map(serializePortal),
+  };
+}
+
+function buildExportData() {
+  return {
+    format: FILE_FORMAT_ID,
+    schemaVersion: SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    rulesProfile: settings.rulesProfile,
+    tagColors: settings.tagColors,
+    exportedAt: new Date().toISOString(),
+    portals: portals.map(serializePortal),
+  };
+}
+
 // ---- Storage ----
 
+function workspaceKey(base, id = workspaceIndex.activeId) {
+  return id === DEFAULT_WORKSPACE_ID ? base : `${base}:${id}`;
+}
+
 function loadPortalsFromStorage() {
+  const key = workspaceKey(STORAGE_KEY);
+  const legacyKey = workspaceKey(LEGACY_STORAGE_KEY);
+  let raw = null;
+
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    raw = localStorage.getItem(key);
+    const fromLegacy = raw == null;
+    if (fromLegacy) raw = localStorage.getItem(legacyKey);
     if (!raw) return null;
 
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return null;
+    const result = validatePortalData(JSON.parse(raw));
+    [...result.repaired, ...result.rejected].forEach(({ entry, issues }) => {
+      console.warn(`Stored portal #${entry}: ${issues.join(", ")}`);
+    });
+
+    // Move data saved before schema versions to the current key
+    if (fromLegacy) {
+      localStorage.setItem(key, JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        portals: result.portals.map(serializePortal),
+      }));
+      localStorage.removeItem(legacyKey);
+    }
 
-    return parsed.map(sanitizePortal);
+    return result.portals;
   } catch (err) {
     console.error("Failed to load or parse portal data:", err);
+
+    // Keep the unreadable data around instead of overwriting it on the next save
+    try {
+      if (raw) localStorage.setItem(`${key}_corrupt`, raw);
+    } catch (backupErr) {
+      console.error("Failed to back up unreadable portal data:", backupErr);
+    }
+
     return null;
   }
 }
 
+// Edits to a card save after a short pause, so typing into a long list does
+// not serialise and snapshot the whole list on every keystroke
+const PORTAL_SAVE_DELAY_MS = 400;
+
+let portalSaveTimer = null;
+
 function savePortalsToStorage() {
+  clearTimeout(portalSaveTimer);
+  portalSaveTimer = null;
+
+  recordPortalHistory();
+
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(portals));
+    localStorage.setItem(workspaceKey(STORAGE_KEY), JSON.stringify(buildStorageData()));
   } catch (err) {
     console.error("Failed to save portal data:", err);
   }
+
+  scheduleSyncPush();
 }
 
-function initializePortals() {
-  const stored = loadPortalsFromStorage();
+function schedulePortalSave() {
+  clearTimeout(portalSaveTimer);
+  portalSaveTimer = setTimeout(savePortalsToStorage, PORTAL_SAVE_DELAY_MS);
+}
 
-  if (stored && stored.length > 0) {
-    portals = stored;
-  } else {
-    portals = [createBlankPortal()];
-    savePortalsToStorage();
+// Saves an edit that is still waiting for its pause
+function flushPortalSave() {
+  if (portalSaveTimer) savePortalsToStorage();
+}
+
+function loadSettingsFromStorage() {
+  try {
+    const raw = localStorage.getItem(workspaceKey(SETTINGS_KEY));
+    if (!raw) return createDefaultSettings();
+
+    return sanitizeSettings(JSON.parse(raw));
+  } catch (err) {
+    console.error("Failed to load or parse settings:", err);
+    return createDefaultSettings();
   }
 }
 
-// ---- Math Helpers ----
+function saveSettingsToStorage() {
+  try {
+    localStorage.setItem(workspaceKey(SETTINGS_KEY), JSON.stringify(settings));
+  } catch (err) {
+    console.error("Failed to save settings:", err);
+  }
+}
 
-function convertCoords(x, z, fromWorld, toWorld) {
-  if (x == null || z == null) return { x: null, z: null };
+function loadHighwayPlanFromStorage() {
+  try {
+    const raw = localStorage.getItem(workspaceKey(HIGHWAYS_KEY));
+    return raw ? sanitizeHighwayPlan(JSON.parse(raw)) : createDefaultHighwayPlan();
+  } catch (err) {
+    console.error("Failed to load or parse highway plan:", err);
+    return createDefaultHighwayPlan();
+  }
+}
 
-  // Overworld → Nether uses FLOOR
-  if (fromWorld === WORLD_OVERWORLD && toWorld === WORLD_NETHER) {
-    return {
-      x: Math.floor(x / 8),
-      z: Math.floor(z / 8),
-    };
+function saveHighwayPlanToStorage() {
+  try {
+    localStorage.setItem(workspaceKey(HIGHWAYS_KEY), JSON.stringify(highwayPlan));
+  } catch (err) {
+    console.error("Failed to save highway plan:", err);
   }
+}
 
-  // Nether → Overworld uses multiply
-  if (fromWorld === WORLD_NETHER && toWorld === WORLD_OVERWORLD) {
-    return {
-      x: x * 8,
-      z: z * 8,
-    };
+function loadSyncStateFromStorage() {
+  try {
+    const raw = localStorage.getItem(workspaceKey(SYNC_KEY));
+    return raw ? sanitizeSyncState(JSON.parse(raw)) : createDefaultSyncState();
+  } catch (err) {
+    console.error("Failed to load or parse sync state:", err);
+    return createDefaultSyncState();
   }
+}
 
-  return { x, z };
+function saveSyncStateToStorage() {
+  try {
+    localStorage.setItem(workspaceKey(SYNC_KEY), JSON.stringify(syncState));
+  } catch (err) {
+    console.error("Failed to save sync state:", err);
+  }
 }
 
-function distance3D(x1, y1, z1, x2, y2, z2) {
-  if ([x1, y1, z1, x2, y2, z2].some((v) => v == null)) return null;
-  const dx = x2 - x1;
-  const dy = y2 - y1;
-  const dz = z2 - z1;
-  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+function loadTopCardFromStorage() {
+  try {
+    const raw = localStorage.getItem(workspaceKey(TOP_CARD_KEY));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error("Failed to load or parse top card state:", err);
+    return null;
+  }
 }
 
+function saveTopCardToStorage() {
+  try {
+    localStorage.setItem(workspaceKey(TOP_CARD_KEY), JSON.stringify(readTopCardState()));
+  } catch (err) {
+    console.error("Failed to save top card state:", err);
+  }
+}
 
-// ---- Calculations per Portal ----
+function loadWorkspaceIndexFromStorage() {
+  try {
+    const raw = localStorage.getItem(WORKSPACES_KEY);
+    if (!raw) return createDefaultWorkspaceIndex();
 
-function computePortalTravelLocation(portal) {
-  const { x, y, z, world } = portal;
+    return sanitizeWorkspaceIndex(JSON.parse(raw));
+  } catch (err) {
+    console.error("Failed to load or parse workspace list:", err);
+    return createDefaultWorkspaceIndex();
+  }
+}
 
-  if (x == null || y == null || z == null) {
-    portal.travel = { x: null, y: null, z: null, world: null };
-    return;
+function saveWorkspaceIndexToStorage() {
+  try {
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(workspaceIndex));
+  } catch (err) {
+    console.error("Failed to save workspace list:", err);
   }
+}
 
-  const targetWorld =
-    world === WORLD_OVERWORLD ? WORLD_NETHER : WORLD_OVERWORLD;
+// Portals, settings and top card of the active workspace
+function loadActiveWorkspace() {
+  // Write out the previous workspace's pending history before it is replaced
+  if (historySaveTimer) saveEditHistoryToSession();
+  // Callers flush edits they want kept; a pending save would land in this workspace
+  clearTimeout(portalSaveTimer);
+  portalSaveTimer = null;
+  editHistory = createEmptyEditHistory();
+  settings = loadSettingsFromStorage();
+  highwayPlan = loadHighwayPlanFromStorage();
+  syncState = loadSyncStateFromStorage();
 
-  const converted = convertCoords(x, z, world, targetWorld);
+  const stored = loadPortalsFromStorage();
 
-  portal.travel = {
-    x: converted.x,
-    y: y,
-    z: converted.z,
-    world: targetWorld,
-  };
+  if (stored && stored.length > 0) {
+    portals = stored;
+  } else {
+    portals = [createBlankPortal()];
+    savePortalsToStorage();
+  }
+
+  applyTopCardState(loadTopCardFromStorage());
+  loadEditHistoryFromSession();
 }
 
-function computeClosestPortal(portal, index) {
-  const travel = portal.travel;
+function initializePortals() {
+  workspaceIndex = loadWorkspaceIndexFromStorage();
+  loadActiveWorkspace();
+}
 
-  if (!travel || travel.x == null || travel.z == null) {
-    portal.closest = { name: null, distance: null };
-    return;
-  }
+// ---- Math Helpers ----
 
-  const targetWorld = travel.world;
-  const maxRange = (targetWorld === WORLD_NETHER) ? 16 : 128;
+// The calculations themselves are in portal-engine.js; these bind them to the
+// page's portal list and the workspace's rules profile.
 
-  let best = null;
-  let bestDist = Infinity;
+function getRulesProfile() {
+  return PortalEngine.getRulesProfile(settings.rulesProfile);
+}
 
-  portals.forEach((other, i) => {
-    if (i === index) return;
-    if (other.world !== targetWorld) return;
-    if (other.x == null || other.z == null) return;
+// Result of the last full calculation; its spatial index is kept up to date by
+// updatePortalCalculations and reused until the list or the rules change
+let networkContext = null;
 
-    // ---- STEP 1: Horizontal reachability (Minecraft-accurate) ----
-    const dx = Math.abs(other.x - travel.x);
-    const dz = Math.abs(other.z - travel.z);
+function getEngineContext() {
+  const profile = getRulesProfile();
 
-    // If outside the square search region → unreachable
-    if (dx > maxRange || dz > maxRange) return;
+  if (networkContext && networkContext.portals === portals && networkContext.profile === profile &&
+      networkContext.spatialIndex.count === portals.length) {
+    return networkContext;
+  }
+  return { portals, profile };
+}
 
-    // ---- STEP 2: 3D distance for closest selection ----
-    const d3 = distance3D(
-      travel.x, travel.y, travel.z,
-      other.x, other.y, other.z
-    );
+function convertCoords(x, z, fromWorld, toWorld) {
+  return PortalEngine.convertCoords(x, z, fromWorld, toWorld, getRulesProfile());
+}
 
-    if (d3 == null) return;
+// Horizontal half-size of the square the game searches for an existing portal
+function getSearchRange(world) {
+  return PortalEngine.getSearchRange(world, getRulesProfile());
+}
 
-    if (d3 < bestDist) {
-      bestDist = d3;
-      best = other;
-    }
-  });
+function clampToBuildLimits(y, world) {
+  return PortalEngine.clampToBuildLimits(y, world, getRulesProfile());
+}
+
+function findFrameBlockInRange(other, point, world) {
+  return PortalEngine.findFrameBlockInRange(other, point, world, getRulesProfile());
+}
+
+function getTravelPoints(portal) {
+  return PortalEngine.getTravelPoints(portal, getRulesProfile());
+}
 
-  portal.closest = best
-    ? { name: best.name || "(unnamed)", distance: bestDist }
-    : { name: null, distance: null };
+function findClosestPortalTo(point, world, excludeIndex) {
+  return PortalEngine.findClosestPortalTo(point, world, excludeIndex, getEngineContext());
 }
 
+// ---- Calculations per Portal ----
+
+function computePortalTravelLocation(portal) {
+  PortalEngine.computePortalTravelLocation(portal, getRulesProfile());
+}
 
+function computeClosestPortal(portal, index) {
+  PortalEngine.computeClosestPortal(portal, index, getEngineContext());
+}
 
 function computeTargetPortal(portal) {
-  if (!portal.destination) {
-    portal.target = { name: null, distance: null };
-    return;
-  }
+  PortalEngine.computeTargetPortal(portal, getEngineContext());
+}
 
-  const target = portals.find((p) => p.name === portal.destination);
+// ---- Generated Portal Prediction ----
 
-  if (!target || target.x == null || target.z == null) {
-    portal.target = { name: null, distance: null };
-    return;
-  }
+// computeClosestPortal stores the prediction in portal.generated; this turns it into a list entry
+function createPredictedPortal(source) {
+  const predicted = source.generated;
+  const portal = createBlankPortal();
 
-  // ---- STEP 1: Travel coords must exist ----
-  const travel = portal.travel;
-  if (!travel || travel.x == null || travel.z == null) {
-    portal.target = { name: target.name, distance: "Cannot Reach" };
-    return;
-  }
+  portal.name = source.name ? `${source.name} (generated)` : "Generated portal";
+  portal.destination = source.name || "";
+  portal.destinationId = source.id || null;
+  portal.x = predicted.x;
+  portal.y = predicted.y;
+  portal.z = predicted.z;
+  portal.world = predicted.world;
+  portal.frame.axis = source.frame ? source.frame.axis : AXIS_X;
 
-  // ---- STEP 2: Must be same world (travel.world vs target.world) ----
-  if (travel.world !== target.world) {
-    portal.target = { name: target.name, distance: "Cannot Reach" };
-    return;
-  }
+  return portal;
+}
 
-  // ---- STEP 3: Horizontal reachability ----
-  const dx = Math.abs(target.x - travel.x);
-  const dz = Math.abs(target.z - travel.z);
+function addPredictedPortal(source) {
+  if (!source || !source.generated) return;
 
-  const maxRange = (travel.world === WORLD_NETHER) ? 16 : 128;
+  portals.push(createPredictedPortal(source));
+  savePortalsToStorage();
+  renderPortalList();
+}
 
-  if (dx > maxRange || dz > maxRange) {
-    portal.target = { name: target.name, distance: "Cannot Reach" };
-    return;
-  }
+// ---- Return Portal Solver ----
 
-  // ---- STEP 4: 3D distance ----
-  const d3 = distance3D(
-    travel.x, travel.y, travel.z,
-    target.x, target.y, target.z
-  );
+// Exit point before the block rounding, used to rank the valid spots
+function getExactTravelPoint(portal) {
+  const { netherScale } = getRulesProfile();
+  const scale = portal.world === WORLD_OVERWORLD ? 1 / netherScale : netherScale;
+  const world = getOtherWorld(portal.world);
 
-  portal.target = {
-    name: target.name,
-    distance: d3
+  return {
+    x: portal.x * scale,
+    y: clampToBuildLimits(portal.y, world),
+    z: portal.z * scale,
   };
 }
 
-// ---- Output Card ----
+// Group valid anchor positions into x/z rectangles for display
+function compressToRanges(spots) {
+  const columns = new Map();
+  spots.forEach(({ x, z }) => {
+    if (!columns.has(x)) columns.set(x, []);
+    columns.get(x).push(z);
+  });
 
-function updateOutputCard() {
-  const outX = document.getElementById("outX");
-  const outY = document.getElementById("outY");
-  const outZ = document.getElementById("outZ");
-  const outWorld = document.getElementById("outWorld");
+  const runsFor = (zs) => {
+    const sorted = [...zs].sort((a, b) => a - b);
+    const runs = [];
+    sorted.forEach((z) => {
+      const last = runs[runs.length - 1];
+      if (last && z === last.maxZ + 1) last.maxZ = z;
+      else runs.push({ minZ: z, maxZ: z });
+    });
+    return runs;
+  };
 
-  const closestName = document.getElementById("closestName");
-  const closestDistance = document.getElementById("closestDistance");
+  const rects = [];
+  let open = [];
 
-  const targetName = document.getElementById("targetName");
-  const targetDistance = document.getElementById("targetDistance");
+  [...columns.keys()].sort((a, b) => a - b).forEach((x) => {
+    const runs = runsFor(columns.get(x));
+    const next = [];
 
-  const topXInput = document.getElementById("top-x");
-  const topYInput = document.getElementById("top-y");
-  const topZInput = document.getElementById("top-z");
-  const topDestInput = document.getElementById("top-destination");
+    runs.forEach((run) => {
+      const match = open.find((rect) =>
+        rect.maxX === x - 1 && rect.minZ === run.minZ && rect.maxZ === run.maxZ
+      );
 
-  if (
-    !outX || !outY || !outZ || !outWorld ||
-    !closestName || !closestDistance ||
-    !targetName || !targetDistance ||
-    !topXInput || !topYInput || !topZInput || !topDestInput
-  ) {
-    return;
-  }
+      if (match) {
+        match.maxX = x;
+        next.push(match);
+      } else {
+        const rect = { minX: x, maxX: x, minZ: run.minZ, maxZ: run.maxZ };
+        rects.push(rect);
+        next.push(rect);
+      }
+    });
 
-  const x = Number(topXInput.value);
-  const y = Number(topYInput.value);
-  const z = Number(topZInput.value);
+    open = next;
+  });
 
-  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
-    outX.textContent = "—";
-    outY.textContent = "—";
-    outZ.textContent = "—";
-    outWorld.textContent = "—";
-    closestName.textContent = "—";
-    closestDistance.textContent = "—";
-    targetName.textContent = "—";
-    targetDistance.textContent = "—";
-    return;
-  }
+  return rects;
+}
 
-  // Determine converted coords for closest-portal search
-  const targetWorld =
-    topWorld === WORLD_OVERWORLD ? WORLD_NETHER : WORLD_OVERWORLD;
-  const converted = convertCoords(x, z, topWorld, targetWorld);
+// Time spent checking anchors before the page gets a turn to repaint
+const RETURN_SOLVE_SLICE_MS = 40;
+
+// Bumped when the portal list changes or a new solve starts, so a running
+// solve can tell its answer no longer fits the list
+let returnSolveRun = 0;
+
+// Every anchor position in the other dimension where a new portal with the same
+// frame as the source would be linked to from the whole source frame and link
+// back to the source from its own whole frame. Resolves to null when the source
+// has no coordinates and to undefined when the list changed while solving.
+async function solveReturnPortal(sourceId, buildY, onProgress) {
+  const run = ++returnSolveRun;
+  const sourceIndex = portals.findIndex((portal) => portal.id === sourceId);
+  const source = portals[sourceIndex];
+  if (!source) return null;
+
+  const profile = getRulesProfile();
+  const context = getEngineContext();
+  const sourcePoints = PortalEngine.getTravelPoints(source, profile);
+  if (sourcePoints.length === 0) return null;
+
+  const world = getOtherWorld(source.world);
+  const range = PortalEngine.getSearchRange(world, profile);
+  const y = PortalEngine.clampToBuildLimits(buildY != null ? buildY : source.travel.y, world, profile);
+
+  // ---- STEP 1: How close each exit point's current winner is ----
+  // Exit points nothing else reaches link to any frame inside their search
+  // square, so only the contested ones need a distance check per anchor
+  const contested = [];
+  sourcePoints.forEach((point) => {
+    const hit = PortalEngine.findClosestPortalTo(point, world, sourceIndex, context);
+    if (hit) contested.push({ point, rival: hit.distance });
+  });
 
-  outX.textContent = converted.x;
-  outY.textContent = y;
-  outZ.textContent = converted.z;
-  outWorld.textContent = targetWorld;
+  const candidate = createBlankPortal();
+  candidate.world = world;
+  candidate.y = y;
+  candidate.frame = { ...source.frame, anchor: FRAME_ANCHORS[0] };
+
+  // ---- STEP 2: Anchors where the frame is inside every exit point's search square ----
+  const along = candidate.frame.width - 1;
+  const xs = sourcePoints.map((p) => p.x);
+  const zs = sourcePoints.map((p) => p.z);
+  const minX = Math.max(...xs) - range - (candidate.frame.axis === AXIS_X ? along : 0);
+  const minZ = Math.max(...zs) - range - (candidate.frame.axis === AXIS_Z ? along : 0);
+  const maxX = Math.min(...xs) + range;
+  const maxZ = Math.min(...zs) + range;
+
+  const spots = [];
+  const columns = maxZ - minZ + 1;
+  const total = (maxX - minX + 1) * columns;
+  let sliceStart = Date.now();
+
+  for (let x = minX; x <= maxX; x++) {
+    for (let z = minZ; z <= maxZ; z++) {
+      if (Date.now() - sliceStart > RETURN_SOLVE_SLICE_MS) {
+        if (onProgress) onProgress(((x - minX) * columns + (z - minZ)) / total);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (run !== returnSolveRun) return undefined;
+        sliceStart = Date.now();
+      }
 
-  // ---- CLOSEST PORTAL (correct & working) ----
-  let best = null;
-  let bestDist = Infinity;
-  const maxRangeClosest = (targetWorld === WORLD_NETHER) ? 16 : 128;
+      candidate.x = x;
+      candidate.z = z;
 
-  portals.forEach((p) => {
-    if (p.world !== targetWorld) return;
-    if (p.x == null || p.z == null) return;
+      // ---- STEP 3: The source must link here from every block ----
+      const forward = contested.every(({ point, rival }) => {
+        const hit = PortalEngine.findFrameBlockInRange(candidate, point, world, profile);
+        return hit != null && hit.distance < rival;
+      });
+      if (!forward) continue;
 
-    const dx = Math.abs(p.x - converted.x);
-    const dz = Math.abs(p.z - converted.z);
-    if (dx > maxRangeClosest || dz > maxRangeClosest) return;
+      // ---- STEP 4: Every block here must link back to the source ----
+      const back = PortalEngine.getTravelPoints(candidate, profile).every((point) => {
+        const hit = PortalEngine.findClosestPortalTo(point, source.world, -1, context);
+        return hit != null && hit.portal === source;
+      });
+      if (!back) continue;
 
-    const d3 = distance3D(converted.x, y, converted.z, p.x, p.y, p.z);
-    if (d3 == null) return;
+      spots.push({ x, z });
+    }
+  }
+
+  // ---- STEP 5: Suggest the spot nearest the exact travel location ----
+  const exact = getExactTravelPoint(source);
+  let best = null;
+  let bestDist = Infinity;
+
+  spots.forEach((spot) => {
+    candidate.x = spot.x;
+    candidate.z = spot.z;
+    const block = nearestFrameBlock(getPortalFrameBounds(candidate), exact);
+    const d3 = distance3D(exact.x, exact.y, exact.z, block.x, block.y, block.z);
 
     if (d3 < bestDist) {
       bestDist = d3;
-      best = p;
+      best = { x: spot.x, y, z: spot.z, distance: d3 };
     }
   });
 
-  closestName.textContent = best ? best.name || "(unnamed)" : "Cannot Reach";
-  closestDistance.textContent = best ? bestDist.toFixed(2) : "—";
+  return {
+    sourceId,
+    world,
+    y,
+    frame: candidate.frame,
+    exact,
+    count: spots.length,
+    ranges: compressToRanges(spots),
+    best,
+  };
+}
 
-  // ---- TARGET PORTAL ----
-  const destName = topDestInput.value;
-  const target = portals.find((p) => p.name === destName);
+// New portal at the solution's best spot, or null when the source is gone
+function createReturnPortal(solution) {
+  const source = portals.find((p) => p.id === solution.sourceId);
+  if (!source) return null;
 
-  if (!target || target.x == null || target.z == null) {
-    targetName.textContent = "—";
-    targetDistance.textContent = "—";
-    return;
-  }
+  const portal = createBlankPortal();
 
-  // STEP 1: Must be same world (travel world vs target world)
-  if (target.world !== targetWorld) {
-    targetName.textContent = target.name;
-    targetDistance.textContent = "Cannot Reach";
-    return;
-  }
+  portal.name = source.name ? `${source.name} return` : "Return portal";
+  portal.destination = source.name || "";
+  portal.destinationId = source.id;
+  portal.x = solution.best.x;
+  portal.y = solution.best.y;
+  portal.z = solution.best.z;
+  portal.world = solution.world;
+  portal.frame = { ...solution.frame };
 
-  // STEP 2: Horizontal reachability using TRAVEL COORDS
-  const dxT = Math.abs(target.x - converted.x);
-  const dzT = Math.abs(target.z - converted.z);
-  const maxRangeTarget = (targetWorld === WORLD_NETHER) ? 16 : 128;
+  return portal;
+}
 
-  if (dxT > maxRangeTarget || dzT > maxRangeTarget) {
-    targetName.textContent = target.name;
-    targetDistance.textContent = "Cannot Reach";
-    return;
-  }
+// ---- Route Planner ----
+//
+// Fastest way between two points: walk inside a dimension, or step into a
+// portal and come out where computeClosestPortal says it links (or where it
+// would build a new portal). Dijkstra over start, end and every portal with
+// coordinates; walking edges are straight lines between them.
+
+const TRAVEL_MODES = {
+  walk: { label: "Walking", speed: 4.317 },
+  sprint: { label: "Sprinting", speed: 5.612 },
+  // Boat on packed ice; blue ice roads are faster still
+  iceboat: { label: "Ice boat", speed: 40 },
+};
+
+// Survival players stand in the portal for 80 ticks before it fires
+const PORTAL_TRANSIT_SECONDS = 4;
+
+function buildRouteNodes(start, end) {
+  const nodes = [
+    { kind: "start", ...start },
+    { kind: "end", ...end },
+  ];
 
-  // STEP 3: 3D distance using TRAVEL COORDS
-  const dT = distance3D(
-    converted.x, y, converted.z,
-    target.x, target.y, target.z
-  );
+  portals.forEach((portal, index) => {
+    if (portal.x == null || portal.y == null || portal.z == null) return;
+    nodes.push({ kind: "portal", index, x: portal.x, y: portal.y, z: portal.z, world: portal.world });
+  });
+
+  // Where each portal sends you: a linked portal's node or a predicted new portal
+  const nodeOfPortal = new Map(nodes.filter((n) => n.kind === "portal").map((n) => [n.index, n]));
 
-  targetName.textContent = target.name;
-  targetDistance.textContent = dT.toFixed(2);
+  nodes.filter((n) => n.kind === "portal").forEach((node) => {
+    const portal = portals[node.index];
+    const closest = portal.closest;
+
+    if (closest && closest.name != null && nodeOfPortal.has(closest.index)) {
+      node.exit = nodeOfPortal.get(closest.index);
+    } else if (portal.generated) {
+      const g = portal.generated;
+      node.exit = { kind: "generated", source: node.index, x: g.x, y: g.y, z: g.z, world: g.world };
+      nodes.push(node.exit);
+    }
+  });
 
+  return nodes;
 }
 
+function walkDistance(a, b) {
+  return distance3D(a.x, a.y, a.z, b.x, b.y, b.z);
+}
 
-// ---- Portal Card Display Updates ----
+// start/end: { x, y, z, world }. Returns null when the end cannot be reached.
+function planRoute(start, end, modeKey) {
+  const speed = (TRAVEL_MODES[modeKey] || TRAVEL_MODES.walk).speed;
+  const nodes = buildRouteNodes(start, end);
+  const n = nodes.length;
+
+  const cost = new Array(n).fill(Infinity);
+  const previous = new Array(n).fill(null);
+  const done = new Array(n).fill(false);
+  const indexOf = new Map(nodes.map((node, i) => [node, i]));
+  cost[0] = 0;
+
+  for (;;) {
+    let u = -1;
+    for (let i = 0; i < n; i++) {
+      if (!done[i] && cost[i] < Infinity && (u === -1 || cost[i] < cost[u])) u = i;
+    }
+    if (u === -1 || u === 1) break;
+    done[u] = true;
+
+    const from = nodes[u];
+
+    nodes.forEach((to, v) => {
+      if (done[v] || v === 0 || to.world !== from.world) return;
+
+      const seconds = walkDistance(from, to) / speed;
+      if (cost[u] + seconds < cost[v]) {
+        cost[v] = cost[u] + seconds;
+        previous[v] = { node: u, kind: "walk" };
+      }
+    });
+
+    if (from.exit) {
+      const v = indexOf.get(from.exit);
+      if (!done[v] && cost[u] + PORTAL_TRANSIT_SECONDS < cost[v]) {
+        cost[v] = cost[u] + PORTAL_TRANSIT_SECONDS;
+        previous[v] = { node: u, kind: "portal" };
+      }
+    }
+  }
+
+  if (cost[1] === Infinity) return null;
+
+  const path = [];
+  for (let v = 1; previous[v]; v = previous[v].node) {
+    path.unshift({ from: nodes[previous[v].node], to: nodes[v], kind: previous[v].kind });
+  }
+
+  return buildRouteSteps(path);
+}
+
+function routeStepSeconds(step) {
+  const seconds = {};
+  Object.entries(TRAVEL_MODES).forEach(([key, mode]) => {
+    seconds[key] = step.kind === "portal" ? PORTAL_TRANSIT_SECONDS : step.distance / mode.speed;
+  });
+  return seconds;
+}
+
+// [{ kind, from, to, distance, seconds: { walk, sprint, iceboat } }] plus totals
+function buildRouteSteps(path) {
+  const steps = path.map((leg) => {
+    const step = {
+      kind: leg.kind,
+      from: leg.from,
+      to: leg.to,
+      distance: leg.kind === "walk" ? walkDistance(leg.from, leg.to) : 0,
+    };
+    step.seconds = routeStepSeconds(step);
+    return step;
+  });
+
+  const totals = { distance: 0, portals: 0, seconds: {} };
+  Object.keys(TRAVEL_MODES).forEach((key) => {
+    totals.seconds[key] = 0;
+  });
+
+  steps.forEach((step) => {
+    totals.distance += step.distance;
+    if (step.kind === "portal") totals.portals++;
+    Object.keys(TRAVEL_MODES).forEach((key) => {
+      totals.seconds[key] += step.seconds[key];
+    });
+  });
+
+  return { steps, totals };
+}
+
+// ---- Nether Highways ----
+//
+// Straight tunnels along a Nether axis. For every Overworld portal: where its
+// Nether side (the linked portal, or the one the game would build) sits
+// relative to the closest highway, and the branch tunnel needed to reach it.
+
+// Within this many blocks the Nether side counts as already on the highway
+const HIGHWAY_ON_DISTANCE = 2;
+
+const HIGHWAY_STATUS_ON = "on";
+const HIGHWAY_STATUS_NEAR = "near";
+const HIGHWAY_STATUS_FAR = "far";
+
+function isHighwayComplete(highway) {
+  return highway.offset != null;
+}
+
+// Along-axis bounds; a missing end runs on to the world border
+function getHighwaySpan(highway) {
+  const border = WORLD_BORDER[WORLD_NETHER];
+  const from = highway.start ?? -border;
+  const to = highway.end ?? border;
+  return { min: Math.min(from, to), max: Math.max(from, to) };
+}
+
+// Closest block on the highway, and the straight-axis tunnel from point to it
+function nearestHighwayPoint(highway, point) {
+  const span = getHighwaySpan(highway);
+  const along = highway.axis === AXIS_X ? point.x : point.z;
+  const clamped = Math.min(span.max, Math.max(span.min, along));
+
+  const connection = highway.axis === AXIS_X
+    ? { x: clamped, z: highway.offset }
+    : { x: highway.offset, z: clamped };
+  connection.y = highway.y ?? point.y;
+
+  const horizontal = Math.abs(connection.x - point.x) + Math.abs(connection.z - point.z);
+  const vertical = point.y == null || connection.y == null ? 0 : Math.abs(connection.y - point.y);
+
+  return { ...connection, horizontal, vertical, branch: horizontal + vertical };
+}
+
+// Where the player actually comes out in the Nether
+function getNetherSide(portal) {
+  const closest = portal.closest;
+  if (closest && closest.name != null && portals[closest.index]) {
+    const linked = portals[closest.index];
+    return { source: "linked", index: closest.index, x: linked.x, y: linked.y, z: linked.z };
+  }
+
+  if (portal.generated) {
+    const g = portal.generated;
+    return { source: "generated", x: g.x, y: g.y, z: g.z };
+  }
+
+  const travel = portal.travel;
+  if (!travel || travel.x == null) return null;
+  return { source: "travel", x: travel.x, y: travel.y, z: travel.z };
+}
+
+function findNearestHighway(point) {
+  let best = null;
+
+  highwayPlan.highways.forEach((highway, index) => {
+    if (!isHighwayComplete(highway)) return;
+
+    const hit = nearestHighwayPoint(highway, point);
+    if (!best || hit.branch < best.connection.branch) best = { index, connection: hit };
+  });
+
+  return best;
+}
+
+function getHighwayStatus(horizontal) {
+  if (horizontal <= HIGHWAY_ON_DISTANCE) return HIGHWAY_STATUS_ON;
+  if (horizontal <= highwayPlan.nearDistance) return HIGHWAY_STATUS_NEAR;
+  return HIGHWAY_STATUS_FAR;
+}
+
+// One row per Overworld portal with coordinates:
+// { index, netherSide, highway, connection, status, overworldSpot }
+function analyzeHighwayConnections() {
+  const rows = [];
+
+  portals.forEach((portal, index) => {
+    if (portal.world !== WORLD_OVERWORLD) return;
+
+    const netherSide = getNetherSide(portal);
+    if (!netherSide) return;
+
+    const nearest = findNearestHighway(netherSide);
+    if (!nearest) {
+      rows.push({ index, netherSide, highway: null, connection: null, status: null, overworldSpot: null });
+      return;
+    }
+
+    const { connection } = nearest;
+    const status = getHighwayStatus(connection.horizontal);
+
+    // Overworld spot whose exact travel location is the connection point
+    const overworldSpot = status === HIGHWAY_STATUS_ON
+      ? null
+      : convertCoords(connection.x, connection.z, WORLD_NETHER, WORLD_OVERWORLD);
+
+    rows.push({ index, netherSide, highway: nearest.index, connection, status, overworldSpot });
+  });
+
+  return rows;
+}
+
+// ---- Network Diagnostics ----
+
+const SEVERITY_ERROR = "error";
+const SEVERITY_WARNING = "warning";
+const SEVERITY_INFO = "info";
+
+const SEVERITY_ORDER = [SEVERITY_ERROR, SEVERITY_WARNING, SEVERITY_INFO];
+
+function portalLabel(index) {
+  const portal = portals[index];
+  return portal && portal.name ? portal.name : `#${index + 1} (unnamed)`;
+}
+
+// Which portals each portal links to (any block of its frame) and who links back in
+function buildLinkGraph() {
+  const outgoing = portals.map(() => new Set());
+  const incoming = portals.map(() => new Set());
+
+  portals.forEach((portal, index) => {
+    const closest = portal.closest;
+    if (!closest || closest.name == null) return;
+
+    [closest, ...(closest.others || [])].forEach((link) => {
+      if (link.index == null || link.index < 0) return;
+      outgoing[index].add(link.index);
+      incoming[link.index].add(index);
+    });
+  });
+
+  return { outgoing, incoming };
+}
+
+function collectNetworkIssues() {
+  const issues = [];
+  const { incoming } = buildLinkGraph();
+  const placed = (portal) => getPortalFrameBounds(portal) != null;
+
+  // ---- Duplicate names ----
+  const byName = new Map();
+  portals.forEach((portal, index) => {
+    if (!portal.name) return;
+    if (!byName.has(portal.name)) byName.set(portal.name, []);
+    byName.get(portal.name).push(index);
+  });
+
+  byName.forEach((indices, name) => {
+    if (indices.length < 2) return;
+    issues.push({
+      severity: SEVERITY_WARNING,
+      index: indices[1],
+      message: `"${name}" is used by ${indices.length} portals, pick destinations from the list to tell them apart`,
+    });
+  });
+
+  portals.forEach((portal, index) => {
+    const closest = portal.closest || {};
+    const linked = closest.name != null;
+
+    // ---- Destination checks ----
+    if (portal.destination || portal.destinationId) {
+      const destIndex = portals.indexOf(getDestinationPortal(portal, portals));
+
+      if (destIndex === -1) {
+        issues.push({
+          severity: SEVERITY_ERROR,
+          index,
+          message: `${portalLabel(index)}: destination "${portal.destination}" does not exist`,
+        });
+      } else if (placed(portal) && !linked) {
+        issues.push({
+          severity: SEVERITY_ERROR,
+          index,
+          message: `${portalLabel(index)} links to nothing (a new portal is generated) instead of ${portalLabel(destIndex)}`,
+        });
+      } else if (placed(portal) && closest.index !== destIndex) {
+        issues.push({
+          severity: SEVERITY_ERROR,
+          index,
+          message: `${portalLabel(index)} links to ${portalLabel(closest.index)} instead of ${portalLabel(destIndex)}`,
+        });
+      }
+    }
+
+    if (!placed(portal)) return;
+
+    // ---- Split frames ----
+    if (linked && (closest.others.length > 0 || closest.unlinkedBlocks > 0)) {
+      issues.push({
+        severity: SEVERITY_WARNING,
+        index,
+        message: `${portalLabel(index)}: not every block of the frame links to ${portalLabel(closest.index)}`,
+      });
+    }
+
+    // ---- One-way links ----
+    if (linked) {
+      const back = portals[closest.index].closest || {};
+      if (back.index !== index) {
+        const backLabel = back.name != null ? portalLabel(back.index) : "nothing";
+        issues.push({
+          severity: SEVERITY_WARNING,
+          index,
+          message: `${portalLabel(index)} → ${portalLabel(closest.index)} is one-way, it leads back to ${backLabel}`,
+        });
+      }
+    }
+
+    // ---- Orphans ----
+    if (incoming[index].size === 0) {
+      issues.push({
+        severity: SEVERITY_INFO,
+        index,
+        message: `Nothing links to ${portalLabel(index)}`,
+      });
+    }
+  });
+
+  return issues.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || a.index - b.index
+  );
+}
+
+// ---- Minimap Waypoints ----
+//
+// Waypoints are { name, x, y, z, world, color } where world is WORLD_OVERWORLD,
+// WORLD_NETHER or null (End / unknown dimension) and color is "#rrggbb" or null.
+// y is null when the minimap did not record a height.
+
+const WAYPOINT_FORMAT_XAERO = "xaero";
+const WAYPOINT_FORMAT_JOURNEYMAP = "journeymap";
+const WAYPOINT_FORMAT_VOXELMAP = "voxelmap";
+
+const WAYPOINT_FORMAT_LABELS = {
+  [WAYPOINT_FORMAT_XAERO]: "Xaero's Minimap",
+  [WAYPOINT_FORMAT_JOURNEYMAP]: "JourneyMap",
+  [WAYPOINT_FORMAT_VOXELMAP]: "VoxelMap",
+};
+
+// Xaero's stores a colour index into the chat colour palette
+const XAERO_COLORS = [
+  "#000000", "#0000aa", "#00aa00", "#00aaaa", "#aa0000", "#aa00aa", "#ffaa00", "#aaaaaa",
+  "#555555", "#5555ff", "#55ff55", "#55ffff", "#ff5555", "#ff55ff", "#ffff55", "#ffffff",
+];
+
+const XAERO_DEFAULT_SET = "gui.xaero_default";
+const XAERO_DIMENSION_FOLDERS = { [WORLD_OVERWORLD]: "dim%0", [WORLD_NETHER]: "dim%-1" };
+
+const VOXELMAP_DIMENSIONS = { [WORLD_OVERWORLD]: "overworld", [WORLD_NETHER]: "the_nether" };
+
+// Exit points exported alongside the portals
+const TRAVEL_WAYPOINT_COLOR = "#ffaa00";
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+function rgbToHex(r, g, b) {
+  const channel = (v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0");
+  return `#${channel(r)}${channel(g)}${channel(b)}`;
+}
+
+function nearestXaeroColor(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  let best = 0;
+  let bestDist = Infinity;
+
+  XAERO_COLORS.forEach((candidate, i) => {
+    const c = hexToRgb(candidate);
+    const dist = (c.r - r) ** 2 + (c.g - g) ** 2 + (c.b - b) ** 2;
+    if (dist < bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  });
+
+  return best;
+}
+
+// Understands numeric ids (0 / -1), namespaced ids (minecraft:the_nether,
+// minecraft.overworld), Xaero's folders (dim%-1) and set names
+// (Internal-the-nether-waypoints). Anything else, including the End, is null.
+function waypointDimensionToWorld(value) {
+  if (value == null) return null;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === "-1" || /nether|dim%-1(?!\d)/.test(text)) return WORLD_NETHER;
+  if (text === "0" || /overworld|dim%0(?!\d)/.test(text)) return WORLD_OVERWORLD;
+  return null;
+}
+
+function parseWaypointNumber(value) {
+  if (value == null) return null;
+
+  const text = String(value).trim();
+  if (text === "" || text === "~") return null;
+
+  const num = Number(text);
+  return Number.isFinite(num) ? num : null;
+}
+
+// waypoint:name:initials:x:y:z:color:disabled:type:set:rotate_on_tp:tp_yaw:visibility_type[:destination]
+// and the chat share form xaero-waypoint:name:initials:x:y:z:color:rotate:yaw:Internal-<dim>-waypoints
+function parseXaeroWaypoints(text, fileWorld) {
+  const waypoints = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const shared = line.startsWith("xaero-waypoint:");
+    if (!shared && !line.startsWith("waypoint:")) return;
+
+    const parts = line.split(":");
+    const colorIndex = parseInt(parts[6], 10);
+
+    waypoints.push({
+      name: (parts[1] || "").replace(/§§/g, ":"),
+      x: parseWaypointNumber(parts[3]),
+      y: parseWaypointNumber(parts[4]),
+      z: parseWaypointNumber(parts[5]),
+      world: shared ? waypointDimensionToWorld(parts[parts.length - 1]) : fileWorld,
+      color: XAERO_COLORS[colorIndex] || null,
+    });
+  });
+
+  return waypoints;
+}
+
+function buildXaeroWaypointFile(waypoints) {
+  const lines = [
+    "#",
+    "#waypoint:name:initials:x:y:z:color:disabled:type:set:rotate_on_tp:tp_yaw:visibility_type:destination",
+    "#",
+    `sets:${XAERO_DEFAULT_SET}`,
+  ];
+
+  waypoints.forEach((wp) => {
+    const name = wp.name.replace(/:/g, "§§");
+    const initials = (wp.name.replace(/[^0-9a-z]/gi, "").slice(0, 2) || "P").toUpperCase();
+    const color = wp.color ? nearestXaeroColor(wp.color) : 0;
+    const y = wp.y == null ? "~" : wp.y;
+
+    lines.push(
+      `waypoint:${name}:${initials}:${wp.x}:${y}:${wp.z}:${color}:false:0:${XAERO_DEFAULT_SET}:false:0:0:false`
+    );
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// One waypoint object per file (older versions) or an array of them
+function parseJourneyMapWaypoints(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data.waypoints) ? data.waypoints : [data];
+
+  return list.filter((wp) => wp && typeof wp === "object").map((wp) => {
+    const dims = Array.isArray(wp.dimensions) ? wp.dimensions : [wp.dimension];
+    const world = dims.map(waypointDimensionToWorld).find((w) => w != null) || null;
+
+    let color = null;
+    if ([wp.r, wp.g, wp.b].every(Number.isFinite)) color = rgbToHex(wp.r, wp.g, wp.b);
+    else if (Number.isFinite(wp.color)) color = rgbToHex((wp.color >> 16) & 255, (wp.color >> 8) & 255, wp.color & 255);
+
+    return {
+      name: typeof wp.name === "string" ? wp.name : "",
+      x: parseWaypointNumber(wp.x),
+      y: parseWaypointNumber(wp.y),
+      z: parseWaypointNumber(wp.z),
+      world,
+      color,
+    };
+  });
+}
+
+function buildJourneyMapWaypoints(waypoints) {
+  return waypoints.map((wp) => {
+    const { r, g, b } = hexToRgb(wp.color || "#ffffff");
+    const y = wp.y == null ? 64 : wp.y;
+
+    return {
+      id: `${wp.name}_${wp.x},${y},${wp.z}`,
+      name: wp.name,
+      icon: "journeymap:ui/img/waypoint-icon.png",
+      x: wp.x,
+      y,
+      z: wp.z,
+      r,
+      g,
+      b,
+      enable: true,
+      type: "Normal",
+      origin: "journeymap",
+      dimensions: [DIMENSION_IDS[wp.world]],
+      persistent: true,
+    };
+  });
+}
+
+function decodeVoxelMapText(value) {
+  return value.replace(/~comma~/g, ",").replace(/~colon~/g, ":");
+}
+
+function encodeVoxelMapText(value) {
+  return value.replace(/,/g, "~comma~").replace(/:/g, "~colon~");
+}
+
+// name:Home,x:100,z:-200,y:64,enabled:true,red:1.0,green:0.0,blue:0.0,suffix:,world:,dimensions:overworld#
+function parseVoxelMapWaypoints(text) {
+  const waypoints = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.startsWith("name:")) return;
+
+    const fields = {};
+    line.split(",").forEach((pair) => {
+      const sep = pair.indexOf(":");
+      if (sep > 0) fields[pair.slice(0, sep)] = pair.slice(sep + 1);
+    });
+
+    const dims = (fields.dimensions || "").split("#").filter(Boolean);
+    const channels = ["red", "green", "blue"].map((key) => parseWaypointNumber(fields[key]));
+
+    waypoints.push({
+      name: decodeVoxelMapText(fields.name || ""),
+      x: parseWaypointNumber(fields.x),
+      y: parseWaypointNumber(fields.y),
+      z: parseWaypointNumber(fields.z),
+      world: dims.map(waypointDimensionToWorld).find((w) => w != null) || null,
+      color: channels.every((c) => c != null) ? rgbToHex(...channels.map((c) => c * 255)) : null,
+    });
+  });
+
+  return waypoints;
+}
+
+function buildVoxelMapWaypointFile(waypoints) {
+  const lines = ["subworlds:", "oldNorthWorlds:", "seeds:"];
+
+  waypoints.forEach((wp) => {
+    const { r, g, b } = hexToRgb(wp.color || "#ffffff");
+    const channel = (v) => (v / 255).toFixed(3);
+
+    lines.push([
+      `name:${encodeVoxelMapText(wp.name)}`,
+      `x:${wp.x}`,
+      `z:${wp.z}`,
+      `y:${wp.y == null ? 64 : wp.y}`,
+      "enabled:true",
+      `red:${channel(r)}`,
+      `green:${channel(g)}`,
+      `blue:${channel(b)}`,
+      "suffix:",
+      "world:",
+      `dimensions:${VOXELMAP_DIMENSIONS[wp.world]}#`,
+    ].join(","));
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// Works out the format from the content. fileName is used for Xaero's files,
+// which only record the dimension in their folder name.
+function parseWaypointFile(text, fileName) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error("looks like JourneyMap JSON but does not parse");
+    }
+    return { format: WAYPOINT_FORMAT_JOURNEYMAP, waypoints: parseJourneyMapWaypoints(data) };
+  }
+
+  if (/^(xaero-)?waypoint:/m.test(trimmed)) {
+    return { format: WAYPOINT_FORMAT_XAERO, waypoints: parseXaeroWaypoints(trimmed, waypointDimensionToWorld(fileName)) };
+  }
+
+  if (/^name:/m.test(trimmed)) {
+    return { format: WAYPOINT_FORMAT_VOXELMAP, waypoints: parseVoxelMapWaypoints(trimmed) };
+  }
+
+  throw new Error("not a Xaero's, JourneyMap or VoxelMap waypoint file");
+}
+
+// Portals (and optionally their exit points) as waypoints. Portals without
+// coordinates are skipped.
+function buildPortalWaypoints(includeTravel) {
+  const waypoints = [];
+
+  portals.forEach((portal, index) => {
+    if (portal.x == null || portal.z == null) return;
+
+    const name = portalLabel(index);
+    waypoints.push({
+      name,
+      x: portal.x,
+      y: portal.y,
+      z: portal.z,
+      world: portal.world,
+      color: portal.color || DEFAULT_PORTAL_COLOR,
+    });
+
+    const travel = portal.travel;
+    if (includeTravel && travel && travel.x != null && travel.world) {
+      waypoints.push({
+        name: `${name} exit`,
+        x: travel.x,
+        y: travel.y,
+        z: travel.z,
+        world: travel.world,
+        color: TRAVEL_WAYPOINT_COLOR,
+      });
+    }
+  });
+
+  return waypoints;
+}
+
+// [{ fileName, text }] ready to download for the chosen minimap
+function buildWaypointExportFiles(format, waypoints) {
+  const byWorld = (world) => waypoints.filter((wp) => wp.world === world);
+
+  if (format === WAYPOINT_FORMAT_XAERO) {
+    // One file per dimension folder
+    return [WORLD_OVERWORLD, WORLD_NETHER]
+      .filter((world) => byWorld(world).length > 0)
+      .map((world) => ({
+        fileName: `xaero_${XAERO_DIMENSION_FOLDERS[world]}_mw$default_1.txt`,
+        text: buildXaeroWaypointFile(byWorld(world)),
+      }));
+  }
+
+  if (format === WAYPOINT_FORMAT_JOURNEYMAP) {
+    return [{
+      fileName: "journeymap_waypoints.json",
+      text: JSON.stringify(buildJourneyMapWaypoints(waypoints), null, 2),
+    }];
+  }
+
+  return [{ fileName: "voxelmap_waypoints.points", text: buildVoxelMapWaypointFile(waypoints) }];
+}
+
+// ---- Spreadsheet Tables (CSV / TSV) ----
+//
+// Header names are matched loosely so lists kept in the original Google Sheet
+// (Portal Name / Portal Loc / Travel Loc / Closest / Target, the labels the
+// cards still use) and the tool's own exports both import cleanly.
+
+const TABLE_COLUMNS = [
+  { key: "name", header: "Portal Name", aliases: ["portal name", "name", "portal"] },
+  { key: "destination", header: "Destination", aliases: ["destination", "dest", "links to", "goes to"] },
+  { key: "x", header: "X", aliases: ["x", "portal x", "x coord", "x coordinate"] },
+  { key: "y", header: "Y", aliases: ["y", "portal y", "y coord", "y coordinate"] },
+  { key: "z", header: "Z", aliases: ["z", "portal z", "z coord", "z coordinate"] },
+  { key: "world", header: "World", aliases: ["world", "dimension", "dim"] },
+  { key: "axis", header: "Axis", aliases: ["axis", "frame axis"] },
+  { key: "width", header: "Width", aliases: ["width", "frame width"] },
+  { key: "height", header: "Height", aliases: ["height", "frame height"] },
+  { key: "anchor", header: "Anchor", aliases: ["anchor", "frame anchor"] },
+  { key: "color", header: "Colour", aliases: ["colour", "color"] },
+  { key: "tags", header: "Tags", aliases: ["tags", "tag", "labels"] },
+];
+
+// Tags share one cell, e.g. "shop; player: Alex"
+const TABLE_TAG_SEPARATOR = ";";
+
+// A single "x / y / z" cell, as on the cards and in the original sheet
+const TABLE_LOCATION_ALIASES = ["portal loc", "portal location", "location", "loc", "coords", "coordinates", "xyz"];
+
+// Calculated columns: written on export, recognised and skipped on import
+const TABLE_COMPUTED_COLUMNS = [
+  { header: "Travel Loc", aliases: ["travel loc", "travel location"], format: (p) => formatTravelLoc(p.travel) },
+  { header: "Closest", aliases: ["closest", "closest portal"], format: (p) => formatClosest(p.closest) },
+  { header: "Target", aliases: ["target", "target portal", "target name"], format: (p) => formatTarget(p.target) },
+];
+
+function normalizeTableHeader(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\(.*?\)/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Tabs win (spreadsheet clipboard), otherwise whichever of , or ; the first line uses more
+function detectTableDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  if (firstLine.includes("\t")) return "\t";
+
+  const count = (ch) => firstLine.split(ch).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+// Spreadsheets run a cell starting with one of these as a formula
+const TABLE_FORMULA_START = /^[=+\-@]/;
+
+// RFC 4180: quoted cells may contain the delimiter, newlines and "" for a quote.
+// Returns [{ cells, line }], line being where the row starts in the text.
+function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = "";
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  return rows;
+}
+
+function formatDelimitedText(rows, delimiter) {
+  const formatCell = (value) => {
+    let text = value == null ? "" : String(value);
+
+    // Keep text such as "-82 / 63 / 7" from running as a formula; numbers stay numbers
+    if (typeof value !== "number" && TABLE_FORMULA_START.test(text)) text = `'${text}`;
+
+    // Spreadsheets paste TSV cell by cell, so flatten instead of quoting
+    if (delimiter === "\t") return text.replace(/[\t\r\n]+/g, " ");
+
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map((row) => row.map(formatCell).join(delimiter)).join("\r\n") + "\r\n";
+}
+
+// Which cell index feeds which portal field. Returns null when no header is recognised.
+function mapTableHeader(headerRow) {
+  const columns = {};
+  let location = null;
+  const computed = [];
+  const unknown = [];
+
+  headerRow.forEach((cell, index) => {
+    const header = normalizeTableHeader(cell);
+    if (header === "") return;
+
+    const column = TABLE_COLUMNS.find((c) => c.aliases.includes(header));
+    if (column && columns[column.key] == null) {
+      columns[column.key] = index;
+    } else if (TABLE_LOCATION_ALIASES.includes(header) && location == null) {
+      location = index;
+    } else if (TABLE_COMPUTED_COLUMNS.some((c) => c.aliases.includes(header))) {
+      computed.push(cell.trim());
+    } else {
+      unknown.push(cell.trim());
+    }
+  });
+
+  if (Object.keys(columns).length === 0 && location == null) return null;
+  return { columns, location, computed, unknown };
+}
+
+// Column order assumed for pasted rows without a header
+const TABLE_HEADERLESS_ORDER = ["name", "x", "y", "z", "world", "destination"];
+
+function defaultTableMapping() {
+  const columns = {};
+  TABLE_HEADERLESS_ORDER.forEach((key, index) => {
+    columns[key] = index;
+  });
+  return { columns, location: null, computed: [], unknown: [] };
+}
+
+function parseWorldCell(text) {
+  if (/^ow$/i.test(text)) return WORLD_OVERWORLD;
+  if (/^n$/i.test(text)) return WORLD_NETHER;
+  return waypointDimensionToWorld(text);
+}
+
+function parseAnchorCell(text) {
+  const lower = text.toLowerCase();
+  return FRAME_ANCHORS.find((anchor) =>
+    anchor === lower || FRAME_ANCHOR_LABELS[anchor].toLowerCase() === lower
+  ) || null;
+}
+
+// "-82 / 63 / 7 (Overworld)", "-82, 63, 7", "-82 63 7"
+function parseLocationCell(text) {
+  const numbers = text.replace(/\(.*?\)/g, " ").match(/-?\d+(\.\d+)?/g);
+  if (!numbers || numbers.length !== 3) return null;
+
+  const world = /\((.*?)\)/.exec(text);
+  return {
+    x: Number(numbers[0]),
+    y: Number(numbers[1]),
+    z: Number(numbers[2]),
+    world: world ? parseWorldCell(world[1].trim()) : null,
+  };
+}
+
+// Errors reject the row, warnings are repairs made by validatePortalEntry
+function parseTableRow(cells, mapping, rowNumber) {
+  const cell = (key) => {
+    const index = mapping.columns[key];
+    return index == null || cells[index] == null ? "" : cells[index].trim();
+  };
+
+  const errors = [];
+  const raw = { name: cell("name"), destination: cell("destination") };
+  const coords = { x: cell("x"), y: cell("y"), z: cell("z") };
+  let world = cell("world");
+
+  if (mapping.location != null) {
+    const text = (cells[mapping.location] || "").trim();
+    const loc = text === "" ? null : parseLocationCell(text);
+
+    if (text !== "" && !loc) {
+      errors.push(`location "${text}" is not x / y / z`);
+    } else if (loc) {
+      ["x", "y", "z"].forEach((key) => {
+        if (coords[key] === "") coords[key] = String(loc[key]);
+      });
+      if (world === "" && loc.world) world = loc.world;
+    }
+  }
+
+  ["x", "y", "z"].forEach((key) => {
+    if (coords[key] === "") return;
+
+    const num = Number(coords[key]);
+    if (Number.isFinite(num)) raw[key] = num;
+    else errors.push(`${key.toUpperCase()} "${coords[key]}" is not a number`);
+  });
+
+  if (world !== "") {
+    raw.world = parseWorldCell(world);
+    if (!raw.world) errors.push(`unknown world "${world}"`);
+  }
+
+  const frame = {};
+  const axis = cell("axis").toLowerCase();
+  if (axis !== "") frame.axis = axis;
+
+  ["width", "height"].forEach((key) => {
+    const text = cell(key);
+    if (text === "") return;
+
+    const num = Number(text);
+    if (Number.isFinite(num)) frame[key] = num;
+    else errors.push(`${key} "${text}" is not a number`);
+  });
+
+  const anchor = cell("anchor");
+  if (anchor !== "") frame.anchor = parseAnchorCell(anchor) || anchor;
+  if (Object.keys(frame).length > 0) raw.frame = frame;
+
+  const color = cell("color");
+  if (color !== "") raw.color = color;
+
+  const tags = cell("tags");
+  if (tags !== "") raw.tags = tags.split(TABLE_TAG_SEPARATOR).filter((tag) => tag.trim() !== "");
+
+  const { portal, issues } = validatePortalEntry(raw);
+  return { row: rowNumber, portal, errors, warnings: issues };
+}
+
+// Undo the ' that exports put in front of formula-like text
+function unescapeTableCell(text) {
+  return text.startsWith("'") && TABLE_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function parseTableText(text) {
+  const delimiter = detectTableDelimiter(text);
+  // Blank rows are dropped, but every row keeps its line number in the text
+  const rows = parseDelimitedText(text, delimiter).filter((row) => row.cells.some((cell) => cell.trim() !== ""));
+
+  if (rows.length === 0) throw new Error("No rows found.");
+
+  let mapping = mapTableHeader(rows[0].cells);
+  const headerFound = mapping != null;
+  if (!headerFound) mapping = defaultTableMapping();
+
+  const dataRows = headerFound ? rows.slice(1) : rows;
+
+  return {
+    delimiter,
+    headerFound,
+    mapping,
+    entries: dataRows.map(({ cells, line }) => parseTableRow(cells.map(unescapeTableCell), mapping, line)),
+  };
+}
+
+function buildTableRows() {
+  const header = [...TABLE_COLUMNS.map((c) => c.header), ...TABLE_COMPUTED_COLUMNS.map((c) => c.header)];
+
+  const rows = portals.map((portal) => [
+    portal.name,
+    portal.destination,
+    portal.x ?? "",
+    portal.y ?? "",
+    portal.z ?? "",
+    portal.world,
+    portal.frame.axis,
+    portal.frame.width,
+    portal.frame.height,
+    portal.frame.anchor,
+    portal.color || "",
+    portal.tags.join(`${TABLE_TAG_SEPARATOR} `),
+    ...TABLE_COMPUTED_COLUMNS.map((c) => c.format(portal)),
+  ]);
+
+  return [header, ...rows];
+}
+
+// ---- Share Links ----
+//
+// The network is packed into the URL fragment (never sent to a server):
+// #share=<link version><"z" deflate-raw | "j" plain JSON><base64url payload>
+// The payload is { v: schema version, r: rules profile, p: packed portals },
+// plus t: tag colours when any are set.
+
+const SHARE_HASH_PREFIX = "#share=";
+const SHARE_LINK_VERSION = 1;
+
+// Longer links still work in browsers, but chat apps and forums start cutting them off
+const SHARE_LINK_WARN_LENGTH = 8000;
+
+const SHARE_WORLDS = [WORLD_OVERWORLD, WORLD_NETHER];
+const SHARE_AXES = [AXIS_X, AXIS_Z];
+
+// [name, destination, x, y, z, world, axis, width, height, anchor, color, tags] with
+// world/axis/anchor as indexes and trailing default values dropped. The
+// destination is the target's position in the list, or its name when it is
+// not a listed portal; ids are left out and handed out again on import.
+function packPortal(portal, index, list) {
+  const blank = createBlankFrame();
+  const target = getDestinationPortal(portal, list);
+  const packed = [
+    portal.name,
+    target ? list.indexOf(target) : portal.destination,
+    portal.x,
+    portal.y,
+    portal.z,
+    SHARE_WORLDS.indexOf(portal.world),
+    SHARE_AXES.indexOf(portal.frame.axis),
+    portal.frame.width,
+    portal.frame.height,
+    FRAME_ANCHORS.indexOf(portal.frame.anchor),
+    portal.color,
+    portal.tags.length > 0 ? portal.tags : null,
+  ];
+  const defaults = ["", "", null, null, null, 0, SHARE_AXES.indexOf(blank.axis), blank.width, blank.height,
+    FRAME_ANCHORS.indexOf(blank.anchor), null, null];
+
+  while (packed.length > 0 && packed[packed.length - 1] === defaults[packed.length - 1]) packed.pop();
+  return packed;
+}
+
+function unpackPortal(packed) {
+  if (!Array.isArray(packed)) return packed;
+
+  const blank = createBlankFrame();
+  const at = (i, fallback) => (packed[i] === undefined ? fallback : packed[i]);
+
+  return {
+    name: at(0, ""),
+    destination: at(1, ""),
+    x: at(2, null),
+    y: at(3, null),
+    z: at(4, null),
+    world: SHARE_WORLDS[at(5, 0)],
+    frame: {
+      axis: SHARE_AXES[at(6, SHARE_AXES.indexOf(blank.axis))],
+      width: at(7, blank.width),
+      height: at(8, blank.height),
+      anchor: FRAME_ANCHORS[at(9, FRAME_ANCHORS.indexOf(blank.anchor))],
+    },
+    color: at(10, null),
+    tags: at(11, null),
+  };
+}
+
+function unpackPortals(packedList) {
+  const unpacked = packedList.map(unpackPortal);
+  const entries = unpacked.filter((raw) => raw && typeof raw === "object");
+
+  entries.forEach((raw) => {
+    raw.id = createPortalId();
+  });
+
+  entries.forEach((raw) => {
+    if (typeof raw.destination !== "number") return;
+
+    const target = unpacked[raw.destination];
+    const found = target && typeof target === "object";
+    raw.destinationId = found ? target.id : null;
+    raw.destination = found && typeof target.name === "string" ? target.name : "";
+  });
+
+  return unpacked;
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+    throw new Error("The share link is damaged: it contains characters that do not belong in it.");
+  }
+
+  const padded = text.replace(/-/g, "+").replace(/_/g, "/") + "=".repeat((4 - (text.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (ch) => ch.charCodeAt(0));
+}
+
+// Runs bytes through a CompressionStream / DecompressionStream
+async function transformBytes(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const out = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
+function canCompressShareLinks() {
+  return typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+}
+
+// Fragment (including "#share=") for the current list
+async function encodeSharePayload() {
+  const payload = {
+    v: SCHEMA_VERSION,
+    r: settings.rulesProfile,
+    p: portals.map(packPortal),
+  };
+  if (Object.keys(settings.tagColors).length > 0) payload.t = settings.tagColors;
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+  if (canCompressShareLinks()) {
+    const compressed = await transformBytes(bytes, new CompressionStream("deflate-raw"));
+    return `${SHARE_HASH_PREFIX}${SHARE_LINK_VERSION}z${bytesToBase64Url(compressed)}`;
+  }
+
+  return `${SHARE_HASH_PREFIX}${SHARE_LINK_VERSION}j${bytesToBase64Url(bytes)}`;
+}
+
+// Returns the same result as validatePortalData. Every failure throws an
+// Error whose message can be shown to the user as is.
+async function decodeSharePayload(hash) {
+  const body = hash.slice(SHARE_HASH_PREFIX.length);
+  const match = /^(\d+)([zj])(.*)$/.exec(body);
+
+  if (!match) throw new Error("This is not a valid share link.");
+
+  const version = Number(match[1]);
+  if (version > SHARE_LINK_VERSION) {
+    throw new Error("This share link was made by a newer version of the tool. Reload the page to update it.");
+  }
+
+  let bytes = base64UrlToBytes(match[3]);
+
+  if (match[2] === "z") {
+    if (!canCompressShareLinks()) throw new Error("This browser cannot open compressed share links.");
+
+    try {
+      bytes = await transformBytes(bytes, new DecompressionStream("deflate-raw"));
+    } catch (err) {
+      throw new Error("The share link is incomplete. It may have been cut off when it was copied.");
+    }
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error("The share link is incomplete. It may have been cut off when it was copied.");
+  }
+
+  if (!payload || !Number.isInteger(payload.v) || !Array.isArray(payload.p)) {
+    throw new Error("The share link does not contain a portal network.");
+  }
+
+  return validatePortalData({
+    schemaVersion: payload.v,
+    rulesProfile: payload.r,
+    tagColors: payload.t,
+    portals: unpackPortals(payload.p),
+  });
+}
+
+// ---- Coordinate Paste Parsing ----
+//
+// Turns pasted text into coordinate entries, one per line that has a
+// position in it. Decimal positions (F3 XYZ, /tp from F3+C) are floored to the
+// block they are in. A line that only names a dimension (such as the F3
+// "minecraft:the_nether FC: 0" line) sets it for the next line with a position
+// only, so it never leaks into unrelated lines further down.
+
+const PASTE_WORLD_END = "End";
+const PASTE_COORD = /^-?\d+(\.\d+)?$/;
+const PASTE_LABELLED_COORDS =
+  /\bX\s*[:=]\s*(-?\d+(?:\.\d+)?)[\s,;]*\bY\s*[:=]\s*(-?\d+(?:\.\d+)?)[\s,;]*\bZ\s*[:=]\s*(-?\d+(?:\.\d+)?)/i;
+
+// Other F3 lines with three numbers that are not the player's position
+const PASTE_IGNORED_F3_LINES = /^(Chunk|Facing|Targeted|Looking at|Light|Biome|Local Difficulty)\b/i;
+
+function detectWorldInText(text) {
+  if (/\bthe[_ ]end\b|minecraft:end\b/i.test(text)) return PASTE_WORLD_END;
+  if (/nether/i.test(text)) return WORLD_NETHER;
+  if (/overworld/i.test(text)) return WORLD_OVERWORLD;
+  return null;
+}
+
+function toBlockCoords(values) {
+  const [x, y, z] = values.map((v) => Math.floor(Number(v)));
+  return { x, y, z };
+}
+
+// Arguments of /tp or /teleport: optional target, then x y z
+function parseTeleportArgs(args) {
+  const tokens = args.trim().split(/\s+/);
+  if (tokens.length > 0 && !/^[~^]|^-?\d/.test(tokens[0])) tokens.shift();
+
+  const coords = tokens.slice(0, 3);
+  if (coords.length < 3) return { error: "teleports to a player, not a position" };
+  if (coords.some((t) => /^[~^]/.test(t))) return { error: "relative coordinates (~ or ^) cannot be converted" };
+  if (!coords.every((t) => PASTE_COORD.test(t))) return { error: "could not read the teleport position" };
+
+  return toBlockCoords(coords);
+}
+
+// Xaero's chat share line, reusing the waypoint parser
+function parseXaeroShareLine(line) {
+  const [wp] = parseXaeroWaypoints(line.slice(line.indexOf("xaero-waypoint:")), null);
+  if (!wp || wp.x == null || wp.z == null) return null;
+  return { x: wp.x, y: wp.y, z: wp.z, world: wp.world, name: wp.name };
+}
+
+// Text before the numbers in a chat line, without the "<Player>" prefix
+function guessNameFromText(prefix) {
+  const name = prefix
+    .replace(/^\s*(<[^>]*>|\[[^\]]*\])\s*/, "")
+    .replace(/\b(at|in|the|nether|overworld|coords?|x\s*y\s*z)\b/gi, " ")
+    .replace(/[:=\-–,]+\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return name.length > 0 && name.length <= 32 ? name : "";
+}
+
+function parseCoordinateLine(line) {
+  let match;
+
+  if (line.includes("xaero-waypoint:")) {
+    const wp = parseXaeroShareLine(line);
+    if (wp) return { ...wp, source: "Xaero's waypoint" };
+  }
+
+  if ((match = /XYZ:\s*(-?[\d.]+)\s*\/\s*(-?[\d.]+)\s*\/\s*(-?[\d.]+)/i.exec(line))) {
+    return { ...toBlockCoords(match.slice(1)), source: "F3 XYZ" };
+  }
+
+  if ((match = /Block:\s*(-?\d+)\s+(-?\d+)\s+(-?\d+)/i.exec(line))) {
+    return { ...toBlockCoords(match.slice(1)), source: "F3 Block" };
+  }
+
+  if ((match = /\/?execute\b.*?\bin\s+(\S+).*?\b(?:tp|teleport)\s+(.*)$/i.exec(line))) {
+    const dimension = match[1];
+    const world = waypointDimensionToWorld(dimension) || (detectWorldInText(dimension) === PASTE_WORLD_END ? PASTE_WORLD_END : null);
+    return { ...parseTeleportArgs(match[2]), world, source: "/execute in" };
+  }
+
+  // "tp" as a chat word ("lets tp to base at ...") is not a command
+  if ((match = /(?:^\/?|\s\/)(?:tp|teleport)\s+(.*)$/i.exec(line))) {
+    return { ...parseTeleportArgs(match[1]), source: "/tp" };
+  }
+
+  if ((match = PASTE_LABELLED_COORDS.exec(line))) {
+    return {
+      ...toBlockCoords(match.slice(1, 4)),
+      name: guessNameFromText(line.slice(0, match.index)),
+      source: "Labelled",
+    };
+  }
+
+  if ((match = /(-?\d+(?:\.\d+)?)\s*[,/;\s]\s*(-?\d+(?:\.\d+)?)\s*[,/;\s]\s*(-?\d+(?:\.\d+)?)/.exec(line))) {
+    return {
+      ...toBlockCoords(match.slice(1, 4)),
+      name: guessNameFromText(line.slice(0, match.index)),
+      source: "Text",
+    };
+  }
+
+  return null;
+}
+
+// [{ lineNumber, text, x, y, z, world, name, source, error }] plus the count of skipped lines
+function parseCoordinateText(text) {
+  const entries = [];
+  let contextWorld = null;
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (line === "") return;
+
+    const parsed = PASTE_IGNORED_F3_LINES.test(line) ? null : parseCoordinateLine(line);
+    const lineWorld = detectWorldInText(line);
+
+    if (!parsed) {
+      if (lineWorld) contextWorld = lineWorld;
+      else skipped++;
+      return;
+    }
+
+    const entry = {
+      lineNumber: i + 1,
+      text: line,
+      x: parsed.x ?? null,
+      y: parsed.y ?? null,
+      z: parsed.z ?? null,
+      world: parsed.world || lineWorld || contextWorld,
+      name: parsed.name || "",
+      source: parsed.source,
+      error: parsed.error || null,
+    };
+
+    // The dimension line only belongs to the position right after it
+    contextWorld = null;
+
+    if (!entry.error && entry.world === PASTE_WORLD_END) {
+      entry.error = "End coordinates cannot be linked";
+    }
+
+    // F3 shows the same spot as XYZ and Block, keep one (the Block line has
+    // no dimension of its own once the XYZ line used it up)
+    const previous = entries[entries.length - 1];
+    const duplicate = previous && !previous.error && !entry.error &&
+      previous.x === entry.x && previous.y === entry.y && previous.z === entry.z &&
+      (previous.world === entry.world || entry.world == null);
+    if (!duplicate) entries.push(entry);
+  });
+
+  return { entries, skipped };
+}
+
+// ---- Build Commands ----
+//
+// Java Edition (1.13+) commands that build a portal where the list says it is:
+// clear walking space on both sides of the frame, put an obsidian floor under
+// it where there is none, place the frame and fill it with portal blocks.
+
+const DATAPACK_NAMESPACE = "portal_linker";
+
+// Pack format of 1.21; older and newer versions still load it after a warning
+const DATAPACK_PACK_FORMAT = 48;
+
+// Ticks between force-loading the chunks and building, so they are loaded in time
+const DATAPACK_BUILD_DELAY = "5t";
+
+// Block boxes { minX..maxZ } for one portal, or null without coordinates
+function getPortalBuildBoxes(portal) {
+  const interior = getPortalFrameBounds(portal);
+  if (!interior) return null;
+
+  const alongX = portal.frame.axis === AXIS_X;
+
+  const frame = {
+    minX: alongX ? interior.minX - 1 : interior.minX,
+    maxX: alongX ? interior.maxX + 1 : interior.maxX,
+    minY: interior.minY - 1,
+    maxY: interior.maxY + 1,
+    minZ: alongX ? interior.minZ : interior.minZ - 1,
+    maxZ: alongX ? interior.maxZ : interior.maxZ + 1,
+  };
+
+  // One block either side of the frame, from the portal floor up
+  const clearance = {
+    minX: alongX ? frame.minX : frame.minX - 1,
+    maxX: alongX ? frame.maxX : frame.maxX + 1,
+    minY: interior.minY,
+    maxY: frame.maxY,
+    minZ: alongX ? frame.minZ - 1 : frame.minZ,
+    maxZ: alongX ? frame.maxZ + 1 : frame.maxZ,
+  };
+
+  const floor = { ...clearance, minY: frame.minY, maxY: frame.minY };
+
+  return { interior, frame, clearance, floor };
+}
+
+function formatBox(box) {
+  return `${box.minX} ${box.minY} ${box.minZ} ${box.maxX} ${box.maxY} ${box.maxZ}`;
+}
+
+function buildPortalCommands(index, clearSpace) {
+  const portal = portals[index];
+  const label = portalLabel(index);
+  const boxes = getPortalBuildBoxes(portal);
+
+  if (!boxes) return [`# ${label}: no coordinates, skipped`];
+
+  const run = `execute in ${DIMENSION_IDS[portal.world]} run`;
+  const { width, height, axis } = portal.frame;
+  const lines = [`# ${label} (${portal.world}, ${width}x${height}, ${axis} axis)`];
+
+  if (clearSpace) {
+    lines.push(`${run} fill ${formatBox(boxes.clearance)} minecraft:air`);
+    lines.push(`${run} fill ${formatBox(boxes.floor)} minecraft:obsidian keep`);
+  }
+  lines.push(`${run} fill ${formatBox(boxes.frame)} minecraft:obsidian`);
+  lines.push(`${run} fill ${formatBox(boxes.interior)} minecraft:nether_portal[axis=${axis}]`);
+
+  return lines;
+}
+
+// indices: portal indexes to build, in list order
+function buildCommandsText(indices, clearSpace) {
+  const lines = [`# Built by ${FILE_FORMAT_ID} ${APP_VERSION}`];
+
+  indices.forEach((index) => {
+    lines.push("", ...buildPortalCommands(index, clearSpace));
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+function chunkRange(box) {
+  return `${box.minX} ${box.minZ} ${box.maxX} ${box.maxZ}`;
+}
+
+// Files of a datapack: /function portal_linker:build force-loads every
+// portal's chunks and schedules the actual build, which unloads them after.
+function buildDatapackFiles(indices, clearSpace) {
+  const built = indices.filter((index) => getPortalBuildBoxes(portals[index]));
+
+  const forceload = (action) => built.map((index) => {
+    const boxes = getPortalBuildBoxes(portals[index]);
+    return `execute in ${DIMENSION_IDS[portals[index].world]} run forceload ${action} ${chunkRange(boxes.clearance)}`;
+  });
+
+  const start = [
+    ...forceload("add"),
+    `schedule function ${DATAPACK_NAMESPACE}:build_portals ${DATAPACK_BUILD_DELAY}`,
+  ].join("\n") + "\n";
+
+  const build = buildCommandsText(indices, clearSpace) + [
+    "",
+    ...forceload("remove"),
+    `tellraw @a {"text":"Built ${built.length} portals","color":"light_purple"}`,
+  ].join("\n") + "\n";
+
+  const mcmeta = JSON.stringify({
+    pack: {
+      pack_format: DATAPACK_PACK_FORMAT,
+      description: `Nether portals planned with ${FILE_FORMAT_ID}`,
+    },
+  }, null, 2);
+
+  // "functions" before 1.21, "function" since
+  const files = [{ name: "pack.mcmeta", text: mcmeta }];
+  ["function", "functions"].forEach((dir) => {
+    files.push({ name: `data/${DATAPACK_NAMESPACE}/${dir}/build.mcfunction`, text: start });
+    files.push({ name: `data/${DATAPACK_NAMESPACE}/${dir}/build_portals.mcfunction`, text: build });
+  });
+
+  return files;
+}
+
+// ---- Zip Archives ----
+//
+// Uncompressed ("stored") zip files, enough for small datapacks.
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  bytes.forEach((b) => {
+    crc = crc32Table[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, text }] -> Uint8Array
+function buildZipArchive(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const UTF8_NAMES = 0x0800;
+
+  const entries = files.map((file) => {
+    const data = encoder.encode(file.text);
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+
+  let offset = 0;
+  const u16 = (v) => { view.setUint16(offset, v, true); offset += 2; };
+  const u32 = (v) => { view.setUint32(offset, v, true); offset += 4; };
+  const bytes = (b) => { out.set(b, offset); offset += b.length; };
+
+  entries.forEach((e) => {
+    e.offset = offset;
+    u32(0x04034b50); u16(20); u16(UTF8_NAMES); u16(0); u16(dosTime); u16(dosDate);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0);
+    bytes(e.name);
+    bytes(e.data);
+  });
+
+  const centralOffset = offset;
+  entries.forEach((e) => {
+    u32(0x02014b50); u16(20); u16(20); u16(UTF8_NAMES); u16(0); u16(dosTime); u16(dosDate);
+    u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); u16(0);
+    u16(0); u16(0); u32(0); u32(e.offset);
+    bytes(e.name);
+  });
+
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralSize); u32(centralOffset); u16(0);
+
+  return out;
+}
+
+// ---- Display Formatting ----
+
+function formatCoordRange(min, max) {
+  return min === max ? `${min}` : `${min}..${max}`;
+}
+
+function formatDistanceRange(min, max) {
+  if (max == null || max.toFixed(2) === min.toFixed(2)) return min.toFixed(2);
+  return `${min.toFixed(2)}–${max.toFixed(2)}`;
+}
+
+function formatTravelLoc(travel) {
+  if (!travel || travel.x == null) return "— / — / — (—)";
+
+  const min = travel.min || travel;
+  const max = travel.max || travel;
+
+  return `${formatCoordRange(min.x, max.x)} / ${formatCoordRange(min.y, max.y)} / ` +
+    `${formatCoordRange(min.z, max.z)} (${travel.world})`;
+}
+
+function formatClosest(closest) {
+  if (!closest || closest.name == null) return "— (—)";
+  return `${closest.name} (${formatDistanceRange(closest.distance, closest.maxDistance)})`;
+}
+
+function formatTarget(target) {
+  if (!target || target.name == null) return "— (—)";
+  if (target.distance === "Cannot Reach") return `${target.name} (Cannot Reach)`;
+  return `${target.name} (${formatDistanceRange(target.distance, target.maxDistance)})`;
+}
+
+// Warning text when blocks of one frame do not all link to the same portal
+function describeClosestSplit(closest) {
+  if (!closest || closest.name == null || !closest.totalBlocks) return "";
+  if (closest.others.length === 0 && closest.unlinkedBlocks === 0) return "";
+
+  const parts = [`${closest.blocks}/${closest.totalBlocks} blocks → ${closest.name}`];
+  closest.others.forEach((other) => parts.push(`${other.blocks} → ${other.name}`));
+  if (closest.unlinkedBlocks > 0) parts.push(`${closest.unlinkedBlocks} → new portal`);
+
+  return `⚠ Frame splits: ${parts.join(", ")}`;
+}
+
+function describeTargetReach(target) {
+  if (!target || !target.totalBlocks) return "";
+  if (target.reachableBlocks === target.totalBlocks) return "";
+
+  return `⚠ Reachable from ${target.reachableBlocks}/${target.totalBlocks} blocks`;
+}
+
+function formatGeneratedPosition(generated) {
+  return `${generated.x} / ${generated.y} / ${generated.z} (${generated.world})`;
+}
+
+function formatGeneratedSearch(generated) {
+  const { search } = generated;
+  return `${formatCoordRange(search.minX, search.maxX)} / ${formatCoordRange(search.minY, search.maxY)} / ` +
+    `${formatCoordRange(search.minZ, search.maxZ)}`;
+}
+
+function formatGeneratedPlatform(generated) {
+  const { platform } = generated;
+  return `${platform.x} / ${platform.y} / ${platform.z}`;
+}
+
+function formatRoutePoint(point) {
+  return `${point.x} / ${point.y} / ${point.z} ${point.world}`;
+}
+
+// 42 -> "42 s", 200 -> "3 min 20 s", 3900 -> "1 h 5 min"
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total} s`;
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours > 0) return `${hours} h ${minutes} min`;
+
+  const rest = total % 60;
+  return rest > 0 ? `${minutes} min ${rest} s` : `${minutes} min`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Replaces a select's options only when they changed; rebuilding a long
+// list on every keystroke is slow and closes it if it is open
+const selectOptionsHtml = new WeakMap();
+
+function setSelectOptions(select, html) {
+  if (selectOptionsHtml.get(select) === html) return false;
+
+  selectOptionsHtml.set(select, html);
+  select.innerHTML = html;
+  return true;
+}
+
+// Rewriting unchanged text would make screen readers repeat live regions
+function setTextIfChanged(el, text) {
+  if (el && el.textContent !== text) el.textContent = text;
+}
+
+function setWarningText(el, text) {
+  if (!el) return;
+  setTextIfChanged(el, text);
+  el.classList.toggle("hidden", text === "");
+}
+
+// ---- Output Card ----
+
+const TOP_CARD_FIELDS = {
+  name: "top-name",
+  destination: "top-destination",
+  x: "top-x",
+  y: "top-y",
+  z: "top-z",
+  axis: "top-axis",
+  width: "top-width",
+  height: "top-height",
+  anchor: "top-anchor",
+};
+
+function readTopCardState() {
+  const state = { world: topWorld };
+
+  Object.entries(TOP_CARD_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el) state[key] = el.value;
+  });
+
+  // Set when the destination was picked from the list rather than typed
+  const destEl = document.getElementById("top-destination");
+  if (destEl && destEl.dataset.portalId) state.destinationId = destEl.dataset.portalId;
+
+  return state;
+}
+
+function applyTopCardState(state) {
+  const frame = createBlankFrame();
+  const defaults = {
+    name: "", destination: "", x: "", y: "", z: "",
+    axis: frame.axis, width: String(frame.width), height: String(frame.height), anchor: frame.anchor,
+  };
+  const source = state && typeof state === "object" ? state : {};
+
+  Object.entries(TOP_CARD_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.value = typeof source[key] === "string" ? source[key] : defaults[key];
+  });
+
+  const destEl = document.getElementById("top-destination");
+  if (destEl) {
+    if (typeof source.destinationId === "string" && destEl.value) destEl.dataset.portalId = source.destinationId;
+    else delete destEl.dataset.portalId;
+  }
+
+  topWorld = source.world === WORLD_NETHER ? WORLD_NETHER : WORLD_OVERWORLD;
+}
+
+function readTopFrameInputs() {
+  const axisEl = document.getElementById("top-axis");
+  const widthEl = document.getElementById("top-width");
+  const heightEl = document.getElementById("top-height");
+  const anchorEl = document.getElementById("top-anchor");
+
+  if (!axisEl || !widthEl || !heightEl || !anchorEl) return createBlankFrame();
+
+  return sanitizeFrame({
+    axis: axisEl.value,
+    width: widthEl.value === "" ? null : Number(widthEl.value),
+    height: heightEl.value === "" ? null : Number(heightEl.value),
+    anchor: anchorEl.value,
+  });
+}
+
+// Top inputs as an unsaved portal, or null while the coordinates are unusable
+function buildTopPreviewPortal() {
+  const topNameInput = document.getElementById("top-name");
+  const topXInput = document.getElementById("top-x");
+  const topYInput = document.getElementById("top-y");
+  const topZInput = document.getElementById("top-z");
+  const topDestInput = document.getElementById("top-destination");
+
+  if (!topXInput || !topYInput || !topZInput || !topDestInput) return null;
+
+  const x = Number(topXInput.value);
+  const y = Number(topYInput.value);
+  const z = Number(topZInput.value);
+
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null;
+
+  // Run the top inputs through the same pipeline as a listed portal
+  const preview = createBlankPortal();
+  preview.name = topNameInput ? topNameInput.value.trim() : "";
+  preview.destination = topDestInput.value;
+  preview.destinationId = topDestInput.dataset.portalId || null;
+  preview.x = x;
+  preview.y = y;
+  preview.z = z;
+  preview.world = topWorld;
+  preview.frame = readTopFrameInputs();
+
+  PortalEngine.resolveDestinations([preview], portals);
+  computePortalTravelLocation(preview);
+  computeClosestPortal(preview, -1);
+  computeTargetPortal(preview);
+
+  return preview;
+}
+
+function updateGeneratedOutput(generated) {
+  const section = document.getElementById("generatedSection");
+  if (!section) return;
+
+  section.classList.toggle("hidden", !generated);
+  if (!generated) return;
+
+  document.getElementById("generatedPos").textContent = formatGeneratedPosition(generated);
+  document.getElementById("generatedSearch").textContent = formatGeneratedSearch(generated);
+  document.getElementById("generatedPlatform").textContent = formatGeneratedPlatform(generated);
+}
+
+function updateOutputCard() {
+  const outX = document.getElementById("outX");
+  const outY = document.getElementById("outY");
+  const outZ = document.getElementById("outZ");
+  const outWorld = document.getElementById("outWorld");
+
+  const closestName = document.getElementById("closestName");
+  const closestDistance = document.getElementById("closestDistance");
+
+  const targetName = document.getElementById("targetName");
+  const targetDistance = document.getElementById("targetDistance");
+
+  if (
+    !outX || !outY || !outZ || !outWorld ||
+    !closestName || !closestDistance ||
+    !targetName || !targetDistance
+  ) {
+    return;
+  }
+
+  const closestWarning = document.getElementById("closestWarning");
+  const targetWarning = document.getElementById("targetWarning");
+
+  const preview = buildTopPreviewPortal();
+
+  if (!preview) {
+    outX.textContent = "—";
+    outY.textContent = "—";
+    outZ.textContent = "—";
+    outWorld.textContent = "—";
+    closestName.textContent = "—";
+    closestDistance.textContent = "—";
+    targetName.textContent = "—";
+    targetDistance.textContent = "—";
+    setWarningText(closestWarning, "");
+    setWarningText(targetWarning, "");
+    updateGeneratedOutput(null);
+    updateTopExplanation(null);
+    return;
+  }
+
+  const { travel, closest, target } = preview;
+
+  // A picked destination shows its target's current name
+  const topDest = document.getElementById("top-destination");
+  if (topDest && topDest !== document.activeElement && topDest.value !== preview.destination) {
+    topDest.value = preview.destination;
+  }
+
+  outX.textContent = formatCoordRange(travel.min.x, travel.max.x);
+  outY.textContent = formatCoordRange(travel.min.y, travel.max.y);
+  outZ.textContent = formatCoordRange(travel.min.z, travel.max.z);
+  outWorld.textContent = travel.world;
+
+  // ---- CLOSEST PORTAL ----
+  closestName.textContent = closest.name != null ? closest.name : "Cannot Reach";
+  closestDistance.textContent = closest.name != null
+    ? formatDistanceRange(closest.distance, closest.maxDistance)
+    : "—";
+  setWarningText(closestWarning, describeClosestSplit(closest));
+  updateGeneratedOutput(preview.generated);
+
+  // ---- TARGET PORTAL ----
+  if (target.name == null) {
+    targetName.textContent = "—";
+    targetDistance.textContent = "—";
+  } else {
+    targetName.textContent = target.name;
+    targetDistance.textContent = target.distance === "Cannot Reach"
+      ? "Cannot Reach"
+      : formatDistanceRange(target.distance, target.maxDistance);
+  }
+  setWarningText(targetWarning, describeTargetReach(target));
+  updateTopExplanation(preview);
+}
+
+
+// ---- Portal Card Display Updates ----
 
 function updatePortalCardDisplays() {
   const container = document.getElementById("portalList");
-  if (!container) return;
+  if (!container) return;
+
+  const cards = container.querySelectorAll(".portal-card");
+
+  cards.forEach((card) => {
+    const portal = portals[Number(card.dataset.index)];
+    if (!portal) return;
+
+    setTextIfChanged(card.querySelector(".travel-loc"), formatTravelLoc(portal.travel));
+    setTextIfChanged(card.querySelector(".closest-info"), formatClosest(portal.closest));
+    setWarningText(card.querySelector(".closest-warning"), describeClosestSplit(portal.closest));
+
+    // ---- Generated Portal Display ----
+    const generatedBox = card.querySelector(".generated-info");
+    if (generatedBox) {
+      generatedBox.classList.toggle("hidden", !portal.generated);
+      if (portal.generated) {
+        generatedBox.querySelector(".generated-pos").textContent =
+          `New portal ≈ ${formatGeneratedPosition(portal.generated)}`;
+        generatedBox.querySelector(".generated-search").textContent =
+          `Search ${formatGeneratedSearch(portal.generated)}`;
+        generatedBox.querySelector(".generated-platform").textContent =
+          `Fallback platform ${formatGeneratedPlatform(portal.generated)}`;
+      }
+    }
+
+    // ---- Destination follows renames of its target ----
+    const destInput = card.querySelector(".destination-input");
+    if (destInput && destInput !== document.activeElement && destInput.value !== portal.destination) {
+      destInput.value = portal.destination;
+    }
+
+    // ---- Folded Section Summaries (narrow screens) ----
+    const inputsSummary = card.querySelector(`.card-summary-${CARD_SECTION_INPUTS}`);
+    if (inputsSummary) {
+      inputsSummary.textContent = portal.x == null
+        ? "no coordinates"
+        : `${portal.x} / ${portal.y ?? "—"} / ${portal.z ?? "—"} ${portal.world}`;
+    }
+    const resultsSummary = card.querySelector(`.card-summary-${CARD_SECTION_RESULTS}`);
+    if (resultsSummary) {
+      resultsSummary.textContent = portal.closest.name == null ? "no link" : `→ ${portal.closest.name}`;
+    }
+
+    // ---- Target Display ----
+    setTextIfChanged(card.querySelector(".target-info"), formatTarget(portal.target));
+    setWarningText(card.querySelector(".target-warning"), describeTargetReach(portal.target));
+
+    // ---- Link Explanation ----
+    if (openExplanations.has(portal.id)) {
+      renderLinkExplanation(card.querySelector(".link-explanation"), portal, Number(card.dataset.index));
+    }
+
+    updateSyncBadge(card.querySelector(".sync-badge"), getPortalSyncStatus(portal));
+    updateCardButtonLabels(card.parentElement, Number(card.dataset.index));
+
+  });
+}
+
+// ---- Link Explanation ----
+//
+// Turns PortalEngine.explainPortalLink traces into numbered steps of text. A
+// card or the top inputs show every step at once; how-it-works.html shows
+// them one at a time.
+
+const MAX_EXPLAINED_CANDIDATES = 8;
+
+// Cards whose explanation is open, by portal id, so it survives re-renders
+const openExplanations = new Set();
+
+const EXPLANATION_TONES = {
+  normal: "text-gray-200",
+  strong: "text-gray-100 font-medium",
+  muted: "text-gray-400",
+  good: "text-green-400",
+  warn: "text-amber-400",
+};
+
+function explainPortalLink(portal, index) {
+  return PortalEngine.explainPortalLink(portal, index, getEngineContext());
+}
+
+// 12.5 -> "12.5", -4.625 -> "-4.625", 1/3 -> "0.333"
+function formatFraction(value) {
+  return String(Number(value.toFixed(3)));
+}
+
+function formatBlock(block) {
+  return `${block.x} / ${block.y} / ${block.z}`;
+}
+
+function describeConvertedCoordinate(axis, step, conversion) {
+  if (step.operation === "multiply") return `${axis}: ${step.input} × ${conversion.scale} = ${step.output}`;
+
+  const round = conversion.rounding === "truncate" ? "trunc" : "floor";
+  return `${axis}: ${round}(${step.input} ÷ ${conversion.scale}) = ${round}(${formatFraction(step.scaled)}) = ${step.output}`;
+}
+
+function describeConversionStep(trace) {
+  const { conversion, point, world } = trace;
+  const toNether = conversion.fromWorld === WORLD_OVERWORLD;
+  const rounding = conversion.rounding === "truncate"
+    ? "drops the fraction (rounds toward 0)"
+    : "rounds down (floor)";
+
+  const lines = [
+    {
+      text: toNether
+        ? `Overworld → Nether divides x and z by ${conversion.scale}, then ${rounding}.`
+        : `Nether → Overworld multiplies x and z by ${conversion.scale}.`,
+    },
+    { text: describeConvertedCoordinate("x", conversion.x, conversion), code: true },
+    {
+      text: conversion.y.clamped
+        ? `y: ${conversion.y.input} is outside ${conversion.y.minY}..${conversion.y.maxY}, so ${conversion.y.output}`
+        : `y: ${conversion.y.input} stays ${conversion.y.output}`,
+      code: true,
+    },
+    { text: describeConvertedCoordinate("z", conversion.z, conversion), code: true },
+  ];
+
+  // Negative fractions are where floor and truncation disagree
+  const negativeFraction = toNether &&
+    [conversion.x, conversion.z].find((step) => step.scaled < 0 && !Number.isInteger(step.scaled));
+  if (negativeFraction) {
+    const example = `${formatFraction(negativeFraction.scaled)} becomes ${negativeFraction.output}`;
+    lines.push({
+      text: conversion.rounding === "truncate"
+        ? `Negative values round toward 0, so ${example}.`
+        : `Negative values round down, away from 0, so ${example}.`,
+      tone: "muted",
+    });
+  }
+
+  lines.push({ text: `Exit point: ${formatRoutePoint({ ...point, world })}`, tone: "strong" });
+
+  if (trace.exitPoints > 1) {
+    lines.push({
+      text: `This follows the anchor block. All ${trace.totalBlocks} portal blocks of the frame lead to ` +
+        `${trace.exitPoints} exit points.`,
+      tone: "muted",
+    });
+  }
+
+  return { title: "Convert the coordinates", lines };
+}
+
+function describeSearchStep(trace) {
+  const { search, world } = trace;
+
+  return {
+    title: "Search square",
+    lines: [
+      { text: `In the ${world} the game searches ${search.range} blocks each way along x and z from the exit point.` },
+      { text: `x ${search.minX}..${search.maxX}, z ${search.minZ}..${search.maxZ}, y ${search.minY}..${search.maxY} (the whole height)`, code: true },
+      {
+        text: "A portal counts when its nearest portal block is inside the square. Distance is measured in 3D to that block.",
+        tone: "muted",
+      },
+    ],
+  };
+}
+
+function describeCandidate(entry, trace) {
+  const at = entry.block ? ` at ${formatBlock(entry.block)}` : "";
+
+  switch (entry.status) {
+    case "chosen":
+      return { text: `✓ ${entry.name}${at}: ${entry.distance.toFixed(2)} blocks, the closest`, tone: "good" };
+    case "tie":
+      return {
+        text: `= ${entry.name}${at}: also ${entry.distance.toFixed(2)} blocks, but the ` +
+          `${entry.lostTo === "lower" ? "lower" : "earlier listed"} portal wins`,
+      };
+    case "farther":
+      return { text: `✗ ${entry.name}${at}: ${entry.distance.toFixed(2)} blocks, farther than ${trace.chosen.name}` };
+    case "out-of-range": {
+      const axis = entry.dx >= entry.dz ? "x" : "z";
+      return {
+        text: `✗ ${entry.name}: ${Math.max(entry.dx, entry.dz)} blocks away along ${axis}, outside the square`,
+        tone: "muted",
+      };
+    }
+    default:
+      return { text: `✗ ${entry.name}: no coordinates yet`, tone: "muted" };
+  }
+}
+
+function describeCandidatesStep(trace, maxCandidates) {
+  const { candidates, world } = trace;
+  const lines = candidates.slice(0, maxCandidates).map((entry) => describeCandidate(entry, trace));
+
+  if (candidates.length === 0) lines.push({ text: `There are no portals in the ${world} yet.`, tone: "muted" });
+  if (candidates.length > maxCandidates) {
+    lines.push({ text: `…and ${candidates.length - maxCandidates} more, all farther away.`, tone: "muted" });
+  }
+  if (trace.otherWorldCount > 0) {
+    lines.push({
+      text: `${trace.otherWorldCount} ${trace.otherWorldCount === 1 ? "portal is" : "portals are"} in the ` +
+        `${getOtherWorld(world)} and not searched.`,
+      tone: "muted",
+    });
+  }
+
+  return { title: "Check each portal", lines };
+}
+
+function describeResultStep(trace, portal) {
+  const { chosen, generated } = trace;
+  const lines = [];
+
+  if (chosen) {
+    lines.push({ text: `You arrive at ${chosen.name}, ${chosen.distance.toFixed(2)} blocks from the exit point.`, tone: "good" });
+
+    const next = trace.candidates.find((entry) => entry.status === "tie" || entry.status === "farther");
+    if (next && next.status === "tie") {
+      lines.push({
+        text: trace.tieBreak === "lowest-y"
+          ? `${next.name} is just as close; the lowest portal wins, then the earliest listed.`
+          : `${next.name} is just as close; the first portal found wins, here the earlier listed.`,
+      });
+    } else if (next) {
+      lines.push({
+        text: `Next closest: ${next.name} at ${next.distance.toFixed(2)} blocks, ` +
+          `${(next.distance - chosen.distance).toFixed(2)} farther.`,
+      });
+    } else {
+      lines.push({ text: "No other portal is in range.", tone: "muted" });
+    }
+  } else {
+    lines.push({ text: `Nothing is in range, so the game builds a new portal near ${formatGeneratedPosition(generated)}.` });
+    lines.push({
+      text: `It looks for space in ${formatGeneratedSearch(generated)}, otherwise it makes a platform at ` +
+        `${formatGeneratedPlatform(generated)}.`,
+      tone: "muted",
+    });
+  }
+
+  const split = describeClosestSplit(portal.closest);
+  if (split) lines.push({ text: split, tone: "warn" });
+
+  return { title: "Result", lines };
+}
+
+function describeDestinationLine(trace, portal) {
+  const { destination, chosen } = trace;
+  if (!destination) return { text: `No portal is called "${portal.destination}" yet.`, tone: "warn" };
+
+  const { name } = destination;
+  switch (destination.status) {
+    case "linked":
+      return { text: `${name} is the closest portal, so this link works.`, tone: "good" };
+    case "not-closest":
+      return {
+        text: `${name} is in range (${destination.distance.toFixed(2)} blocks) but ${chosen.name} is closer, ` +
+          "so you arrive there instead.",
+        tone: "warn",
+      };
+    case "out-of-range":
+      return { text: `${name} is outside the search square, so this portal cannot reach it.`, tone: "warn" };
+    case "wrong-world":
+      return { text: `${name} is in the ${portal.world} too; portals only link to the other dimension.`, tone: "warn" };
+    default:
+      return { text: `${name} has no coordinates yet.`, tone: "muted" };
+  }
+}
+
+// Steps for a trace; the destination step only when the portal names one
+function describeLinkTrace(trace, portal, maxCandidates = MAX_EXPLAINED_CANDIDATES) {
+  const steps = [
+    describeConversionStep(trace),
+    describeSearchStep(trace),
+    describeCandidatesStep(trace, maxCandidates),
+    describeResultStep(trace, portal),
+  ];
+
+  if (trace.destination || portal.destination) {
+    steps.push({ title: "Destination", lines: [describeDestinationLine(trace, portal)] });
+  }
+  return steps;
+}
+
+function buildExplanationLine(line) {
+  const el = document.createElement("p");
+  el.className = `${EXPLANATION_TONES[line.tone || "normal"]}${line.code ? " font-mono" : ""}`;
+  el.textContent = line.text;
+  return el;
+}
+
+function buildExplanationStep(step, number) {
+  const section = document.createElement("div");
+  section.className = "flex flex-col gap-0.5";
+
+  const heading = document.createElement("h4");
+  heading.className = "font-medium text-purple-300";
+  heading.textContent = `${number}. ${step.title}`;
+
+  section.appendChild(heading);
+  step.lines.forEach((line) => section.appendChild(buildExplanationLine(line)));
+  return section;
+}
+
+// The top inputs (index -1) are not in the list, so they have their own anchor
+function getWalkthroughHref(portal, index) {
+  return `how-it-works.html#${index >= 0 ? `portal-${portal.id}` : "top"}`;
+}
+
+// Rebuilds only when the steps changed, so unrelated edits leave it alone
+function renderLinkExplanation(container, portal, index) {
+  if (!container) return;
+
+  const trace = explainPortalLink(portal, index);
+  const steps = trace ? describeLinkTrace(trace, portal) : null;
+  const signature = JSON.stringify(steps);
+  if (container.dataset.signature === signature) return;
+  container.dataset.signature = signature;
+
+  container.innerHTML = "";
+
+  if (!steps) {
+    container.appendChild(buildExplanationLine({ text: "Enter coordinates to see how this portal links.", tone: "muted" }));
+    return;
+  }
+
+  steps.forEach((step, i) => container.appendChild(buildExplanationStep(step, i + 1)));
+
+  const link = document.createElement("a");
+  link.href = getWalkthroughHref(portal, index);
+  link.className = "self-start text-purple-400 hover:text-purple-300";
+  link.textContent = "Step through it on How It Works →";
+  container.appendChild(link);
+}
+
+function buildExplanationRow(portal, index) {
+  const row = document.createElement("div");
+  row.className = "md:col-span-6 md:-mt-6 flex flex-col gap-2 text-xs";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.dataset.field = "explain";
+  toggle.className = "self-start text-purple-400 hover:text-purple-300";
+
+  const body = document.createElement("div");
+  body.id = cardFieldId(portal, "explanation");
+  toggle.setAttribute("aria-controls", body.id);
+
+  const setOpen = (open) => {
+    body.className = `link-explanation ${open ? "flex" : "hidden"} flex-col gap-3 border-l-2 border-gray-700 pl-3`;
+    toggle.textContent = `${open ? "▾" : "▸"} Why this link?`;
+    toggle.setAttribute("aria-expanded", String(open));
+    if (open) renderLinkExplanation(body, portals[index], index);
+  };
+
+  toggle.addEventListener("click", () => {
+    const open = !openExplanations.has(portal.id);
+    if (open) openExplanations.add(portal.id);
+    else openExplanations.delete(portal.id);
+    setOpen(open);
+  });
+
+  setOpen(openExplanations.has(portal.id));
+  row.appendChild(toggle);
+  row.appendChild(body);
+  return row;
+}
+
+function updateTopExplanation(preview) {
+  const section = document.getElementById("topExplainSection");
+  const container = document.getElementById("topExplanation");
+  if (!section || !container || !section.open) return;
+
+  if (preview) {
+    renderLinkExplanation(container, preview, -1);
+  } else {
+    delete container.dataset.signature;
+    container.innerHTML = "";
+    container.appendChild(buildExplanationLine({ text: "Enter coordinates to see how this portal links.", tone: "muted" }));
+  }
+}
+
+function setupTopExplanation() {
+  const section = document.getElementById("topExplainSection");
+  if (!section) {
+    console.warn("Link explanation section missing from DOM");
+    return;
+  }
+
+  section.addEventListener("toggle", () => updateTopExplanation(buildTopPreviewPortal()));
+}
+
+// ---- Diagnostics Panel ----
+
+const SEVERITY_STYLES = {
+  [SEVERITY_ERROR]: "text-red-400",
+  [SEVERITY_WARNING]: "text-amber-400",
+  [SEVERITY_INFO]: "text-sky-400",
+};
+
+function updateDiagnosticsPanel() {
+  const section = document.getElementById("diagnosticsSection");
+  const list = document.getElementById("diagnosticsList");
+  const summary = document.getElementById("diagnosticsSummary");
+  if (!list || !summary) return;
+
+  const issues = collectNetworkIssues();
+
+  const counts = SEVERITY_ORDER.map((severity) => {
+    const count = issues.filter((issue) => issue.severity === severity).length;
+    return `${count} ${severity}${count === 1 || severity === SEVERITY_INFO ? "" : "s"}`;
+  });
+  summary.textContent = issues.length === 0 ? "No problems found" : counts.join(" · ");
+
+  // The list can run to thousands of rows, so it is only built while open
+  list.innerHTML = "";
+  if (section && !section.open) return;
+
+  issues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.className = "flex flex-row items-center gap-3";
+
+    const badge = document.createElement("span");
+    badge.className = `w-16 shrink-0 text-xs uppercase ${SEVERITY_STYLES[issue.severity]}`;
+    badge.textContent = issue.severity;
+
+    const message = document.createElement("span");
+    message.className = "flex-1 text-gray-200";
+    message.textContent = issue.message;
+
+    const jumpBtn = document.createElement("button");
+    jumpBtn.className = "shrink-0 text-gray-400 hover:text-purple-300";
+    jumpBtn.textContent = `Go to #${issue.index + 1}`;
+    jumpBtn.addEventListener("click", () => jumpToPortalCard(issue.index));
+
+    item.appendChild(badge);
+    item.appendChild(message);
+    item.appendChild(jumpBtn);
+    list.appendChild(item);
+  });
+}
+
+function setupDiagnosticsPanel() {
+  const section = document.getElementById("diagnosticsSection");
+  if (!section) {
+    console.warn("Diagnostics panel missing from DOM");
+    return;
+  }
+
+  section.addEventListener("toggle", updateDiagnosticsPanel);
+}
+
+function jumpToPortalCard(index) {
+  const container = document.getElementById("portalList");
+  if (!container) return;
+
+  // A card hidden by the search or filters is shown by clearing them
+  if (isListViewActive() && !matchesListView(portals[index])) {
+    clearListView();
+    renderPortalCards();
+  }
+
+  // A virtualized list may not have the card in the DOM yet
+  if (virtualList) {
+    const position = virtualList.order.indexOf(index);
+    if (position !== -1 && !virtualList.cards.has(position)) renderVirtualWindow(position);
+  }
+
+  const card = container.querySelector(`.portal-card[data-index="${index}"]`);
+  if (!card) return;
+
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+
+  const firstInput = card.querySelector("input[type=text]");
+  if (firstInput) firstInput.focus({ preventScroll: true });
+
+  card.classList.add("ring-2", "ring-purple-400");
+  setTimeout(() => card.classList.remove("ring-2", "ring-purple-400"), 1500);
+}
+
+// ---- Return Portal Planner ----
+
+const MAX_RETURN_RANGES_SHOWN = 12;
+
+function updateReturnPlannerOptions() {
+  const select = document.getElementById("returnSource");
+  if (!select) return;
+
+  const previous = select.value;
+
+  const changed = setSelectOptions(select, portals.map((portal, index) =>
+    `<option value="${escapeHtml(portal.id)}">${escapeHtml(portalLabel(index))} (${portal.world})</option>`
+  ).join(""));
+
+  if (changed && portals.some((portal) => portal.id === previous)) select.value = previous;
+}
+
+// An answer (or a solve still running) only fits the list it was worked out for
+function clearReturnSolution() {
+  returnSolveRun++;
+  renderReturnSolution(undefined);
+}
+
+function setupReturnPlanner() {
+  const solveBtn = document.getElementById("returnSolveBtn");
+  const select = document.getElementById("returnSource");
+  const yInput = document.getElementById("returnY");
+
+  if (!solveBtn || !select || !yInput) {
+    console.warn("Return planner controls missing from DOM");
+    return;
+  }
+
+  solveBtn.addEventListener("click", async () => {
+    solveBtn.disabled = true;
+    try {
+      const buildY = yInput.value === "" ? null : Number(yInput.value);
+      const solution = await solveReturnPortal(select.value, buildY, renderReturnProgress);
+      if (solution !== undefined) renderReturnSolution(solution);
+    } catch (err) {
+      console.error("Return portal solve failed:", err);
+    } finally {
+      solveBtn.disabled = false;
+    }
+  });
+
+  // The last answer belongs to the previously selected portal
+  select.addEventListener("change", clearReturnSolution);
+
+  updateReturnPlannerOptions();
+}
+
+function renderReturnProgress(fraction) {
+  const result = document.getElementById("returnResult");
+  if (!result) return;
+
+  result.innerHTML = "";
+  const progress = document.createElement("p");
+  progress.className = "text-gray-400";
+  progress.textContent = `Checking spots… ${Math.round(fraction * 100)}%`;
+  result.appendChild(progress);
+}
+
+function renderReturnSolution(solution) {
+  const result = document.getElementById("returnResult");
+  if (!result) return;
+
+  result.innerHTML = "";
+  if (solution === undefined) return;
+
+  const summary = document.createElement("p");
+  summary.className = "text-gray-200";
+
+  if (!solution) {
+    summary.textContent = "Give the portal X / Y / Z coordinates first.";
+    result.appendChild(summary);
+    return;
+  }
+
+  if (solution.count === 0) {
+    summary.textContent =
+      `No spot at Y ${solution.y} in the ${solution.world} links both ways. ` +
+      "Try another Y level or move the portals that steal the link.";
+    result.appendChild(summary);
+    return;
+  }
+
+  const { best, exact } = solution;
+  summary.textContent =
+    `${solution.count} valid spots at Y ${solution.y} in the ${solution.world} ` +
+    `(exact travel location ${exact.x.toFixed(2)} / ${exact.y} / ${exact.z.toFixed(2)}).`;
+
+  const bestLine = document.createElement("p");
+  bestLine.className = "mt-2 text-purple-300";
+  bestLine.textContent =
+    `Best: ${best.x} / ${best.y} / ${best.z} (${best.distance.toFixed(2)} from the exact location)`;
+
+  const list = document.createElement("ul");
+  list.className = "mt-2 space-y-1 text-gray-400";
+
+  solution.ranges.slice(0, MAX_RETURN_RANGES_SHOWN).forEach((rect) => {
+    const item = document.createElement("li");
+    item.textContent = `X ${formatCoordRange(rect.minX, rect.maxX)}, Z ${formatCoordRange(rect.minZ, rect.maxZ)}`;
+    list.appendChild(item);
+  });
+
+  if (solution.ranges.length > MAX_RETURN_RANGES_SHOWN) {
+    const more = document.createElement("li");
+    more.textContent = `…and ${solution.ranges.length - MAX_RETURN_RANGES_SHOWN} more ranges`;
+    list.appendChild(more);
+  }
+
+  const addBtn = document.createElement("button");
+  addBtn.className =
+    "mt-3 bg-gray-900 border border-gray-700 rounded-lg px-4 py-2 text-sm text-gray-200 " +
+    "hover:bg-gray-700 transition";
+  addBtn.textContent = "+ Add Return Portal at Best Spot";
+  addBtn.addEventListener("click", () => {
+    const portal = createReturnPortal(solution);
+    if (portal) {
+      portals.push(portal);
+      savePortalsToStorage();
+      renderPortalList();
+    }
+    renderReturnSolution(undefined);
+  });
+
+  result.appendChild(summary);
+  result.appendChild(bestLine);
+  result.appendChild(list);
+  result.appendChild(addBtn);
+}
+
+// ---- Route Planner Panel ----
+
+function readRoutePoint(prefix) {
+  const value = (axis) => {
+    const el = document.getElementById(`${prefix}${axis}`);
+    return el && el.value !== "" ? Number(el.value) : null;
+  };
+  const worldEl = document.getElementById(`${prefix}World`);
+
+  return {
+    x: value("X"),
+    y: value("Y"),
+    z: value("Z"),
+    world: worldEl && worldEl.value === WORLD_NETHER ? WORLD_NETHER : WORLD_OVERWORLD,
+  };
+}
+
+function describeRouteNode(node) {
+  switch (node.kind) {
+    case "start":
+      return `the start (${formatRoutePoint(node)})`;
+    case "end":
+      return `the destination (${formatRoutePoint(node)})`;
+    case "generated":
+      return `the new portal ${portalLabel(node.source)} would build (${formatRoutePoint(node)})`;
+    default:
+      return `${portalLabel(node.index)} (${formatRoutePoint(node)})`;
+  }
+}
+
+function describeRouteStep(step) {
+  if (step.kind === "portal") {
+    return `Take ${portalLabel(step.from.index)} to ${describeRouteNode(step.to)}`;
+  }
+  return `Walk ${Math.round(step.distance)} blocks in the ${step.from.world} to ${describeRouteNode(step.to)}`;
+}
+
+function formatRouteTimes(seconds) {
+  return Object.entries(TRAVEL_MODES)
+    .map(([key, mode]) => `${mode.label} ${formatDuration(seconds[key])}`)
+    .join(" · ");
+}
+
+function renderRoute(route, start, end) {
+  const result = document.getElementById("routeResult");
+  if (!result) return;
+
+  result.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "text-gray-200";
+
+  if (!route) {
+    summary.textContent = start.world === end.world
+      ? "No route found."
+      : `No portal in the ${start.world} leads anywhere yet, so the ${end.world} cannot be reached.`;
+    result.appendChild(summary);
+    return;
+  }
+
+  const { steps, totals } = route;
+  summary.textContent =
+    `${steps.length} step${steps.length === 1 ? "" : "s"}, ${Math.round(totals.distance)} blocks on foot, ` +
+    `${totals.portals} portal${totals.portals === 1 ? "" : "s"}. ` +
+    formatRouteTimes(totals.seconds);
+  result.appendChild(summary);
+
+  const list = document.createElement("ol");
+  list.className = "mt-3 space-y-2 list-decimal list-inside";
+
+  steps.forEach((step) => {
+    const item = document.createElement("li");
+    item.className = "text-gray-200";
+    item.textContent = describeRouteStep(step);
+
+    const times = document.createElement("div");
+    times.className = "ml-5 text-xs text-gray-400";
+    times.textContent = step.kind === "portal"
+      ? `${PORTAL_TRANSIT_SECONDS} s in the portal`
+      : formatRouteTimes(step.seconds);
+    item.appendChild(times);
+
+    if (step.kind === "portal" && step.to.kind === "generated") {
+      const note = document.createElement("div");
+      note.className = "ml-5 text-xs text-amber-300";
+      note.textContent = "⚠ Nothing links there yet, the game will build this portal the first time you go through.";
+      item.appendChild(note);
+    }
+
+    list.appendChild(item);
+  });
+
+  result.appendChild(list);
+
+  // Worth knowing when the portals only save a little
+  if (start.world === end.world && totals.portals > 0) {
+    const direct = buildRouteSteps([{ kind: "walk", from: start, to: end }]).totals;
+    const compare = document.createElement("p");
+    compare.className = "mt-3 text-xs text-gray-400";
+    compare.textContent = `Walking straight there: ${Math.round(direct.distance)} blocks, ${formatRouteTimes(direct.seconds)}.`;
+    result.appendChild(compare);
+  }
+}
+
+function setupRoutePlanner() {
+  const solveBtn = document.getElementById("routeSolveBtn");
+  const modeSelect = document.getElementById("routeMode");
+
+  if (!solveBtn || !modeSelect) {
+    console.warn("Route planner controls missing from DOM");
+    return;
+  }
+
+  modeSelect.innerHTML = Object.entries(TRAVEL_MODES).map(([key, mode]) =>
+    `<option value="${key}">${mode.label}</option>`
+  ).join("");
+
+  solveBtn.addEventListener("click", () => {
+    const start = readRoutePoint("routeStart");
+    const end = readRoutePoint("routeEnd");
+
+    if ([start, end].some((p) => p.x == null || p.y == null || p.z == null)) {
+      alert("Enter X / Y / Z for both the start and the destination.");
+      return;
+    }
+
+    try {
+      renderRoute(planRoute(start, end, modeSelect.value), start, end);
+    } catch (err) {
+      console.error("Route planning failed:", err);
+    }
+  });
+
+  const fromTopBtn = document.getElementById("routeFromTopBtn");
+  if (fromTopBtn) {
+    fromTopBtn.addEventListener("click", () => {
+      const state = readTopCardState();
+      ["x", "y", "z"].forEach((axis) => {
+        const el = document.getElementById(`routeStart${axis.toUpperCase()}`);
+        if (el) el.value = state[axis];
+      });
+
+      const worldEl = document.getElementById("routeStartWorld");
+      if (worldEl) worldEl.value = state.world;
+    });
+  }
+}
+
+// ---- Highway Planner Panel ----
+
+const HIGHWAY_STATUS_TEXT = {
+  [HIGHWAY_STATUS_ON]: { label: "On the highway", className: "text-green-400" },
+  [HIGHWAY_STATUS_NEAR]: { label: "Near", className: SEVERITY_STYLES[SEVERITY_WARNING] },
+  [HIGHWAY_STATUS_FAR]: { label: "Far", className: SEVERITY_STYLES[SEVERITY_ERROR] },
+};
+
+const NETHER_SIDE_TEXT = {
+  linked: "links to",
+  generated: "would build a portal at",
+  travel: "arrives at",
+};
+
+function highwayLabel(index) {
+  const highway = highwayPlan.highways[index];
+  if (!highway) return "";
+  return highway.name || `the ${highway.axis.toUpperCase()} highway (${highway.axis === AXIS_X ? "Z" : "X"} ${highway.offset})`;
+}
+
+function buildHighwayNumberInput(highway, key, placeholder) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.placeholder = placeholder;
+  input.value = highway[key] ?? "";
+  input.className =
+    "w-24 bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  input.addEventListener("input", () => {
+    const value = input.value === "" ? null : Number(input.value);
+    highway[key] = Number.isFinite(value) ? Math.round(value) : null;
+    onHighwayPlanChanged();
+  });
+
+  return input;
+}
+
+function buildHighwayRow(highway, index) {
+  const row = document.createElement("div");
+  row.className = "flex flex-row flex-wrap items-center gap-2";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.placeholder = "Name";
+  nameInput.value = highway.name;
+  nameInput.className =
+    "w-40 bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  nameInput.addEventListener("input", () => {
+    highway.name = nameInput.value;
+    onHighwayPlanChanged();
+  });
+
+  const axisSelect = document.createElement("select");
+  axisSelect.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  axisSelect.innerHTML = `<option value="${AXIS_X}">Along X</option><option value="${AXIS_Z}">Along Z</option>`;
+  axisSelect.value = highway.axis;
+
+  const offsetInput = buildHighwayNumberInput(highway, "offset", "");
+  const startInput = buildHighwayNumberInput(highway, "start", "");
+  const endInput = buildHighwayNumberInput(highway, "end", "");
+
+  // Placeholders follow the axis: an X highway sits at some Z and runs between two X values
+  const updatePlaceholders = () => {
+    const along = highway.axis === AXIS_X ? "X" : "Z";
+    offsetInput.placeholder = `at ${highway.axis === AXIS_X ? "Z" : "X"}`;
+    startInput.placeholder = `from ${along}`;
+    endInput.placeholder = `to ${along}`;
+  };
+  updatePlaceholders();
+
+  axisSelect.addEventListener("change", () => {
+    highway.axis = axisSelect.value === AXIS_Z ? AXIS_Z : AXIS_X;
+    updatePlaceholders();
+    onHighwayPlanChanged();
+  });
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "text-red-400 hover:text-red-300 px-2";
+  deleteBtn.textContent = "✕";
+  deleteBtn.title = "Delete highway";
+  deleteBtn.addEventListener("click", () => {
+    highwayPlan.highways.splice(index, 1);
+    renderHighwayList();
+    onHighwayPlanChanged();
+  });
+
+  row.appendChild(nameInput);
+  row.appendChild(axisSelect);
+  row.appendChild(buildHighwayNumberInput(highway, "y", "Y"));
+  row.appendChild(offsetInput);
+  row.appendChild(startInput);
+  row.appendChild(endInput);
+  row.appendChild(deleteBtn);
+  return row;
+}
+
+function renderHighwayList() {
+  const list = document.getElementById("highwayList");
+  if (!list) return;
+
+  list.innerHTML = "";
+  highwayPlan.highways.forEach((highway, index) => list.appendChild(buildHighwayRow(highway, index)));
+
+  const nearInput = document.getElementById("highwayNear");
+  if (nearInput) nearInput.value = highwayPlan.nearDistance;
+}
+
+function onHighwayPlanChanged() {
+  saveHighwayPlanToStorage();
+  updateHighwayPanel();
+  drawPortalMaps();
+}
+
+function describeHighwayRow(row) {
+  const side = row.netherSide;
+  return `${NETHER_SIDE_TEXT[side.source]} ${side.source === "linked" ? `${portalLabel(side.index)} ` : ""}` +
+    `(${side.x} / ${side.y} / ${side.z})`;
+}
+
+function updateHighwayPanel() {
+  const section = document.getElementById("highwaySection");
+  const result = document.getElementById("highwayResult");
+  if (!result) return;
+
+  // The connection table is rebuilt on every edit, so only while it is visible
+  if (section && !section.open) return;
+
+  result.innerHTML = "";
+
+  if (!highwayPlan.highways.some(isHighwayComplete)) {
+    result.textContent = "Add a highway with at least its X or Z position to see branch tunnels.";
+    return;
+  }
+
+  const rows = analyzeHighwayConnections();
+  if (rows.length === 0) {
+    result.textContent = "No Overworld portals with coordinates yet.";
+    return;
+  }
+
+  const list = document.createElement("ul");
+  list.className = "space-y-3";
+
+  rows.forEach((row) => {
+    const item = document.createElement("li");
+    item.className = "flex flex-row items-start gap-3";
+
+    const text = document.createElement("div");
+    text.className = "flex-1";
+
+    const heading = document.createElement("div");
+    heading.className = "text-gray-200";
+    heading.textContent = `${portalLabel(row.index)} ${describeHighwayRow(row)}`;
+    text.appendChild(heading);
+
+    const detail = document.createElement("div");
+    detail.className = "text-xs text-gray-400";
+
+    const status = HIGHWAY_STATUS_TEXT[row.status];
+    const badge = document.createElement("span");
+    badge.className = `w-28 shrink-0 text-xs uppercase ${status.className}`;
+    badge.textContent = status.label;
+
+    const { connection } = row;
+    detail.textContent =
+      `Join ${highwayLabel(row.highway)} at ${connection.x} / ${connection.y} / ${connection.z}: ` +
+      `${connection.horizontal} block${connection.horizontal === 1 ? "" : "s"} of branch tunnel` +
+      (connection.vertical
+        ? `, then ${connection.vertical} ${connection.y > row.netherSide.y ? "up" : "down"}`
+        : "");
+    text.appendChild(detail);
+
+    if (row.overworldSpot) {
+      const hint = document.createElement("div");
+      hint.className = "text-xs text-gray-400";
+      hint.textContent =
+        `An Overworld portal at X ${row.overworldSpot.x} Z ${row.overworldSpot.z} would arrive on the highway.`;
+      text.appendChild(hint);
+    }
+
+    const jumpBtn = document.createElement("button");
+    jumpBtn.className = "shrink-0 text-gray-400 hover:text-purple-300";
+    jumpBtn.textContent = `Go to #${row.index + 1}`;
+    jumpBtn.addEventListener("click", () => jumpToPortalCard(row.index));
+
+    item.appendChild(badge);
+    item.appendChild(text);
+    item.appendChild(jumpBtn);
+    list.appendChild(item);
+  });
+
+  result.appendChild(list);
+}
+
+function setupHighwayPlanner() {
+  const addBtn = document.getElementById("highwayAddBtn");
+  const nearInput = document.getElementById("highwayNear");
+
+  if (!addBtn || !nearInput) {
+    console.warn("Highway planner controls missing from DOM");
+    return;
+  }
+
+  addBtn.addEventListener("click", () => {
+    highwayPlan.highways.push(createBlankHighway());
+    renderHighwayList();
+    onHighwayPlanChanged();
+
+    const rows = document.querySelectorAll("#highwayList input[type=text]");
+    if (rows.length) rows[rows.length - 1].focus();
+  });
+
+  nearInput.addEventListener("input", () => {
+    const value = Number(nearInput.value);
+    if (nearInput.value === "" || !Number.isFinite(value)) return;
+    highwayPlan.nearDistance = clampInt(value, 0, 1000, highwayPlan.nearDistance);
+    onHighwayPlanChanged();
+  });
+
+  const section = document.getElementById("highwaySection");
+  if (section) section.addEventListener("toggle", updateHighwayPanel);
+
+  renderHighwayList();
+  updateHighwayPanel();
+}
+
+// ---- Build Commands Panel ----
+
+const BUILD_ALL = "all";
+
+function getBuildSelection() {
+  const select = document.getElementById("buildSource");
+  const clear = document.getElementById("buildClear");
+
+  const value = select ? select.value : BUILD_ALL;
+  const indices = value === BUILD_ALL || value === "" ? portals.map((_, i) => i) : [Number(value)];
+
+  return { indices, clearSpace: clear ? clear.checked : true };
+}
+
+// Keeps the portal choices current and only rebuilds the text while the panel is open
+function updateBuildCommands() {
+  const select = document.getElementById("buildSource");
+  const section = document.getElementById("buildSection");
+  const output = document.getElementById("buildOutput");
+  if (!select || !section || !output) return;
+
+  const previous = select.value;
+
+  const changed = setSelectOptions(select, `<option value="${BUILD_ALL}">All portals</option>` + portals.map((portal, index) =>
+    `<option value="${index}">${escapeHtml(portalLabel(index))} (${portal.world})</option>`
+  ).join(""));
+
+  if (changed && previous !== "" && (previous === BUILD_ALL || Number(previous) < portals.length)) select.value = previous;
+
+  if (!section.open) return;
+
+  const { indices, clearSpace } = getBuildSelection();
+  output.value = buildCommandsText(indices, clearSpace);
+}
+
+function downloadBuildFunction() {
+  const { indices, clearSpace } = getBuildSelection();
+  downloadTextFile("build_portals.mcfunction", buildCommandsText(indices, clearSpace));
+}
+
+function downloadBuildDatapack() {
+  const { indices, clearSpace } = getBuildSelection();
+
+  if (!indices.some((index) => getPortalBuildBoxes(portals[index]))) {
+    alert("None of the selected portals have coordinates yet.");
+    return;
+  }
+
+  const zip = buildZipArchive(buildDatapackFiles(indices, clearSpace));
+  downloadBlob(`${DATAPACK_NAMESPACE}_datapack.zip`, new Blob([zip], { type: "application/zip" }));
+}
+
+function copyBuildCommands(button) {
+  const output = document.getElementById("buildOutput");
+  if (!output) return;
+
+  if (!navigator.clipboard) {
+    output.select();
+    return;
+  }
+
+  navigator.clipboard.writeText(output.value).then(
+    () => {
+      const label = button.textContent;
+      button.textContent = "Copied!";
+      setTimeout(() => (button.textContent = label), 1500);
+    },
+    (err) => {
+      console.warn("Clipboard write failed:", err);
+      output.select();
+    }
+  );
+}
+
+function setupBuildCommands() {
+  const section = document.getElementById("buildSection");
+  if (!section) {
+    console.warn("Build commands panel missing from DOM");
+    return;
+  }
+
+  section.addEventListener("toggle", updateBuildCommands);
+
+  ["buildSource", "buildClear"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", updateBuildCommands);
+  });
+
+  const copyBtn = document.getElementById("buildCopyBtn");
+  if (copyBtn) copyBtn.addEventListener("click", () => copyBuildCommands(copyBtn));
+
+  const actions = {
+    buildFunctionBtn: downloadBuildFunction,
+    buildDatapackBtn: downloadBuildDatapack,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+
+  updateBuildCommands();
+}
+
+// ---- Map View ----
+
+const MAP_LAYOUT_SPLIT = "split";
+const MAP_MIN_SCALE = 1 / 64;
+const MAP_MAX_SCALE = 32;
+const MAP_MARKER_SIZE = 8;
+const MAP_DRAG_THRESHOLD = 4;
+
+const MAP_COLORS = {
+  [WORLD_OVERWORLD]: "#4ade80",
+  [WORLD_NETHER]: "#f87171",
+  travel: "#c084fc",
+  search: "rgba(192, 132, 252, 0.08)",
+  searchEdge: "rgba(192, 132, 252, 0.35)",
+  closest: "#c084fc",
+  target: "#fbbf24",
+  highway: "rgba(125, 211, 252, 0.8)",
+  grid: "rgba(75, 85, 99, 0.35)",
+  axis: "rgba(156, 163, 175, 0.6)",
+  label: "#e5e7eb",
+  selected: "#ffffff",
+};
+
+// Pan/zoom per dimension: map centre in blocks and pixels per block
+const mapViews = {
+  [WORLD_OVERWORLD]: { canvasId: "mapOverworld", cx: 0, cz: 0, scale: 0.5 },
+  [WORLD_NETHER]: { canvasId: "mapNether", cx: 0, cz: 0, scale: 4 },
+};
+
+let mapLayout = MAP_LAYOUT_SPLIT;
+let mapSelectedIndex = null;
+let mapDrag = null;
+
+function worldToScreen(view, canvas, x, z) {
+  return {
+    sx: (x - view.cx) * view.scale + canvas.width / 2,
+    sy: (z - view.cz) * view.scale + canvas.height / 2,
+  };
+}
+
+function screenToWorld(view, canvas, sx, sy) {
+  return {
+    x: (sx - canvas.width / 2) / view.scale + view.cx,
+    z: (sy - canvas.height / 2) / view.scale + view.cz,
+  };
+}
+
+function getPointerPosition(canvas, event) {
+  const rect = canvas.getBoundingClientRect();
+  const ratio = canvas.width / (rect.width || 1);
+  return {
+    sx: (event.clientX - rect.left) * ratio,
+    sy: (event.clientY - rect.top) * ratio,
+  };
+}
+
+// Screen rectangle of a frame, grown to a clickable size when zoomed out
+function getFrameScreenRect(view, canvas, bounds) {
+  const a = worldToScreen(view, canvas, bounds.minX, bounds.minZ);
+  const b = worldToScreen(view, canvas, bounds.maxX + 1, bounds.maxZ + 1);
+
+  const cx = (a.sx + b.sx) / 2;
+  const cy = (a.sy + b.sy) / 2;
+  const w = Math.max(MAP_MARKER_SIZE, b.sx - a.sx);
+  const h = Math.max(MAP_MARKER_SIZE, b.sy - a.sy);
+
+  return { x: cx - w / 2, y: cy - h / 2, w, h, cx, cy };
+}
+
+function getFrameCenter(bounds) {
+  return { x: (bounds.minX + bounds.maxX + 1) / 2, z: (bounds.minZ + bounds.maxZ + 1) / 2 };
+}
+
+function getTravelCenter(travel) {
+  const min = travel.min || travel;
+  const max = travel.max || travel;
+  return { x: (min.x + max.x + 1) / 2, z: (min.z + max.z + 1) / 2 };
+}
+
+function syncCanvasSize(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+
+  if (width > 0 && canvas.width !== width) canvas.width = width;
+  if (height > 0 && canvas.height !== height) canvas.height = height;
+}
+
+function drawMapGrid(ctx, view, canvas) {
+  // Pick a grid step that keeps lines roughly 60px apart
+  let step = 1;
+  while (step * view.scale < 60) step *= 2;
+
+  const topLeft = screenToWorld(view, canvas, 0, 0);
+  const bottomRight = screenToWorld(view, canvas, canvas.width, canvas.height);
+
+  ctx.lineWidth = 1;
+
+  for (let x = Math.floor(topLeft.x / step) * step; x <= bottomRight.x; x += step) {
+    const { sx } = worldToScreen(view, canvas, x, 0);
+    ctx.strokeStyle = x === 0 ? MAP_COLORS.axis : MAP_COLORS.grid;
+    ctx.beginPath();
+    ctx.moveTo(sx, 0);
+    ctx.lineTo(sx, canvas.height);
+    ctx.stroke();
+  }
+
+  for (let z = Math.floor(topLeft.z / step) * step; z <= bottomRight.z; z += step) {
+    const { sy } = worldToScreen(view, canvas, 0, z);
+    ctx.strokeStyle = z === 0 ? MAP_COLORS.axis : MAP_COLORS.grid;
+    ctx.beginPath();
+    ctx.moveTo(0, sy);
+    ctx.lineTo(canvas.width, sy);
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = MAP_COLORS.axis;
+  ctx.font = "11px sans-serif";
+  ctx.fillText(`grid ${step} blocks`, 6, canvas.height - 6);
+}
+
+function drawMapArrow(ctx, from, to, color, dashed) {
+  const angle = Math.atan2(to.sy - from.sy, to.sx - from.sx);
+  const head = 8;
+
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash(dashed ? [5, 4] : []);
+
+  ctx.beginPath();
+  ctx.moveTo(from.sx, from.sy);
+  ctx.lineTo(to.sx, to.sy);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.beginPath();
+  ctx.moveTo(to.sx, to.sy);
+  ctx.lineTo(to.sx - head * Math.cos(angle - 0.4), to.sy - head * Math.sin(angle - 0.4));
+  ctx.lineTo(to.sx - head * Math.cos(angle + 0.4), to.sy - head * Math.sin(angle + 0.4));
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawMapHighways(ctx, view, canvas) {
+  ctx.strokeStyle = MAP_COLORS.highway;
+  ctx.lineWidth = Math.max(2, view.scale);
+
+  highwayPlan.highways.forEach((highway) => {
+    if (!isHighwayComplete(highway)) return;
+
+    const span = getHighwaySpan(highway);
+    const centre = highway.offset + 0.5;
+    const a = highway.axis === AXIS_X
+      ? worldToScreen(view, canvas, span.min, centre)
+      : worldToScreen(view, canvas, centre, span.min);
+    const b = highway.axis === AXIS_X
+      ? worldToScreen(view, canvas, span.max + 1, centre)
+      : worldToScreen(view, canvas, centre, span.max + 1);
+
+    ctx.beginPath();
+    ctx.moveTo(a.sx, a.sy);
+    ctx.lineTo(b.sx, b.sy);
+    ctx.stroke();
+  });
+}
+
+function drawPortalMap(world) {
+  const view = mapViews[world];
+  const canvas = document.getElementById(view.canvasId);
+  if (!canvas || canvas.offsetParent === null) return;
+
+  syncCanvasSize(canvas);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  drawMapGrid(ctx, view, canvas);
+  if (world === WORLD_NETHER) drawMapHighways(ctx, view, canvas);
+
+  const range = getSearchRange(world);
+  const arrivals = portals
+    .map((portal, index) => ({ portal, index }))
+    .filter(({ portal }) => portal.travel && portal.travel.x != null && portal.travel.world === world);
+
+  // ---- Search squares and travel locations of portals arriving here ----
+  arrivals.forEach(({ portal }) => {
+    const min = portal.travel.min || portal.travel;
+    const max = portal.travel.max || portal.travel;
+
+    const a = worldToScreen(view, canvas, min.x - range, min.z - range);
+    const b = worldToScreen(view, canvas, max.x + range + 1, max.z + range + 1);
+    ctx.fillStyle = MAP_COLORS.search;
+    ctx.strokeStyle = MAP_COLORS.searchEdge;
+    ctx.lineWidth = 1;
+    ctx.fillRect(a.sx, a.sy, b.sx - a.sx, b.sy - a.sy);
+    ctx.strokeRect(a.sx, a.sy, b.sx - a.sx, b.sy - a.sy);
+
+    const rect = getFrameScreenRect(view, canvas, {
+      minX: min.x, maxX: max.x, minZ: min.z, maxZ: max.z,
+    });
+    ctx.strokeStyle = MAP_COLORS.travel;
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+  });
+
+  // ---- Closest and target links ----
+  arrivals.forEach(({ portal }) => {
+    const start = getTravelCenter(portal.travel);
+    const from = worldToScreen(view, canvas, start.x, start.z);
+
+    const closest = portal.closest;
+    if (closest && closest.name != null && portals[closest.index]) {
+      const bounds = getPortalFrameBounds(portals[closest.index]);
+      if (bounds) {
+        const end = getFrameCenter(bounds);
+        drawMapArrow(ctx, from, worldToScreen(view, canvas, end.x, end.z), MAP_COLORS.closest, false);
+      }
+    }
+
+    const target = getDestinationPortal(portal, portals);
+    const targetBounds = target && target.world === world ? getPortalFrameBounds(target) : null;
+    if (targetBounds && target !== portals[closest && closest.index]) {
+      const end = getFrameCenter(targetBounds);
+      drawMapArrow(ctx, from, worldToScreen(view, canvas, end.x, end.z), MAP_COLORS.target, true);
+    }
+  });
+
+  // ---- Portals in this dimension ----
+  ctx.font = "12px sans-serif";
+
+  portals.forEach((portal, index) => {
+    if (portal.world !== world) return;
+    const bounds = getPortalFrameBounds(portal);
+    if (!bounds) return;
+
+    const rect = getFrameScreenRect(view, canvas, bounds);
+
+    ctx.fillStyle = portal.color || MAP_COLORS[world];
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+
+    if (index === mapSelectedIndex) {
+      ctx.strokeStyle = MAP_COLORS.selected;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(rect.x - 2, rect.y - 2, rect.w + 4, rect.h + 4);
+    }
+
+    ctx.fillStyle = MAP_COLORS.label;
+    ctx.fillText(portalLabel(index), rect.x + rect.w + 4, rect.cy + 4);
+  });
+}
+
+function drawPortalMaps() {
+  drawPortalMap(WORLD_OVERWORLD);
+  drawPortalMap(WORLD_NETHER);
+}
+
+// Topmost portal marker under a screen position, or -1
+function hitTestPortal(world, canvas, sx, sy) {
+  const view = mapViews[world];
+
+  for (let index = portals.length - 1; index >= 0; index--) {
+    const portal = portals[index];
+    if (portal.world !== world) continue;
+
+    const bounds = getPortalFrameBounds(portal);
+    if (!bounds) continue;
+
+    const rect = getFrameScreenRect(view, canvas, bounds);
+    if (sx >= rect.x && sx <= rect.x + rect.w && sy >= rect.y && sy <= rect.y + rect.h) return index;
+  }
+
+  return -1;
+}
+
+function fitMapView(world) {
+  const view = mapViews[world];
+  const canvas = document.getElementById(view.canvasId);
+  if (!canvas) return;
+
+  const xs = [];
+  const zs = [];
+
+  portals.forEach((portal) => {
+    const bounds = portal.world === world ? getPortalFrameBounds(portal) : null;
+    if (bounds) {
+      xs.push(bounds.minX, bounds.maxX + 1);
+      zs.push(bounds.minZ, bounds.maxZ + 1);
+    }
+
+    if (portal.travel && portal.travel.x != null && portal.travel.world === world) {
+      const min = portal.travel.min || portal.travel;
+      const max = portal.travel.max || portal.travel;
+      xs.push(min.x, max.x + 1);
+      zs.push(min.z, max.z + 1);
+    }
+  });
+
+  if (xs.length === 0) return;
+
+  syncCanvasSize(canvas);
+  const range = getSearchRange(world);
+  const spanX = Math.max(...xs) - Math.min(...xs) + range;
+  const spanZ = Math.max(...zs) - Math.min(...zs) + range;
+
+  view.cx = (Math.max(...xs) + Math.min(...xs)) / 2;
+  view.cz = (Math.max(...zs) + Math.min(...zs)) / 2;
+  view.scale = Math.min(
+    MAP_MAX_SCALE,
+    Math.max(MAP_MIN_SCALE, Math.min(canvas.width / spanX, canvas.height / spanZ) * 0.9)
+  );
+}
+
+function setupMapCanvas(world) {
+  const view = mapViews[world];
+  const canvas = document.getElementById(view.canvasId);
+  if (!canvas) {
+    console.warn(`Map canvas for ${world} missing from DOM`);
+    return;
+  }
+
+  canvas.addEventListener("pointerdown", (event) => {
+    const { sx, sy } = getPointerPosition(canvas, event);
+    const index = hitTestPortal(world, canvas, sx, sy);
+    const portal = portals[index];
+
+    mapDrag = {
+      world,
+      index,
+      startSx: sx,
+      startSy: sy,
+      startCx: view.cx,
+      startCz: view.cz,
+      startX: portal ? portal.x : null,
+      startZ: portal ? portal.z : null,
+      moved: false,
+    };
+
+    canvas.setPointerCapture(event.pointerId);
+  });
+
+  canvas.addEventListener("pointermove", (event) => {
+    if (!mapDrag || mapDrag.world !== world) return;
+
+    const { sx, sy } = getPointerPosition(canvas, event);
+    const dx = sx - mapDrag.startSx;
+    const dy = sy - mapDrag.startSy;
+
+    if (!mapDrag.moved && Math.hypot(dx, dy) < MAP_DRAG_THRESHOLD) return;
+    mapDrag.moved = true;
+
+    if (mapDrag.index === -1) {
+      view.cx = mapDrag.startCx - dx / view.scale;
+      view.cz = mapDrag.startCz - dy / view.scale;
+      drawPortalMap(world);
+      return;
+    }
+
+    // Dragging a marker moves the portal by whole blocks
+    mapSelectedIndex = mapDrag.index;
+    editPortal(mapDrag.index, (edited) => {
+      edited.x = mapDrag.startX + Math.round(dx / view.scale);
+      edited.z = mapDrag.startZ + Math.round(dy / view.scale);
+    });
+  });
+
+  canvas.addEventListener("pointerup", () => {
+    if (!mapDrag || mapDrag.world !== world) return;
+
+    const { index, moved } = mapDrag;
+
+    // Saved before the drag ends, so the whole drag stays one undo step
+    if (index !== -1 && moved) savePortalsToStorage();
+    mapDrag = null;
+
+    if (index === -1) return;
+
+    mapSelectedIndex = index;
+
+    if (moved) {
+      // Rebuild the cards so the coordinate inputs show the new position
+      renderPortalList();
+    } else {
+      drawPortalMaps();
+    }
+
+    jumpToPortalCard(index);
+  });
+
+  // Touch browsers cancel when they take over the gesture; keep the move made so far
+  canvas.addEventListener("pointercancel", () => {
+    if (!mapDrag || mapDrag.world !== world) return;
+
+    const { index, moved } = mapDrag;
+    if (index !== -1 && moved) savePortalsToStorage();
+    mapDrag = null;
+
+    if (index !== -1 && moved) renderPortalList();
+  });
+
+  canvas.addEventListener("wheel", (event) => {
+    event.preventDefault();
+
+    // Zoom around the cursor so the block under it stays put
+    const { sx, sy } = getPointerPosition(canvas, event);
+    const before = screenToWorld(view, canvas, sx, sy);
+    const factor = event.deltaY < 0 ? 1.2 : 1 / 1.2;
+
+    view.scale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, view.scale * factor));
+
+    const after = screenToWorld(view, canvas, sx, sy);
+    view.cx += before.x - after.x;
+    view.cz += before.z - after.z;
+
+    drawPortalMap(world);
+  }, { passive: false });
+}
+
+function updateMapLayoutUI() {
+  const panels = {
+    [WORLD_OVERWORLD]: document.getElementById("mapPanelOverworld"),
+    [WORLD_NETHER]: document.getElementById("mapPanelNether"),
+  };
+
+  Object.entries(panels).forEach(([world, panel]) => {
+    if (!panel) return;
+    panel.classList.toggle("hidden", mapLayout !== MAP_LAYOUT_SPLIT && mapLayout !== world);
+  });
+
+  document.querySelectorAll("[data-map-layout]").forEach((btn) => {
+    const active = btn.dataset.mapLayout === mapLayout;
+    btn.classList.toggle("bg-purple-700", active);
+    btn.classList.toggle("text-white", active);
+  });
+
+  drawPortalMaps();
+}
+
+function setupPortalMap() {
+  setupMapCanvas(WORLD_OVERWORLD);
+  setupMapCanvas(WORLD_NETHER);
+
+  document.querySelectorAll("[data-map-layout]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      mapLayout = btn.dataset.mapLayout;
+      updateMapLayoutUI();
+    });
+  });
+
+  const fitBtn = document.getElementById("mapFitBtn");
+  if (fitBtn) {
+    fitBtn.addEventListener("click", () => {
+      fitMapView(WORLD_OVERWORLD);
+      fitMapView(WORLD_NETHER);
+      drawPortalMaps();
+    });
+  }
+
+  // The canvases have no size while the section is collapsed
+  const section = document.getElementById("mapSection");
+  if (section) {
+    section.addEventListener("toggle", () => {
+      if (!section.open) return;
+      fitMapView(WORLD_OVERWORLD);
+      fitMapView(WORLD_NETHER);
+      drawPortalMaps();
+    });
+  }
+
+  window.addEventListener("resize", drawPortalMaps);
+  updateMapLayoutUI();
+}
+
+// ---- Global Calculation Dispatcher ----
+
+function updateAllPortalCalculations() {
+  try {
+    networkContext = PortalEngine.computeNetwork(portals, getRulesProfile());
+    refreshCalculatedViews();
+  } catch (err) {
+    console.error("Calculation update failed:", err);
+  }
+}
+
+// After an edit to one portal, only the portals it can affect are recalculated
+function updatePortalCalculations(index, before) {
+  const context = getEngineContext();
+  if (!context.spatialIndex) {
+    updateAllPortalCalculations();
+    return;
+  }
+
+  try {
+    PortalEngine.updatePortalInNetwork(index, before, context);
+    refreshCalculatedViews();
+  } catch (err) {
+    console.error("Calculation update failed:", err);
+  }
+}
+
+// Applies a field edit to portals[index] and recalculates what it affects
+function editPortal(index, apply) {
+  const before = PortalEngine.getPortalFootprint(portals[index]);
+  apply(portals[index]);
+  updatePortalCalculations(index, before);
+}
+
+function refreshCalculatedViews() {
+  schedulePortalSave();
+  updatePortalCardDisplays();
+  updateOutputCard();
+  updateDiagnosticsPanel();
+  updateReturnPlannerOptions();
+  clearReturnSolution();
+  updateBuildCommands();
+  updateHighwayPanel();
+  drawPortalMaps();
+  updateTeamSyncPanel();
+}
+
+// ---- Destination Picker ----
+//
+// Searchable list under a destination input. Picking a portal links by id, so
+// the link survives renames and duplicate names; typed text that matches no
+// portal is kept as a name and links once a portal with that name exists.
+
+const MAX_PICKER_OPTIONS = 50;
+
+let destinationPicker = null;
+
+// Portals the source could link to: the other dimension first, then the rest
+function getDestinationOptions(source, query) {
+  const needle = query.trim().toLowerCase();
+  const travelWorld = getOtherWorld(source.world);
+
+  return portals
+    .map((portal, index) => ({ portal, index }))
+    .filter(({ portal }) => portal !== source && (!needle || portal.name.toLowerCase().includes(needle)))
+    .sort((a, b) => (a.portal.world === travelWorld ? 0 : 1) - (b.portal.world === travelWorld ? 0 : 1))
+    .slice(0, MAX_PICKER_OPTIONS);
+}
+
+function getPickerList() {
+  let list = document.getElementById("destinationPickerList");
+  if (list) return list;
+
+  list = document.createElement("ul");
+  list.id = "destinationPickerList";
+  list.setAttribute("role", "listbox");
+  list.className =
+    "hidden fixed z-40 max-h-64 w-72 overflow-y-auto bg-gray-900 border border-gray-700 rounded-lg shadow-lg text-sm";
+
+  // Keep focus in the input so its blur does not close the list before the click lands
+  list.addEventListener("mousedown", (event) => event.preventDefault());
+
+  // Follow the input when the page or the portal list scrolls
+  window.addEventListener("scroll", () => {
+    if (destinationPicker) renderDestinationPicker();
+  }, { passive: true, capture: true });
+
+  document.body.appendChild(list);
+  return list;
+}
+
+function renderDestinationPicker() {
+  if (!destinationPicker) return;
+
+  const { input, options, active } = destinationPicker;
+  const list = getPickerList();
+  list.innerHTML = "";
+
+  if (options.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "px-3 py-2 text-gray-400";
+    empty.textContent = input.value.trim() ? "No portal with that name, it stays unlinked" : "No other portals yet";
+    list.appendChild(empty);
+  }
+
+  options.forEach(({ portal, index }, i) => {
+    const item = document.createElement("li");
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(i === active));
+    item.className = `px-3 py-1 cursor-pointer ${i === active ? "bg-purple-600/40" : "hover:bg-gray-800"}`;
+
+    const name = document.createElement("div");
+    name.className = "text-gray-100";
+    name.textContent = portalLabel(index);
+
+    const where = document.createElement("div");
+    where.className = "text-xs text-gray-400";
+    where.textContent = `${portal.world} ${portal.x ?? "—"} / ${portal.y ?? "—"} / ${portal.z ?? "—"}`;
+
+    item.appendChild(name);
+    item.appendChild(where);
+    item.addEventListener("click", () => pickDestination(i));
+    list.appendChild(item);
+  });
+
+  const rect = input.getBoundingClientRect();
+  list.style.left = `${rect.left}px`;
+  list.style.top = `${rect.bottom + 4}px`;
+  list.classList.remove("hidden");
+}
+
+function openDestinationPicker(input, handlers, query) {
+  destinationPicker = {
+    input,
+    handlers,
+    options: getDestinationOptions(handlers.getSource(), query),
+    active: -1,
+  };
+  renderDestinationPicker();
+}
+
+function closeDestinationPicker() {
+  destinationPicker = null;
+  const list = document.getElementById("destinationPickerList");
+  if (list) list.classList.add("hidden");
+}
+
+function pickDestination(i) {
+  if (!destinationPicker) return;
+
+  const { input, handlers, options } = destinationPicker;
+  const option = options[i];
+  if (!option) return;
+
+  input.value = option.portal.name;
+  closeDestinationPicker();
+  handlers.onPick(option.portal);
+}
+
+// handlers: getSource() -> portal being edited, onType(text), onPick(portal)
+function attachDestinationPicker(input, handlers) {
+  input.setAttribute("autocomplete", "off");
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-controls", "destinationPickerList");
+
+  input.addEventListener("focus", () => openDestinationPicker(input, handlers, ""));
+  input.addEventListener("blur", () => {
+    if (destinationPicker && destinationPicker.input === input) closeDestinationPicker();
+  });
+
+  input.addEventListener("input", () => {
+    handlers.onType(input.value);
+    openDestinationPicker(input, handlers, input.value);
+  });
+
+  input.addEventListener("keydown", (event) => {
+    if (!destinationPicker || destinationPicker.input !== input) {
+      if (event.key === "ArrowDown") openDestinationPicker(input, handlers, "");
+      return;
+    }
+
+    const count = destinationPicker.options.length;
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (count === 0) return;
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      destinationPicker.active = (destinationPicker.active + step + count) % count;
+      renderDestinationPicker();
+    } else if (event.key === "Enter" && destinationPicker.active >= 0) {
+      event.preventDefault();
+      pickDestination(destinationPicker.active);
+    } else if (event.key === "Escape") {
+      closeDestinationPicker();
+    }
+  });
+}
+
+function setupTopDestinationPicker() {
+  const input = document.getElementById("top-destination");
+  if (!input) return;
+
+  attachDestinationPicker(input, {
+    getSource: () => ({ world: topWorld }),
+    onType: () => {
+      delete input.dataset.portalId;
+      saveTopCardToStorage();
+      updateOutputCard();
+    },
+    onPick: (target) => {
+      input.dataset.portalId = target.id;
+      saveTopCardToStorage();
+      updateOutputCard();
+    },
+  });
+}
+
+// ---- Portal Tags ----
+//
+// Free-form labels on portals ("shop", "player: Alex"). Each tag has one
+// colour across the workspace: picked by the user, or else taken from the
+// palette by the tag's name so it stays the same between visits.
+
+const TAG_PALETTE = ["#f87171", "#fb923c", "#facc15", "#4ade80", "#2dd4bf", "#60a5fa", "#a78bfa", "#f472b6"];
+
+function getTagColor(tag) {
+  const picked = settings.tagColors[tag];
+  if (picked) return picked;
+
+  let hash = 0;
+  for (const ch of tag.toLowerCase()) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+// Every tag in the list once, first spelling wins, sorted by name
+function collectAllTags() {
+  const tags = new Map();
+  portals.forEach((portal) => {
+    portal.tags.forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+  });
+  return [...tags.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+}
+
+function mergeTagColors(colors) {
+  if (!colors || Object.keys(colors).length === 0) return;
+
+  settings.tagColors = { ...settings.tagColors, ...colors };
+  saveSettingsToStorage();
+}
+
+function setTagColor(tag, color) {
+  settings.tagColors = { ...settings.tagColors, [tag]: color };
+  saveSettingsToStorage();
+
+  document.querySelectorAll(".tag-chip").forEach((chip) => {
+    if (chip.dataset.tag.toLowerCase() === tag.toLowerCase()) chip.style.backgroundColor = color;
+  });
+}
+
+function buildTagChip(tag, onRemove) {
+  const chip = document.createElement("span");
+  chip.className = "tag-chip inline-flex items-center gap-1 rounded-full px-2 py-0.5 text-xs font-medium text-gray-900";
+  chip.dataset.tag = tag;
+  chip.style.backgroundColor = getTagColor(tag);
+
+  const text = document.createElement("span");
+  text.textContent = tag;
+  chip.appendChild(text);
+
+  if (onRemove) {
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "leading-none hover:text-white";
+    removeBtn.textContent = "×";
+    removeBtn.title = `Remove tag "${tag}"`;
+    removeBtn.setAttribute("aria-label", removeBtn.title);
+    removeBtn.addEventListener("click", onRemove);
+    chip.appendChild(removeBtn);
+  }
+
+  return chip;
+}
+
+function setPortalTags(index, tags) {
+  portals[index].tags = normalizeTagList(tags);
+  savePortalsToStorage();
+  updateTagControls();
+}
+
+// Spans the whole card under its fields: the portal's tags and an input to add more
+function buildTagRow(portal, index) {
+  const row = document.createElement("div");
+  row.className = "md:col-span-6 md:-mt-4 flex flex-row flex-wrap items-center gap-2";
+
+  const chips = document.createElement("div");
+  chips.className = "flex flex-row flex-wrap items-center gap-2";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.dataset.field = "tag";
+  input.placeholder = "+ tag";
+  input.title = "Type a tag and press Enter";
+  input.setAttribute("aria-label", "Add a tag");
+  input.setAttribute("list", "portalTagOptions");
+  input.className =
+    "bg-transparent border border-transparent rounded-lg px-2 py-2 md:py-0.5 text-xs text-gray-300 w-28 " +
+    "hover:border-gray-700 focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  const renderChips = () => {
+    chips.innerHTML = "";
+    portals[index].tags.forEach((tag) => {
+      chips.appendChild(buildTagChip(tag, () => {
+        setPortalTags(index, portals[index].tags.filter((t) => t !== tag));
+        renderChips();
+      }));
+    });
+    input.classList.toggle("hidden", portals[index].tags.length >= MAX_TAGS_PER_PORTAL);
+  };
+
+  const addTyped = () => {
+    const tag = normalizeTag(input.value);
+    input.value = "";
+    if (!tag) return;
+
+    // Reuse the spelling the list already has for this tag
+    const known = collectAllTags().find((t) => t.toLowerCase() === tag.toLowerCase());
+    setPortalTags(index, [...portals[index].tags, known || tag]);
+    renderChips();
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === TABLE_TAG_SEPARATOR) {
+      e.preventDefault();
+      addTyped();
+    } else if (e.key === "Backspace" && input.value === "" && portals[index].tags.length > 0) {
+      setPortalTags(index, portals[index].tags.slice(0, -1));
+      renderChips();
+    }
+  });
+  input.addEventListener("change", addTyped);
+
+  renderChips();
+  row.appendChild(chips);
+  row.appendChild(input);
+  return row;
+}
+
+// Tag suggestions, the tag filter and the tag colour pickers
+function updateTagControls() {
+  const tags = collectAllTags();
+
+  const options = document.getElementById("portalTagOptions");
+  if (options) {
+    setSelectOptions(options, tags.map((tag) => `<option value="${escapeHtml(tag)}"></option>`).join(""));
+  }
+
+  const tagSelect = document.getElementById("listTag");
+  if (tagSelect) {
+    setSelectOptions(tagSelect, `<option value="">All tags</option>` +
+      tags.map((tag) => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join(""));
+
+    // A tag that is no longer used cannot filter anything
+    if (listView.tag && !tags.some((tag) => tag.toLowerCase() === listView.tag.toLowerCase())) listView.tag = "";
+    tagSelect.value = listView.tag;
+  }
+
+  const colorList = document.getElementById("tagColorList");
+  if (colorList) {
+    colorList.innerHTML = "";
+    tags.forEach((tag) => {
+      const label = document.createElement("label");
+      label.className = "inline-flex items-center gap-1 cursor-pointer";
+      label.title = `Colour of "${tag}"`;
+
+      const picker = document.createElement("input");
+      picker.type = "color";
+      picker.value = getTagColor(tag);
+      picker.className = "w-4 h-4 p-0 border-0 bg-transparent cursor-pointer";
+      picker.addEventListener("input", () => setTagColor(tag, picker.value));
+
+      label.appendChild(picker);
+      label.appendChild(buildTagChip(tag));
+      colorList.appendChild(label);
+    });
+  }
+}
+
+// ---- List Search, Filters & Sort ----
+//
+// Only changes which cards are shown and in what order; the stored list keeps
+// its own order. Reordering with the arrows needs the plain list order.
+
+const LIST_STATUS_LINKED = "linked";
+const LIST_STATUS_CANNOT_REACH = "cannot-reach";
+const LIST_STATUS_NO_LINK = "no-link";
+
+function createDefaultListView() {
+  return { query: "", world: "", status: "", tag: "", sort: "manual", point: { x: null, z: null, world: WORLD_OVERWORLD } };
+}
+
+let listView = createDefaultListView();
+
+function isListViewActive() {
+  return listView.query !== "" || listView.world !== "" || listView.status !== "" ||
+    listView.tag !== "" || listView.sort !== "manual";
+}
+
+function matchesLinkStatus(portal, status) {
+  switch (status) {
+    case LIST_STATUS_LINKED:
+      return portal.closest.name != null;
+    case LIST_STATUS_CANNOT_REACH:
+      return portal.target.distance === "Cannot Reach";
+    case LIST_STATUS_NO_LINK:
+      return portal.closest.name == null && getPortalFrameBounds(portal) != null;
+    default:
+      return true;
+  }
+}
+
+function matchesListView(portal) {
+  if (listView.world && portal.world !== listView.world) return false;
+  if (listView.tag && !portal.tags.some((tag) => tag.toLowerCase() === listView.tag.toLowerCase())) return false;
+  if (!matchesLinkStatus(portal, listView.status)) return false;
+
+  const query = listView.query.trim().toLowerCase();
+  if (!query) return true;
+  return portal.name.toLowerCase().includes(query) || portal.destination.toLowerCase().includes(query);
+}
+
+// Horizontal distance from the sort point, measured in the point's world
+function getDistanceToListPoint(portal) {
+  const { point } = listView;
+  if (point.x == null || point.z == null || portal.x == null || portal.z == null) return null;
+
+  const pos = portal.world === point.world
+    ? { x: portal.x, z: portal.z }
+    : convertCoords(portal.x, portal.z, portal.world, point.world);
+  return Math.hypot(pos.x - point.x, pos.z - point.z);
+}
+
+function getListSortValue(portal) {
+  switch (listView.sort) {
+    case "name":
+      return portal.name;
+    case "x":
+    case "y":
+    case "z":
+      return portal[listView.sort];
+    case "distance":
+      return getDistanceToListPoint(portal);
+    default:
+      return null;
+  }
+}
+
+// Indices of the portals to show, in display order. Portals without a value
+// to sort by go last; ties keep list order.
+function getVisiblePortalIndices() {
+  const indices = [];
+  portals.forEach((portal, index) => {
+    if (matchesListView(portal)) indices.push(index);
+  });
+
+  if (listView.sort === "manual") return indices;
+
+  const values = new Map(indices.map((index) => [index, getListSortValue(portals[index])]));
+  const isBlank = (value) => value == null || value === "";
+
+  return indices.sort((a, b) => {
+    const va = values.get(a);
+    const vb = values.get(b);
+    if (isBlank(va) || isBlank(vb)) return isBlank(va) - isBlank(vb) || a - b;
+    if (typeof va === "string") return va.localeCompare(vb, undefined, { numeric: true, sensitivity: "base" }) || a - b;
+    return va - vb || a - b;
+  });
+}
+
+function updateListCount(shown) {
+  const count = document.getElementById("listCount");
+  if (!count) return;
+
+  count.textContent = shown === portals.length
+    ? `${portals.length} portal${portals.length === 1 ? "" : "s"}`
+    : `Showing ${shown} of ${portals.length} portals`;
+}
+
+function clearListView() {
+  listView = createDefaultListView();
+  syncListControls();
+}
+
+// Puts listView into the toolbar inputs
+function syncListControls() {
+  const values = {
+    listSearch: listView.query,
+    listWorld: listView.world,
+    listStatus: listView.status,
+    listTag: listView.tag,
+    listSort: listView.sort,
+    listPointX: listView.point.x ?? "",
+    listPointZ: listView.point.z ?? "",
+    listPointWorld: listView.point.world,
+  };
+
+  Object.entries(values).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  });
+
+  const pointRow = document.getElementById("listSortPoint");
+  if (pointRow) pointRow.classList.toggle("hidden", listView.sort !== "distance");
+}
+
+function setupListControls() {
+  const search = document.getElementById("listSearch");
+  const sort = document.getElementById("listSort");
+
+  if (!search || !sort) {
+    console.warn("Portal list search controls missing from DOM");
+    return;
+  }
+
+  const readNumber = (id) => {
+    const el = document.getElementById(id);
+    if (!el || el.value === "" || !Number.isFinite(Number(el.value))) return null;
+    return Number(el.value);
+  };
+
+  const readControls = () => {
+    const value = (id) => {
+      const el = document.getElementById(id);
+      return el ? el.value : "";
+    };
+
+    listView = {
+      query: search.value,
+      world: value("listWorld"),
+      status: value("listStatus"),
+      tag: value("listTag"),
+      sort: sort.value,
+      point: {
+        x: readNumber("listPointX"),
+        z: readNumber("listPointZ"),
+        world: value("listPointWorld") || WORLD_OVERWORLD,
+      },
+    };
+
+    // Filtering and sorting only read results that are already calculated
+    syncListControls();
+    renderPortalCards();
+  };
+
+  ["listSearch", "listPointX", "listPointZ"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("input", readControls);
+  });
+
+  ["listWorld", "listStatus", "listTag", "listSort", "listPointWorld"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", readControls);
+  });
+
+  const clearBtn = document.getElementById("listClearBtn");
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      clearListView();
+      renderPortalCards();
+    });
+  }
+
+  syncListControls();
+}
+
+// ---- Narrow Screen Card Layout ----
+//
+// Below the md breakpoint a card is a stack: the name, then "Inputs" and
+// "Results" sections that fold away, with move and delete behind a long press
+// or the ⋯ button. From md up none of this shows and the grid is unchanged.
+
+const CARD_SECTION_INPUTS = "inputs";
+const CARD_SECTION_RESULTS = "results";
+
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP_PX = 10;
+
+// Open sections by portal id, so they survive re-renders
+const openCardSections = new Map();
+
+function isCardSectionOpen(portal, section) {
+  if (!openCardSections.has(portal.id)) {
+    // Results are what you check while playing; a new portal needs its inputs
+    openCardSections.set(portal.id, {
+      [CARD_SECTION_INPUTS]: !getPortalFrameBounds(portal),
+      [CARD_SECTION_RESULTS]: true,
+    });
+  }
+  return openCardSections.get(portal.id)[section];
+}
+
+function buildCardSection(portal, section, title, children) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col gap-2 md:contents";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.dataset.field = `section-${section}`;
+  toggle.className =
+    "md:hidden flex items-center gap-2 w-full py-2 border-t border-gray-700 text-left text-sm text-gray-300";
+
+  const arrow = document.createElement("span");
+  arrow.className = "w-4 text-gray-500";
+
+  const heading = document.createElement("span");
+  heading.className = "font-medium";
+  heading.textContent = title;
+
+  // What the section holds, so a folded card still says where it goes
+  const summary = document.createElement("span");
+  summary.className = `card-summary-${section} flex-1 truncate text-right text-xs text-gray-400`;
+
+  toggle.appendChild(arrow);
+  toggle.appendChild(heading);
+  toggle.appendChild(summary);
+
+  const body = document.createElement("div");
+  body.id = cardFieldId(portal, section);
+  toggle.setAttribute("aria-controls", body.id);
+  children.forEach((child) => body.appendChild(child));
+
+  const setOpen = (open) => {
+    body.className = `${open ? "flex" : "hidden"} flex-col gap-3 md:contents`;
+    arrow.textContent = open ? "▾" : "▸";
+    toggle.setAttribute("aria-expanded", String(open));
+  };
+
+  toggle.addEventListener("click", () => {
+    const state = openCardSections.get(portal.id);
+    state[section] = !state[section];
+    setOpen(state[section]);
+  });
+
+  setOpen(isCardSectionOpen(portal, section));
+  container.appendChild(toggle);
+  container.appendChild(body);
+  return container;
+}
+
+// Phone number pads often have no minus key, so coordinates get a ± button
+function buildCoordinateField(input) {
+  const field = document.createElement("div");
+  field.className = "flex flex-row items-center md:contents";
+
+  const signBtn = document.createElement("button");
+  signBtn.type = "button";
+  signBtn.className = "md:hidden shrink-0 w-8 h-10 text-gray-400 hover:text-purple-300";
+  signBtn.dataset.field = `${input.dataset.field}-sign`;
+  signBtn.textContent = "±";
+  signBtn.title = "Flip the sign";
+  signBtn.setAttribute("aria-label", `Flip the sign of ${input.getAttribute("aria-label")}`);
+
+  signBtn.addEventListener("click", () => {
+    if (input.value === "" || Number(input.value) === 0) return;
+    input.value = String(-Number(input.value));
+    input.dispatchEvent(new Event("input"));
+  });
+
+  field.appendChild(input);
+  field.appendChild(signBtn);
+  return field;
+}
+
+function buildCardActionsButton(index) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "absolute right-2 top-2 md:hidden w-10 h-10 text-xl leading-none text-gray-400 hover:text-purple-300";
+  btn.dataset.field = "actions";
+  btn.textContent = "⋯";
+  btn.title = "Move or delete";
+  btn.setAttribute("aria-haspopup", "dialog");
+  btn.addEventListener("click", () => openCardActions(index));
+  return btn;
+}
+
+// Touch and hold anywhere on a card that is not a field or button
+function attachCardLongPress(wrapper, index) {
+  let timer = null;
+  let startX = 0;
+  let startY = 0;
+  let pressType = null;
+
+  const cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  wrapper.addEventListener("pointerdown", (e) => {
+    pressType = e.pointerType;
+    if (e.pointerType !== "touch" || e.target.closest("input, select, textarea, button")) return;
+
+    startX = e.clientX;
+    startY = e.clientY;
+    cancel();
+    timer = setTimeout(() => {
+      timer = null;
+      if (navigator.vibrate) navigator.vibrate(20);
+      openCardActions(index);
+    }, LONG_PRESS_MS);
+  });
+
+  wrapper.addEventListener("pointermove", (e) => {
+    if (timer && Math.hypot(e.clientX - startX, e.clientY - startY) > LONG_PRESS_SLOP_PX) cancel();
+  });
+
+  ["pointerup", "pointercancel", "pointerleave"].forEach((type) => wrapper.addEventListener(type, cancel));
+
+  // The browser's own long-press menu would cover the action sheet
+  wrapper.addEventListener("contextmenu", (e) => {
+    if (pressType === "touch" && !e.target.closest("input, select, textarea")) e.preventDefault();
+  });
+}
+
+let cardActionIndex = null;
+
+function openCardActions(index) {
+  const sheet = document.getElementById("cardActionSheet");
+  if (!sheet || !portals[index]) return;
+
+  cardActionIndex = index;
+
+  const title = document.getElementById("cardActionTitle");
+  if (title) title.textContent = portalLabel(index);
+
+  // Same rule as the arrows: reordering needs the plain list order
+  const canMove = !isListViewActive();
+  const upBtn = document.getElementById("cardMoveUpBtn");
+  const downBtn = document.getElementById("cardMoveDownBtn");
+  if (upBtn) upBtn.disabled = !canMove || index === 0;
+  if (downBtn) downBtn.disabled = !canMove || index === portals.length - 1;
+
+  sheet.classList.remove("hidden");
+  if (upBtn && !upBtn.disabled) upBtn.focus();
+}
+
+function closeCardActions() {
+  cardActionIndex = null;
+
+  const sheet = document.getElementById("cardActionSheet");
+  if (sheet) sheet.classList.add("hidden");
+}
+
+function setupCardActions() {
+  const sheet = document.getElementById("cardActionSheet");
+  if (!sheet) {
+    console.warn("Card action sheet missing from DOM");
+    return;
+  }
+
+  const actions = {
+    cardMoveUpBtn: movePortalUp,
+    cardMoveDownBtn: movePortalDown,
+    cardDeleteBtn: deletePortal,
+    cardActionCancelBtn: () => {},
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (!btn) return;
+
+    btn.addEventListener("click", () => {
+      const index = cardActionIndex;
+      closeCardActions();
+      if (index == null) return;
+
+      // Back to the card's ⋯ button, or the next card's if this one was deleted
+      const portalId = portals[index].id;
+      action(index);
+      if (!focusPortalField(portalId, "actions") && portals[index]) focusPortalField(portals[index].id, "actions");
+    });
+  });
+
+  // Tapping the dimmed backdrop or pressing Escape closes the sheet
+  const dismiss = () => {
+    const index = cardActionIndex;
+    closeCardActions();
+    if (portals[index]) focusPortalField(portals[index].id, "actions");
+  };
+  sheet.addEventListener("click", (e) => {
+    if (e.target === sheet) dismiss();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && cardActionIndex != null) dismiss();
+  });
+}
+
+// ---- Rendering ----
+//
+// Long lists are virtualized: only the cards around the viewport are in the
+// DOM, and padding on the card list stands in for the rest. Cards that stay in
+// view are kept while scrolling, so a field being typed into keeps its focus.
+
+const VIRTUAL_LIST_MIN_PORTALS = 100;
+const VIRTUAL_LIST_OVERSCAN = 6;
+const CARD_GAP_PX = 16;
+
+let virtualList = null;
+let virtualListFrame = null;
+let cardHeightEstimate = 200;
+
+// Recalculates first, so the link status filter sees current results
+function renderPortalList() {
+  updateAllPortalCalculations();
+  renderPortalCards();
+}
+
+// Rebuilds the cards for the current search, filters and sort
+function renderPortalCards() {
+  const container = document.getElementById("portalList");
+  if (!container) {
+    console.error("portalList container missing from DOM");
+    return;
+  }
+
+  const focus = captureListFocus();
+  container.innerHTML = "";
+
+  const cardList = document.createElement("div");
+  cardList.className = "w-full flex flex-col items-center gap-4";
+  container.appendChild(cardList);
+
+  const order = getVisiblePortalIndices();
+
+  if (order.length >= VIRTUAL_LIST_MIN_PORTALS) {
+    virtualList = { cardList, order, start: 0, end: 0, heights: [], cards: new Map() };
+    renderVirtualWindow();
+  } else {
+    virtualList = null;
+    order.forEach((index) => {
+      const card = createPortalCard(portals[index], index);
+      cardList.appendChild(card);
+    });
+    updatePortalCardDisplays();
+  }
+
+  updateListCount(order.length);
+  updateTagControls();
+
+  // Add Portal Button under the list
+  const addBtn = document.createElement("button");
+  addBtn.className =
+    "mt-6 bg-gray-800/60 backdrop-blur-sm border border-gray-700 rounded-xl " +
+    "px-6 py-3 text-gray-200 hover:bg-gray-700 transition font-medium";
+  addBtn.textContent = "+ Add Portal";
+
+  addBtn.addEventListener("click", () => {
+    // The new blank portal would not match a search or filter
+    clearListView();
+    portals.push(createBlankPortal());
+    savePortalsToStorage();
+    renderPortalList();
+    focusPortalField(portals[portals.length - 1].id, "name");
+});
+
+container.appendChild(addBtn);
+
+  if (focus) restoreListFocus(focus, addBtn);
+}
+
+// What has focus in the list, by portal id (indices shift when the list
+// changes) and the data-field of the element inside the card
+function captureListFocus() {
+  const active = document.activeElement;
+  const container = document.getElementById("portalList");
+  if (!active || !container || !container.contains(active) || !active.dataset.field) return null;
+
+  const wrapper = active.closest("[data-portal-id]");
+  if (!wrapper) return null;
+
+  const focus = {
+    portalId: wrapper.dataset.portalId,
+    field: active.dataset.field,
+    index: Number(wrapper.querySelector(".portal-card").dataset.index),
+  };
+  if (active.type === "text") {
+    focus.selectionStart = active.selectionStart;
+    focus.selectionEnd = active.selectionEnd;
+  }
+  return focus;
+}
+
+// Focuses one field of a portal's card, bringing the card into a virtualized
+// list first. Returns the element, or null when the card is not shown.
+function focusPortalField(portalId, field) {
+  const container = document.getElementById("portalList");
+  const index = portals.findIndex((portal) => portal.id === portalId);
+  if (!container || index === -1) return null;
+
+  if (virtualList) {
+    const position = virtualList.order.indexOf(index);
+    if (position !== -1 && !virtualList.cards.has(position)) renderVirtualWindow(position);
+  }
+
+  // Imported ids can hold any characters, so no attribute selector
+  const wrapper = [...container.querySelectorAll("[data-portal-id]")].find((el) => el.dataset.portalId === portalId);
+  const el = wrapper && wrapper.querySelector(`[data-field="${field}"]`);
+  if (!el) return null;
+
+  el.focus();
+  return el;
+}
+
+// A deleted portal hands focus to the card that took its place, else to the Add button
+function restoreListFocus(focus, fallback) {
+  let el = focusPortalField(focus.portalId, focus.field);
+
+  if (!el && portals.length > 0 && !portals.some((portal) => portal.id === focus.portalId)) {
+    el = focusPortalField(portals[Math.min(focus.index, portals.length - 1)].id, focus.field);
+  }
+  if (!el) {
+    fallback.focus();
+    return;
+  }
+
+  if (focus.selectionStart != null && el.type === "text") {
+    el.setSelectionRange(focus.selectionStart, focus.selectionEnd);
+  }
+}
+
+// Total height of the cards at list positions [from, to), measured where they have been shown
+function getCardsHeight(from, to) {
+  let total = 0;
+  for (let i = from; i < to; i++) {
+    total += virtualList.heights[i] || cardHeightEstimate;
+  }
+  return total;
+}
+
+// Shows the cards in view, or the ones around list position anchor when given.
+// Positions index virtualList.order, which holds the portal indices shown.
+function renderVirtualWindow(anchor) {
+  if (!virtualList) return;
+
+  const { cardList, order, heights, cards } = virtualList;
+  let start;
+  let end;
+
+  if (anchor != null) {
+    start = anchor;
+    end = anchor + 1;
+  } else {
+    const viewTop = -cardList.getBoundingClientRect().top;
+    const viewBottom = viewTop + window.innerHeight;
+    let offset = 0;
+
+    start = 0;
+    while (start < order.length - 1 && offset + (heights[start] || cardHeightEstimate) <= viewTop) {
+      offset += heights[start] || cardHeightEstimate;
+      start++;
+    }
+
+    end = start;
+    while (end < order.length && offset < viewBottom) {
+      offset += heights[end] || cardHeightEstimate;
+      end++;
+    }
+  }
+
+  start = Math.max(0, start - VIRTUAL_LIST_OVERSCAN);
+  end = Math.min(order.length, end + VIRTUAL_LIST_OVERSCAN);
+  if (start === virtualList.start && end === virtualList.end) return;
+
+  virtualList.start = start;
+  virtualList.end = end;
+
+  cards.forEach((card, position) => {
+    if (position >= start && position < end) return;
+    card.remove();
+    cards.delete(position);
+  });
+
+  // Walk backwards so each new card goes in front of the one after it
+  let next = null;
+  for (let position = end - 1; position >= start; position--) {
+    let card = cards.get(position);
+    if (!card) {
+      card = createPortalCard(portals[order[position]], order[position]);
+      cardList.insertBefore(card, next);
+      cards.set(position, card);
+    }
+    next = card;
+  }
+
+  // Remember real heights so the padding matches the cards it replaces
+  let measured = 0;
+  let measuredTotal = 0;
+  cards.forEach((card, position) => {
+    if (card.offsetHeight === 0) return;
+    heights[position] = card.offsetHeight + CARD_GAP_PX;
+    measured++;
+    measuredTotal += heights[position];
+  });
+  if (measured > 0) cardHeightEstimate = Math.round(measuredTotal / measured);
+
+  cardList.style.paddingTop = `${getCardsHeight(0, start)}px`;
+  cardList.style.paddingBottom = `${getCardsHeight(end, order.length)}px`;
+
+  updatePortalCardDisplays();
+}
+
+function scheduleVirtualWindow() {
+  if (!virtualList || virtualListFrame) return;
+
+  virtualListFrame = requestAnimationFrame(() => {
+    virtualListFrame = null;
+    renderVirtualWindow();
+  });
+}
+
+function setupVirtualPortalList() {
+  window.addEventListener("scroll", scheduleVirtualWindow, { passive: true });
+  window.addEventListener("resize", scheduleVirtualWindow);
+}
+
+// Ids for linking labels to card fields; portal ids are unique in the list
+function cardFieldId(portal, field) {
+  return `portal-${portal.id}-${field}`;
+}
+
+function createPortalCard(portal, index) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "relative w-full";
+  wrapper.dataset.portalId = portal.id;
+
+  // Narrow screens stack the fields in collapsible sections; from md up the
+  // sections dissolve (md:contents) and the fields form the six-column grid
+  const card = document.createElement("div");
+  card.dataset.index = index;
+  card.className =
+    "portal-card bg-gray-800/60 backdrop-blur-sm border border-gray-700 rounded-xl p-3 shadow-lg w-full " +
+    "flex flex-col gap-3 md:p-4 md:pl-10 md:pr-10 " +
+    "md:min-w-[1100px] md:grid md:grid-cols-[110px_110px_320px_150px_175px_175px] md:items-center md:gap-8";
+
+  card.appendChild(buildPortalNameInput(portal, index));
+  card.appendChild(buildCardSection(portal, CARD_SECTION_INPUTS, "Inputs", [
+    buildDestinationInput(portal, index),
+    buildLocationInputs(portal, index),
+  ]));
+  card.appendChild(buildCardSection(portal, CARD_SECTION_RESULTS, "Results", [
+    buildTravelLocDisplay(),
+    buildClosestDisplay(index),
+    buildTargetDisplay(),
+  ]));
+  card.appendChild(buildTagRow(portal, index));
+  card.appendChild(buildExplanationRow(portal, index));
+
+  const moveButtons = buildMoveButtons(index);
+
+  wrapper.appendChild(card);
+  wrapper.appendChild(moveButtons);
+  wrapper.appendChild(buildDeleteButton(index));
+  wrapper.appendChild(buildCardActionsButton(index));
+  attachCardLongPress(wrapper, index);
+  attachCardDragAndDrop(wrapper, moveButtons.querySelector('[data-field="reorder"]'), index);
+  updateCardButtonLabels(wrapper, index);
+
+  return wrapper;
+}
+
+function buildPortalNameInput(portal, index) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  const header = document.createElement("div");
+  header.className = "flex items-center justify-between w-full pr-10 md:w-32 md:pr-0";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Portal Name";
+  label.htmlFor = cardFieldId(portal, "name");
+
+  // Marker colour, used on the map and carried to/from minimap waypoints
+  const color = document.createElement("input");
+  color.type = "color";
+  color.dataset.field = "color";
+  color.setAttribute("aria-label", "Marker colour");
+  color.value = portal.color || DEFAULT_PORTAL_COLOR;
+  color.title = portal.color ? `Colour ${portal.color}` : "No colour set";
+  color.className = "w-4 h-4 p-0 border-0 bg-transparent cursor-pointer" + (portal.color ? "" : " opacity-40");
+
+  color.addEventListener("input", () => {
+    portals[index].color = color.value;
+    color.title = `Colour ${color.value}`;
+    color.classList.remove("opacity-40");
+    schedulePortalSave();
+    drawPortalMaps();
+  });
+
+  // Team sync state of this portal, filled in by updatePortalCardDisplays
+  const syncBadge = document.createElement("span");
+  syncBadge.className = "sync-badge hidden";
+
+  header.appendChild(label);
+  header.appendChild(syncBadge);
+  header.appendChild(color);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.id = cardFieldId(portal, "name");
+  input.dataset.field = "name";
+  input.value = portal.name || "";
+  input.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-full md:w-32 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  input.addEventListener("input", () => {
+    editPortal(index, (edited) => {
+      edited.name = input.value;
+    });
+  });
+
+  container.appendChild(header);
+  container.appendChild(input);
+  return container;
+}
+
+function buildDestinationInput(portal, index) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Destination";
+  label.htmlFor = cardFieldId(portal, "destination");
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.id = cardFieldId(portal, "destination");
+  input.dataset.field = "destination";
+  input.value = portal.destination || "";
+  input.placeholder = "Search portals";
+  input.className =
+    "destination-input bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-full md:w-32 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  attachDestinationPicker(input, {
+    getSource: () => portals[index],
+    onType: (text) => {
+      // A typed name links to the first portal with that name, if there is one
+      editPortal(index, (edited) => {
+        edited.destination = text;
+        edited.destinationId = null;
+      });
+    },
+    onPick: (target) => {
+      editPortal(index, (edited) => {
+        edited.destination = target.name;
+        edited.destinationId = target.id;
+      });
+    },
+  });
+
+  container.appendChild(label);
+  container.appendChild(input);
+  return container;
+}
+
+function buildLocationInputs(portal, index) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Portal Loc";
+  label.id = cardFieldId(portal, "location");
+
+  const row = document.createElement("div");
+  row.className = "grid grid-cols-3 gap-2 md:flex md:flex-row";
+  row.setAttribute("role", "group");
+  row.setAttribute("aria-labelledby", label.id);
+
+  const xInput = document.createElement("input");
+  xInput.type = "number";
+  xInput.value = portal.x ?? "";
+  xInput.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-full min-w-0 md:w-16 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  xInput.addEventListener("input", () => {
+    editPortal(index, (edited) => {
+      edited.x = xInput.value === "" ? null : Number(xInput.value);
+    });
+  });
+
+  const yInput = document.createElement("input");
+  yInput.type = "number";
+  yInput.value = portal.y ?? "";
+  yInput.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-full min-w-0 md:w-16 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  yInput.addEventListener("input", () => {
+    editPortal(index, (edited) => {
+      edited.y = yInput.value === "" ? null : Number(yInput.value);
+    });
+  });
+
+  const zInput = document.createElement("input");
+  zInput.type = "number";
+  zInput.value = portal.z ?? "";
+  zInput.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-full min-w-0 md:w-16 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  zInput.addEventListener("input", () => {
+    editPortal(index, (edited) => {
+      edited.z = zInput.value === "" ? null : Number(zInput.value);
+    });
+  });
+
+  const worldSelect = document.createElement("select");
+  worldSelect.className =
+    "col-span-3 bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  worldSelect.innerHTML = `
+    <option ${portal.world === WORLD_OVERWORLD ? "selected" : ""}>Overworld</option>
+    <option ${portal.world === WORLD_NETHER ? "selected" : ""}>Nether</option>
+  `;
+
+  worldSelect.addEventListener("change", () => {
+    editPortal(index, (edited) => {
+      edited.world = worldSelect.value;
+    });
+  });
+  worldSelect.dataset.field = "world";
+  worldSelect.setAttribute("aria-label", "World");
+
+  [xInput, yInput, zInput].forEach((input, i) => {
+    input.dataset.field = "xyz"[i];
+    input.setAttribute("aria-label", "XYZ"[i]);
+    // No inputMode: iOS's numeric keypad has no minus key for negative coordinates
+    input.enterKeyHint = "next";
+    row.appendChild(buildCoordinateField(input));
+  });
+  row.appendChild(worldSelect);
+
+  container.appendChild(label);
+  container.appendChild(row);
+  container.appendChild(buildFrameInputs(portal, index));
+  return container;
+}
+
+function buildFrameInputs(portal, index) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col mt-1";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Frame (axis / width / height / anchor)";
+  label.id = cardFieldId(portal, "frame");
+
+  const row = document.createElement("div");
+  row.className = "flex flex-row flex-wrap gap-2 md:flex-nowrap";
+  row.setAttribute("role", "group");
+  row.setAttribute("aria-labelledby", label.id);
+
+  const frame = portal.frame;
+
+  const axisSelect = document.createElement("select");
+  axisSelect.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  axisSelect.title = "Axis the portal opening runs along";
+
+  axisSelect.innerHTML = `
+    <option value="${AXIS_X}" ${frame.axis === AXIS_X ? "selected" : ""}>X axis</option>
+    <option value="${AXIS_Z}" ${frame.axis === AXIS_Z ? "selected" : ""}>Z axis</option>
+  `;
+
+  axisSelect.addEventListener("change", () => {
+    editPortal(index, (edited) => {
+      edited.frame.axis = axisSelect.value;
+    });
+  });
+
+  const widthInput = buildFrameSizeInput(
+    frame.width, MIN_PORTAL_WIDTH, MAX_PORTAL_WIDTH, "Portal blocks wide",
+    (value) => editPortal(index, (edited) => { edited.frame.width = value; })
+  );
+
+  const heightInput = buildFrameSizeInput(
+    frame.height, MIN_PORTAL_HEIGHT, MAX_PORTAL_HEIGHT, "Portal blocks tall",
+    (value) => editPortal(index, (edited) => { edited.frame.height = value; })
+  );
+
+  const anchorSelect = document.createElement("select");
+  anchorSelect.className = axisSelect.className;
+  anchorSelect.title = "Which corner portal block X / Y / Z points at (low/high along the axis)";
+
+  anchorSelect.innerHTML = FRAME_ANCHORS.map((anchor) =>
+    `<option value="${anchor}" ${frame.anchor === anchor ? "selected" : ""}>${FRAME_ANCHOR_LABELS[anchor]}</option>`
+  ).join("");
+
+  anchorSelect.addEventListener("change", () => {
+    editPortal(index, (edited) => {
+      edited.frame.anchor = anchorSelect.value;
+    });
+  });
+
+  const fields = { axis: axisSelect, width: widthInput, height: heightInput, anchor: anchorSelect };
+  Object.entries(fields).forEach(([field, el]) => {
+    el.dataset.field = field;
+    el.setAttribute("aria-label", field[0].toUpperCase() + field.slice(1));
+    row.appendChild(el);
+  });
+
+  container.appendChild(label);
+  container.appendChild(row);
+  return container;
+}
+
+function buildFrameSizeInput(value, min, max, title, apply) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = min;
+  input.max = max;
+  input.value = value;
+  input.inputMode = "numeric";
+  input.title = `${title} (${min}–${max})`;
+  input.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-2 md:py-1 text-gray-100 w-14 md:w-12 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  // Only accept in-range sizes while typing, snap the field back on blur
+  input.addEventListener("input", () => {
+    const num = Number(input.value);
+    if (input.value === "" || !Number.isInteger(num) || num < min || num > max) return;
+
+    apply(num);
+  });
+
+  input.addEventListener("change", () => {
+    const num = clampInt(Number(input.value), min, max, min);
+    input.value = num;
+    apply(num);
+  });
+
+  return input;
+}
+
+function buildTravelLocDisplay() {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Travel Loc";
+
+  const span = document.createElement("span");
+  span.className = "travel-loc text-gray-100";
+  span.textContent = "— / — / — (—)";
+
+  container.appendChild(label);
+  container.appendChild(span);
+
+  return container;
+}
+
+function buildTargetDisplay() {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Target";
+
+  // Read out when an edit changes where the portal leads
+  container.setAttribute("aria-live", "polite");
+  container.setAttribute("aria-atomic", "true");
+
+  const span = document.createElement("span");
+  span.className = "target-info text-gray-100";
+  span.textContent = "— (—)";
+
+  const warning = document.createElement("span");
+  warning.className = "target-warning hidden text-amber-400 text-xs";
+
+  container.appendChild(label);
+  container.appendChild(span);
+  container.appendChild(warning);
+
+  return container;
+}
+
+function buildClosestDisplay(index) {
+  const container = document.createElement("div");
+  container.className = "flex flex-col";
+
+  // Only the result is a live region, not the prediction and its button
+  const status = document.createElement("div");
+  status.className = "flex flex-col";
+  status.setAttribute("aria-live", "polite");
+  status.setAttribute("aria-atomic", "true");
+
+  const label = document.createElement("label");
+  label.className = "text-gray-400 text-xs";
+  label.textContent = "Closest";
+
+  const span = document.createElement("span");
+  span.className = "closest-info text-gray-100";
+  span.textContent = "— (—)";
+
+  const warning = document.createElement("span");
+  warning.className = "closest-warning hidden text-amber-400 text-xs";
+
+  status.appendChild(label);
+  status.appendChild(span);
+  status.appendChild(warning);
+  container.appendChild(status);
+  container.appendChild(buildGeneratedDisplay(index));
+
+  return container;
+}
+
+function buildGeneratedDisplay(index) {
+  const container = document.createElement("div");
+  container.className = "generated-info hidden flex flex-col text-xs text-gray-400";
+
+  const position = document.createElement("span");
+  position.className = "generated-pos";
+
+  const search = document.createElement("span");
+  search.className = "generated-search";
+
+  const platform = document.createElement("span");
+  platform.className = "generated-platform";
+
+  const addBtn = document.createElement("button");
+  addBtn.dataset.field = "add-predicted";
+  addBtn.className = "self-start text-purple-400 hover:text-purple-300";
+  addBtn.textContent = "+ Add predicted portal";
+  addBtn.addEventListener("click", () => addPredictedPortal(portals[index]));
+
+  container.appendChild(position);
+  container.appendChild(search);
+  container.appendChild(platform);
+  container.appendChild(addBtn);
+
+  return container;
+}
+
+function buildMoveButtons(index) {
+  const container = document.createElement("div");
+  container.className = "absolute left-2 top-1/2 -translate-y-1/2 hidden md:flex flex-col items-center gap-1";
+
+  // Up button
+  const upBtn = document.createElement("button");
+  upBtn.dataset.field = "move-up";
+  upBtn.className =
+    "text-gray-400 hover:text-purple-300 px-2 leading-none";
+  upBtn.textContent = "↑";
+  upBtn.addEventListener("click", () => movePortalUp(index));
+
+  const handle = buildReorderHandle(index);
+
+  // Down button
+  const downBtn = document.createElement("button");
+  downBtn.dataset.field = "move-down";
+  downBtn.className =
+    "text-gray-400 hover:text-purple-300 px-2 leading-none";
+  downBtn.textContent = "↓";
+  downBtn.addEventListener("click", () => movePortalDown(index));
+
+  // Neighbours on screen are not neighbours in the list while searching or sorting
+  if (isListViewActive()) {
+    [upBtn, handle, downBtn].forEach((btn) => {
+      btn.disabled = true;
+      btn.title = "Clear the search, filters and sort to reorder";
+      btn.classList.add("opacity-30", "cursor-not-allowed");
+    });
+  }
+
+  container.appendChild(upBtn);
+  container.appendChild(handle);
+  container.appendChild(downBtn);
+  return container;
+}
+
+
+function buildDeleteButton(index) {
+  const btn = document.createElement("button");
+  btn.dataset.field = "delete";
+  btn.className =
+    "absolute right-2 top-1/2 -translate-y-1/2 hidden md:block text-gray-400 hover:text-purple-300 px-2";
+  btn.textContent = "X";
+
+  btn.addEventListener("click", () => {
+    deletePortal(index);
+  });
+
+  return btn;
+}
+
+// Icon buttons are named after the portal, so they follow renames
+function updateCardButtonLabels(wrapper, index) {
+  const label = portalLabel(index);
+  const names = {
+    "move-up": `Move ${label} up`,
+    "move-down": `Move ${label} down`,
+    reorder: `Reorder ${label}, position ${index + 1} of ${portals.length}`,
+    delete: `Delete ${label}`,
+    actions: `Move or delete ${label}`,
+  };
+
+  Object.entries(names).forEach(([field, name]) => {
+    const btn = wrapper.querySelector(`[data-field="${field}"]`);
+    if (btn && btn.getAttribute("aria-label") !== name) btn.setAttribute("aria-label", name);
+  });
+}
+
+// ---- Move & Delete ----
+
+function deletePortal(index) {
+  try {
+    portals.splice(index, 1);
+
+    if (portals.length === 0) {
+      portals.push(createBlankPortal());
+    }
+
+    savePortalsToStorage();
+    renderPortalList();
+  } catch (err) {
+    console.error("Failed to delete portal:", err);
+  }
+}
+
+// Moves the portal at from so it ends up at position to, and says where it went
+function movePortal(from, to) {
+  if (from === to || from < 0 || to < 0 || from >= portals.length || to >= portals.length) return;
+
+  const [portal] = portals.splice(from, 1);
+  portals.splice(to, 0, portal);
+
+  savePortalsToStorage();
+  renderPortalList();
+  announceToScreenReader(`${portalLabel(to)} moved to position ${to + 1} of ${portals.length}`);
+}
+
+function movePortalUp(index) {
+  movePortal(index, index - 1);
+}
+
+function movePortalDown(index) {
+  movePortal(index, index + 1);
+}
+
+// ---- Drag & Keyboard Reordering ----
+//
+// Each card has a handle: drag it to drop the card above or below another, or
+// focus it and use the arrow keys, Home and End. Like the arrows, it only
+// works on the plain list order.
+
+let dragSourceIndex = null;
+
+// Polite live region for results of actions that move focus or cards around
+function announceToScreenReader(message) {
+  const region = document.getElementById("listAnnouncer");
+  if (!region) return;
+
+  // Clearing first makes a repeat of the same message count as a change
+  region.textContent = "";
+  requestAnimationFrame(() => {
+    region.textContent = message;
+  });
+}
+
+function buildReorderHandle(index) {
+  const handle = document.createElement("button");
+  handle.type = "button";
+  handle.dataset.field = "reorder";
+  handle.className = "text-gray-500 hover:text-purple-300 px-2 leading-none cursor-grab";
+  handle.textContent = "⠿";
+  handle.title = "Drag to reorder, or focus and use the arrow keys";
+  handle.setAttribute("aria-keyshortcuts", "ArrowUp ArrowDown Home End");
+
+  handle.addEventListener("keydown", (e) => {
+    const to = {
+      ArrowUp: index - 1,
+      ArrowDown: index + 1,
+      Home: 0,
+      End: portals.length - 1,
+    }[e.key];
+    if (to == null) return;
+
+    e.preventDefault();
+    if (handle.disabled) return;
+    movePortal(index, Math.max(0, Math.min(portals.length - 1, to)));
+  });
+
+  return handle;
+}
+
+// The card only becomes draggable while the handle is held, so text in its
+// fields can still be selected with the mouse
+function attachCardDragAndDrop(wrapper, handle, index) {
+  const indicator = document.createElement("div");
+  indicator.className = "drop-indicator hidden absolute left-0 right-0 h-1 rounded bg-purple-400 pointer-events-none";
+  wrapper.appendChild(indicator);
+
+  const hideIndicator = () => indicator.classList.add("hidden");
+
+  handle.addEventListener("pointerdown", () => {
+    if (!handle.disabled) wrapper.draggable = true;
+  });
+  handle.addEventListener("pointerup", () => {
+    if (dragSourceIndex == null) wrapper.draggable = false;
+  });
+
+  wrapper.addEventListener("dragstart", (e) => {
+    if (!wrapper.draggable) return;
+
+    dragSourceIndex = index;
+    e.dataTransfer.effectAllowed = "move";
+    // Firefox does not start a drag without data
+    e.dataTransfer.setData("text/plain", portals[index].name || "");
+    wrapper.classList.add("opacity-50");
+  });
+
+  wrapper.addEventListener("dragend", () => {
+    dragSourceIndex = null;
+    wrapper.draggable = false;
+    wrapper.classList.remove("opacity-50");
+    document.querySelectorAll("#portalList .drop-indicator").forEach((el) => el.classList.add("hidden"));
+  });
+
+  wrapper.addEventListener("dragover", (e) => {
+    if (dragSourceIndex == null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+
+    // The line sits in the gap on whichever side of the card the pointer is
+    const rect = wrapper.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    indicator.classList.toggle("-top-2.5", !after);
+    indicator.classList.toggle("-bottom-2.5", after);
+    indicator.classList.remove("hidden");
+  });
+
+  wrapper.addEventListener("dragleave", (e) => {
+    if (!wrapper.contains(e.relatedTarget)) hideIndicator();
+  });
+
+  wrapper.addEventListener("drop", (e) => {
+    if (dragSourceIndex == null) return;
+    e.preventDefault();
+    hideIndicator();
+
+    const from = dragSourceIndex;
+    const rect = wrapper.getBoundingClientRect();
+    let to = e.clientY > rect.top + rect.height / 2 ? index + 1 : index;
+    if (from < to) to--;
+
+    dragSourceIndex = null;
+    movePortal(from, to);
+  });
+}
+
+
+// ---- Undo / Redo History ----
+//
+// Every change to the portal list goes through savePortalsToStorage, which
+// records a snapshot of the user-entered fields whenever they differ from the
+// last one. Typing into the same field, or one drag of a map marker, only keeps
+// the snapshot from before the first change. The history lives in sessionStorage, per workspace, so it
+// survives reloads of the tab but not closing it.
+
+const MAX_HISTORY_ENTRIES = 100;
+const HISTORY_SAVE_DELAY_MS = 400;
+
+function createEmptyEditHistory() {
+  return { workspaceId: null, undo: [], redo: [], current: null, groupTarget: null };
+}
+
+let editHistory = createEmptyEditHistory();
+let historySaveTimer = null;
+
+function snapshotPortals() {
+  return JSON.stringify(portals.map(serializePortal));
+}
+
+function isGroupedEditTarget(el) {
+  return !!el && typeof el.matches === "function" && el.matches("#portalList input");
+}
+
+function recordPortalHistory() {
+  const snapshot = snapshotPortals();
+
+  if (editHistory.current == null) {
+    editHistory.current = snapshot;
+    return;
+  }
+  if (snapshot === editHistory.current) return;
+
+  // A marker dragged on the map is one step, however many moves it takes
+  const dragging = mapDrag && mapDrag.moved;
+  const target = dragging ? mapDrag : document.activeElement;
+  const grouped = dragging || isGroupedEditTarget(target);
+
+  if (!grouped || target !== editHistory.groupTarget) {
+    editHistory.undo.push(editHistory.current);
+    if (editHistory.undo.length > MAX_HISTORY_ENTRIES) editHistory.undo.shift();
+  }
+
+  editHistory.groupTarget = grouped ? target : null;
+  editHistory.current = snapshot;
+  editHistory.redo = [];
+
+  scheduleEditHistorySave();
+  updateHistoryButtons();
+}
+
+function saveEditHistoryToSession() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = null;
+  if (editHistory.workspaceId == null) return;
+
+  for (;;) {
+    try {
+      sessionStorage.setItem(workspaceKey(HISTORY_KEY, editHistory.workspaceId), JSON.stringify({
+        current: editHistory.current,
+        undo: editHistory.undo,
+        redo: editHistory.redo,
+      }));
+      return;
+    } catch (err) {
+      // Over quota: give up the oldest steps first
+      if (editHistory.undo.length > 0) {
+        editHistory.undo = editHistory.undo.slice(Math.ceil(editHistory.undo.length / 2));
+      } else if (editHistory.redo.length > 0) {
+        editHistory.redo = [];
+      } else {
+        console.error("Failed to save undo history:", err);
+        return;
+      }
+      updateHistoryButtons();
+    }
+  }
+}
+
+// Saving every keystroke would re-serialise the whole history each time
+function scheduleEditHistorySave() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(saveEditHistoryToSession, HISTORY_SAVE_DELAY_MS);
+}
+
+// The stored history only applies if it ends at the list that was just loaded
+function loadEditHistoryFromSession() {
+  editHistory = createEmptyEditHistory();
+  editHistory.workspaceId = workspaceIndex.activeId;
+  editHistory.current = snapshotPortals();
+
+  try {
+    const raw = sessionStorage.getItem(workspaceKey(HISTORY_KEY));
+    if (raw) {
+      const data = JSON.parse(raw);
+      const isList = (list) => Array.isArray(list) && list.every((entry) => typeof entry === "string");
+
+      if (data && data.current === editHistory.current && isList(data.undo) && isList(data.redo)) {
+        editHistory.undo = data.undo;
+        editHistory.redo = data.redo;
+      }
+    }
+  } catch (err) {
+    console.warn("Discarding unreadable undo history:", err);
+  }
+
+  updateHistoryButtons();
+}
+
+function restorePortalSnapshot(snapshot) {
+  editHistory.current = snapshot;
+  editHistory.groupTarget = null;
+
+  portals = JSON.parse(snapshot).map(sanitizePortal);
+  if (portals.length === 0) portals = [createBlankPortal()];
+
+  savePortalsToStorage();
+  renderPortalList();
+  updateOutputCard();
+
+  saveEditHistoryToSession();
+  updateHistoryButtons();
+}
+
+function undoPortalEdit() {
+  flushPortalSave();
+  if (editHistory.undo.length === 0) return;
+
+  editHistory.redo.push(editHistory.current);
+  restorePortalSnapshot(editHistory.undo.pop());
+}
+
+function redoPortalEdit() {
+  flushPortalSave();
+  if (editHistory.redo.length === 0) return;
+
+  editHistory.undo.push(editHistory.current);
+  restorePortalSnapshot(editHistory.redo.pop());
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+
+  if (undoBtn) {
+    undoBtn.disabled = editHistory.undo.length === 0;
+    undoBtn.title = `Undo (Ctrl+Z), ${editHistory.undo.length} steps`;
+  }
+  if (redoBtn) {
+    redoBtn.disabled = editHistory.redo.length === 0;
+    redoBtn.title = `Redo (Ctrl+Shift+Z or Ctrl+Y), ${editHistory.redo.length} steps`;
+  }
+}
+
+function setupEditHistory() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  if (undoBtn) undoBtn.addEventListener("click", undoPortalEdit);
+  if (redoBtn) redoBtn.addEventListener("click", redoPortalEdit);
+
+  // Leaving a field saves it and ends its typing group
+  const list = document.getElementById("portalList");
+  if (list) {
+    list.addEventListener("focusout", () => {
+      flushPortalSave();
+      editHistory.groupTarget = null;
+    });
+  }
+
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === "z" && !e.shiftKey;
+    const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    // Fields outside the portal list (top card, dialogs) keep their own undo
+    const target = e.target;
+    if (target instanceof Element && target.matches("input, textarea, select") && !target.closest("#portalList")) return;
+
+    e.preventDefault();
+    if (isUndo) undoPortalEdit();
+    else redoPortalEdit();
+  });
+
+  window.addEventListener("pagehide", () => {
+    flushPortalSave();
+    if (historySaveTimer) saveEditHistoryToSession();
+  });
+
+  updateHistoryButtons();
+}
+
+// ---- Top Input World Toggle ----
+
+function setupTopWorldButtons() {
+  const overworldBtn = document.getElementById("top-overworldBtn");
+  const netherBtn = document.getElementById("top-netherBtn");
+
+  if (!overworldBtn || !netherBtn) {
+    console.warn("Top world buttons missing from DOM");
+    return;
+  }
+
+  overworldBtn.addEventListener("click", () => {
+    topWorld = WORLD_OVERWORLD;
+    saveTopCardToStorage();
+    updateTopWorldUI();
+    updateOutputCard();
+  });
+
+  netherBtn.addEventListener("click", () => {
+    topWorld = WORLD_NETHER;
+    saveTopCardToStorage();
+    updateTopWorldUI();
+    updateOutputCard();
+  });
+
+  updateTopWorldUI();
+}
+
+function updateTopWorldUI() {
+  const overworldBtn = document.getElementById("top-overworldBtn");
+  const netherBtn = document.getElementById("top-netherBtn");
+
+  if (!overworldBtn || !netherBtn) return;
+
+  overworldBtn.classList.toggle(
+    "bg-purple-700",
+    topWorld === WORLD_OVERWORLD
+  );
+  overworldBtn.classList.toggle("text-white", topWorld === WORLD_OVERWORLD);
+
+  netherBtn.classList.toggle("bg-purple-700", topWorld === WORLD_NETHER);
+  netherBtn.classList.toggle("text-white", topWorld === WORLD_NETHER);
+}
+
+// ---- Workspaces ----
+
+function createWorkspaceId() {
+  return `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function getActiveWorkspace() {
+  return workspaceIndex.workspaces.find((ws) => ws.id === workspaceIndex.activeId);
+}
+
+function promptWorkspaceName(message, fallback) {
+  const name = prompt(message, fallback);
+  if (name == null) return null;
+
+  const trimmed = name.trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+// Re-read everything from the active workspace and redraw the whole page
+function refreshWorkspaceUI() {
+  updateWorkspaceSelect();
+
+  const rulesSelect = document.getElementById("rulesProfile");
+  if (rulesSelect) rulesSelect.value = settings.rulesProfile;
+
+  updateTopWorldUI();
+  renderHighwayList();
+  renderPortalList();
+  updateOutputCard();
+  restartTeamSync();
+}
+
+function switchWorkspace(id) {
+  if (!workspaceIndex.workspaces.some((ws) => ws.id === id)) return;
+
+  flushPortalSave();
+  workspaceIndex.activeId = id;
+  saveWorkspaceIndexToStorage();
+  loadActiveWorkspace();
+  refreshWorkspaceUI();
+}
+
+function createWorkspace() {
+  const name = promptWorkspaceName("Name for the new workspace:", "");
+  if (!name) return;
+
+  const id = createWorkspaceId();
+  workspaceIndex.workspaces.push({ id, name });
+  switchWorkspace(id);
+}
+
+function renameWorkspace() {
+  const workspace = getActiveWorkspace();
+  if (!workspace) return;
+
+  const name = promptWorkspaceName("Rename workspace:", workspace.name);
+  if (!name) return;
+
+  workspace.name = name;
+  saveWorkspaceIndexToStorage();
+  updateWorkspaceSelect();
+}
+
+function duplicateWorkspace() {
+  const workspace = getActiveWorkspace();
+  if (!workspace) return;
+
+  const name = promptWorkspaceName("Name for the copy:", `${workspace.name} (copy)`);
+  if (!name) return;
+
+  const id = createWorkspaceId();
+  flushPortalSave();
+
+  // Not SYNC_KEY: the copy is a local fork, not a second link to a team list
+  try {
+    [STORAGE_KEY, SETTINGS_KEY, TOP_CARD_KEY, HIGHWAYS_KEY].forEach((base) => {
+      const raw = localStorage.getItem(workspaceKey(base));
+      if (raw != null) localStorage.setItem(workspaceKey(base, id), raw);
+    });
+  } catch (err) {
+    console.error("Failed to copy workspace:", err);
+    alert("Failed to duplicate workspace.");
+    return;
+  }
+
+  workspaceIndex.workspaces.push({ id, name });
+  switchWorkspace(id);
+}
+
+function deleteWorkspace() {
+  const workspace = getActiveWorkspace();
+  if (!workspace) return;
+
+  if (workspaceIndex.workspaces.length === 1) {
+    alert("You need at least one workspace. Use Reset Portals to clear this one.");
+    return;
+  }
+
+  if (!confirm(`Delete workspace "${workspace.name}" and all of its portals?`)) return;
+
+  flushPortalSave();
+
+  [STORAGE_KEY, LEGACY_STORAGE_KEY, SETTINGS_KEY, TOP_CARD_KEY, HIGHWAYS_KEY, SYNC_KEY].forEach((base) => {
+    localStorage.removeItem(workspaceKey(base, workspace.id));
+  });
+  sessionStorage.removeItem(workspaceKey(HISTORY_KEY, workspace.id));
+
+  workspaceIndex.workspaces = workspaceIndex.workspaces.filter((ws) => ws.id !== workspace.id);
+  switchWorkspace(workspaceIndex.workspaces[0].id);
+}
+
+function updateWorkspaceSelect() {
+  const select = document.getElementById("workspaceSelect");
+  if (!select) return;
+
+  select.innerHTML = workspaceIndex.workspaces.map((ws) =>
+    `<option value="${escapeHtml(ws.id)}">${escapeHtml(ws.name)}</option>`
+  ).join("");
+  select.value = workspaceIndex.activeId;
+}
+
+function setupWorkspaceControls() {
+  const select = document.getElementById("workspaceSelect");
+  if (!select) {
+    console.warn("Workspace controls missing from DOM");
+    return;
+  }
+
+  select.addEventListener("change", () => switchWorkspace(select.value));
+
+  const actions = {
+    workspaceNewBtn: createWorkspace,
+    workspaceRenameBtn: renameWorkspace,
+    workspaceDuplicateBtn: duplicateWorkspace,
+    workspaceDeleteBtn: deleteWorkspace,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+
+  // Remember the workspace on first load too
+  saveWorkspaceIndexToStorage();
+  updateWorkspaceSelect();
+}
+
+// ---- Rules Profile Selector ----
+
+function setupRulesProfileSelect() {
+  const select = document.getElementById("rulesProfile");
+  if (!select) {
+    console.warn("Rules profile select missing from DOM");
+    return;
+  }
+
+  select.innerHTML = Object.entries(RULES_PROFILES).map(([key, profile]) =>
+    `<option value="${key}">${profile.label}</option>`
+  ).join("");
+  select.value = settings.rulesProfile;
+
+  select.addEventListener("change", () => {
+    settings.rulesProfile = RULES_PROFILES[select.value] ? select.value : DEFAULT_RULES_PROFILE;
+    saveSettingsToStorage();
+    updateAllPortalCalculations();
+  });
+}
+
+// ---- Add Portal From Top Inputs (Convert Button repurposed) ----
+
+function setupConvertButton() {
+  const btn = document.getElementById("top-convertBtn");
+  if (!btn) {
+    console.warn("Convert/Add button missing from DOM");
+    return;
+  }
+
+  // Repurpose as "Add Portal"
+  btn.textContent = "Add Portal";
+
+  btn.addEventListener("click", () => {
+    try {
+      addPortalFromTopInputs();
+    } catch (err) {
+      console.error("Add portal failed:", err);
+    }
+  });
+
+  const topX = document.getElementById("top-x");
+  const topY = document.getElementById("top-y");
+  const topZ = document.getElementById("top-z");
+  const topDest = document.getElementById("top-destination");
+  const topName = document.getElementById("top-name");
+  const topWidth = document.getElementById("top-width");
+  const topHeight = document.getElementById("top-height");
+
+  [topX, topY, topZ, topDest, topName, topWidth, topHeight].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("input", () => {
+      saveTopCardToStorage();
+      updateOutputCard();
+    });
+  });
+
+  ["top-axis", "top-anchor"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener("change", () => {
+      saveTopCardToStorage();
+      updateOutputCard();
+    });
+  });
+
+  const addGeneratedBtn = document.getElementById("addGeneratedBtn");
+  if (addGeneratedBtn) {
+    addGeneratedBtn.addEventListener("click", () => addPredictedPortal(buildTopPreviewPortal()));
+  }
+}
+
+function addPortalFromTopInputs() {
+  const nameEl = document.getElementById("top-name");
+  const destEl = document.getElementById("top-destination");
+  const xEl = document.getElementById("top-x");
+  const yEl = document.getElementById("top-y");
+  const zEl = document.getElementById("top-z");
+
+  const name = nameEl.value.trim();
+  const destination = destEl.value.trim();
+  const xVal = xEl.value;
+  const yVal = yEl.value;
+  const zVal = zEl.value;
+
+  const x = xVal === "" ? null : Number(xVal);
+  const y = yVal === "" ? null : Number(yVal);
+  const z = zVal === "" ? null : Number(zVal);
+
+  const newPortal = {
+    ...createBlankPortal(),
+    name,
+    destination,
+    destinationId: destination ? destEl.dataset.portalId || null : null,
+    x,
+    y,
+    z,
+    world: topWorld,
+    frame: readTopFrameInputs(),
+  };
+
+  portals.push(newPortal);
+  savePortalsToStorage();
+  renderPortalList();
+
+  nameEl.value = "";
+  destEl.value = "";
+  delete destEl.dataset.portalId;
+  xEl.value = "";
+  yEl.value = "";
+  zEl.value = "";
+
+  saveTopCardToStorage();
+  updateOutputCard();
+}
+
+// ---- Optional Reset Button ----
+
+function resetPortals() {
+  if (!confirm("Are you sure you want to reset all portals? You can undo this with Ctrl+Z.")) return;
+
+  portals = [createBlankPortal()];
+  savePortalsToStorage();
+  renderPortalList();
+  updateOutputCard();
+}
+
+
+function downloadTextFile(fileName, text) {
+  downloadBlob(fileName, new Blob([text], { type: "text/plain" }));
+}
+
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+function exportPortalsToFile() {
+  const data = JSON.stringify(buildExportData(), null, 2); // pretty JSON
+  downloadTextFile("portals.txt", data);
+}
+
+function importPortalsFromFile(file) {
+  const reader = new FileReader();
+
+  reader.onload = (event) => {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(event.target.result);
+    } catch (err) {
+      alert("Failed to import portal data: the file is not valid JSON.");
+      console.error(err);
+      return;
+    }
+
+    try {
+      openImportReport(validatePortalData(parsed), file.name);
+    } catch (err) {
+      alert(`Failed to import portal data: ${err.message}`);
+      console.error(err);
+    }
+  };
+
+  reader.readAsText(file);
+}
+
+// ---- Import Report ----
+
+const MAX_IMPORT_ISSUES_SHOWN = 50;
+
+let pendingImport = null;
+
+function openImportReport(result, sourceName) {
+  const dialog = document.getElementById("importDialog");
+  const report = document.getElementById("importReport");
+  if (!dialog || !report) return;
+
+  pendingImport = result;
+
+  const { portals: accepted, repaired, rejected, header } = result;
+  report.innerHTML = "";
+
+  const summary = document.createElement("p");
+  summary.className = "text-gray-200";
+  summary.textContent =
+    `${sourceName}: ${accepted.length} portals ready to import ` +
+    `(${repaired.length} repaired), ${rejected.length} rejected.`;
+  report.appendChild(summary);
+
+  const headerLine = document.createElement("p");
+  headerLine.className = "mt-1 text-xs text-gray-400";
+  headerLine.textContent = header.schemaVersion === 1
+    ? "Old unversioned file, converted to the current format."
+    : `Schema ${header.schemaVersion}, saved by version ${header.appVersion || "unknown"}.`;
+  report.appendChild(headerLine);
+
+  const issues = [
+    ...rejected.map((entry) => ({ ...entry, severity: SEVERITY_ERROR, verb: "rejected" })),
+    ...repaired.map((entry) => ({ ...entry, severity: SEVERITY_WARNING, verb: "repaired" })),
+  ];
+
+  if (issues.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "mt-3 space-y-1 text-sm max-h-64 overflow-y-auto";
+
+    issues.slice(0, MAX_IMPORT_ISSUES_SHOWN).forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = SEVERITY_STYLES[entry.severity];
+      const name = entry.label ? ` "${entry.label}"` : "";
+      item.textContent = `#${entry.entry}${name} ${entry.verb}: ${entry.issues.join(", ")}`;
+      list.appendChild(item);
+    });
+
+    if (issues.length > MAX_IMPORT_ISSUES_SHOWN) {
+      const more = document.createElement("li");
+      more.className = "text-gray-400";
+      more.textContent = `…and ${issues.length - MAX_IMPORT_ISSUES_SHOWN} more`;
+      list.appendChild(more);
+    }
+
+    report.appendChild(list);
+  }
+
+  // Offer the file's rules profile when it differs from the current one
+  const rulesRow = document.getElementById("importRulesRow");
+  const rulesCheck = document.getElementById("importUseRules");
+  const rulesLabel = document.getElementById("importRulesLabel");
+  const fileRules = header.rulesProfile;
+  const offerRules = fileRules != null && fileRules !== settings.rulesProfile;
+
+  if (rulesRow && rulesCheck && rulesLabel) {
+    rulesRow.classList.toggle("hidden", !offerRules);
+    rulesCheck.checked = offerRules;
+    rulesLabel.textContent = offerRules
+      ? `Switch to the file's rules (${RULES_PROFILES[fileRules].label} instead of ${getRulesProfile().label})`
+      : "";
+  }
+
+  ["importReplaceBtn", "importMergeBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = accepted.length === 0;
+  });
+
+  dialog.classList.remove("hidden");
+}
+
+function closeImportReport() {
+  pendingImport = null;
+
+  const dialog = document.getElementById("importDialog");
+  if (dialog) dialog.classList.add("hidden");
+}
+
+function isBlankPortal(portal) {
+  return !getPortalFrameBounds(portal) && !portal.name && !portal.destination;
+}
+
+function isOnlyBlankPortal() {
+  return portals.length === 1 && isBlankPortal(portals[0]);
+}
+
+// An entry replaces the portal with the same id, or else the same name, and
+// takes over its id so destinations pointing at the replaced portal still work
+function mergeImportedPortals(incoming) {
+  if (isOnlyBlankPortal()) portals = [];
+
+  const movedIds = new Map();
+
+  incoming.forEach((portal) => {
+    let existing = portals.findIndex((p) => p.id === portal.id);
+    if (existing === -1 && portal.name) existing = portals.findIndex((p) => p.name === portal.name);
+
+    if (existing === -1) {
+      portals.push(portal);
+      return;
+    }
+
+    if (portal.id !== portals[existing].id) movedIds.set(portal.id, portals[existing].id);
+    portal.id = portals[existing].id;
+    portals[existing] = portal;
+  });
+
+  incoming.forEach((portal) => {
+    if (movedIds.has(portal.destinationId)) portal.destinationId = movedIds.get(portal.destinationId);
+  });
+}
+
+// Shared by every importer: "replace" swaps the list, anything else merges
+function applyImportedPortals(incoming, mode) {
+  if (mode === "replace") {
+    portals = incoming.length > 0 ? incoming : [createBlankPortal()];
+  } else {
+    mergeImportedPortals(incoming);
+  }
+
+  savePortalsToStorage();
+  renderPortalList();
+  updateOutputCard();
+}
+
+function applyPendingImport(mode) {
+  if (!pendingImport) return;
+
+  const { portals: incoming, header } = pendingImport;
+
+  const rulesCheck = document.getElementById("importUseRules");
+  if (rulesCheck && rulesCheck.checked && header.rulesProfile) {
+    settings.rulesProfile = header.rulesProfile;
+    saveSettingsToStorage();
+
+    const rulesSelect = document.getElementById("rulesProfile");
+    if (rulesSelect) rulesSelect.value = settings.rulesProfile;
+  }
+
+  mergeTagColors(header.tagColors);
+  closeImportReport();
+  applyImportedPortals(incoming, mode);
+}
+
+function setupImportReport() {
+  const actions = {
+    importReplaceBtn: () => applyPendingImport("replace"),
+    importMergeBtn: () => applyPendingImport("merge"),
+    importCancelBtn: closeImportReport,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+}
+
+// ---- Waypoint Import / Export ----
+
+const WAYPOINT_EXPORT_HINTS = {
+  [WAYPOINT_FORMAT_XAERO]:
+    "One file per dimension: rename to mw$default_1.txt and place it in XaeroWaypoints/<world>/dim%0 or dim%-1.",
+  [WAYPOINT_FORMAT_JOURNEYMAP]:
+    "A JSON array of JourneyMap waypoint objects, one entry per waypoint.",
+  [WAYPOINT_FORMAT_VOXELMAP]:
+    "Merge the lines into the world's .points file in the voxelmap folder.",
+};
+
+let pendingWaypoints = [];
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// Each file is parsed on its own so one bad file does not stop the rest
+function importWaypointFiles(files) {
+  const reads = Array.from(files).map((file) =>
+    readFileText(file).then(
+      (text) => {
+        try {
+          return { fileName: file.name, ...parseWaypointFile(text, file.webkitRelativePath || file.name) };
+        } catch (err) {
+          return { fileName: file.name, error: err.message };
+        }
+      },
+      (err) => {
+        console.error(err);
+        return { fileName: file.name, error: "could not be read" };
+      }
+    )
+  );
+
+  Promise.all(reads).then(openWaypointDialog);
+}
+
+function waypointIsUsable(wp) {
+  return wp.world != null && wp.x != null && wp.z != null;
+}
+
+function waypointMatchesPortal(wp) {
+  return portals.some((p) => p.world === wp.world && p.x === wp.x && p.y === wp.y && p.z === wp.z);
+}
+
+function openWaypointDialog(results) {
+  const dialog = document.getElementById("waypointDialog");
+  if (!dialog) return;
+
+  pendingWaypoints = [];
+  const formats = new Set();
+
+  results.forEach((result) => {
+    if (result.error) return;
+    formats.add(WAYPOINT_FORMAT_LABELS[result.format]);
+
+    result.waypoints.forEach((wp) => {
+      const exists = waypointMatchesPortal(wp);
+      pendingWaypoints.push({ ...wp, exists, selected: waypointIsUsable(wp) && !exists });
+    });
+  });
+
+  const summary = document.getElementById("waypointSummary");
+  if (summary) {
+    const from = formats.size > 0 ? ` (${[...formats].join(", ")})` : "";
+    summary.textContent = `${pendingWaypoints.length} waypoints found in ${results.length} files${from}.`;
+  }
+
+  const errors = document.getElementById("waypointErrors");
+  if (errors) {
+    errors.innerHTML = "";
+    results.filter((result) => result.error).forEach((result) => {
+      const item = document.createElement("li");
+      item.className = SEVERITY_STYLES[SEVERITY_ERROR];
+      item.textContent = `${result.fileName}: ${result.error}`;
+      errors.appendChild(item);
+    });
+  }
+
+  const bulkWorld = document.getElementById("waypointBulkWorld");
+  if (bulkWorld) bulkWorld.value = "";
+
+  renderWaypointRows();
+  dialog.classList.remove("hidden");
+}
+
+function closeWaypointDialog() {
+  pendingWaypoints = [];
+
+  const dialog = document.getElementById("waypointDialog");
+  if (dialog) dialog.classList.add("hidden");
+}
+
+function updateWaypointSelectionState() {
+  const usable = pendingWaypoints.filter(waypointIsUsable);
+  const chosen = usable.filter((wp) => wp.selected);
+
+  const selectAll = document.getElementById("waypointSelectAll");
+  if (selectAll) {
+    selectAll.checked = usable.length > 0 && chosen.length === usable.length;
+    selectAll.indeterminate = chosen.length > 0 && chosen.length < usable.length;
+  }
+
+  const addBtn = document.getElementById("waypointAddBtn");
+  if (addBtn) {
+    addBtn.disabled = chosen.length === 0;
+    addBtn.textContent = chosen.length > 0 ? `Add ${chosen.length} as Portals` : "Add Selected as Portals";
+  }
+}
+
+function buildWaypointWorldSelect(wp) {
+  const select = document.createElement("select");
+  select.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-1 py-0.5 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+
+  [["", "Unknown"], [WORLD_OVERWORLD, WORLD_OVERWORLD], [WORLD_NETHER, WORLD_NETHER]].forEach(([value, text]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = wp.world || "";
+
+  select.addEventListener("change", () => {
+    wp.world = select.value || null;
+    wp.exists = waypointMatchesPortal(wp);
+    wp.selected = waypointIsUsable(wp) && !wp.exists;
+    renderWaypointRows();
+  });
+
+  return select;
+}
+
+function renderWaypointRows() {
+  const body = document.getElementById("waypointRows");
+  if (!body) return;
+
+  body.innerHTML = "";
+
+  pendingWaypoints.forEach((wp) => {
+    const row = document.createElement("tr");
+    row.className = "border-t border-gray-700 text-gray-200";
+
+    const pick = document.createElement("td");
+    pick.className = "py-1 pr-2";
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.checked = wp.selected;
+    check.disabled = !waypointIsUsable(wp);
+    check.addEventListener("change", () => {
+      wp.selected = check.checked;
+      updateWaypointSelectionState();
+    });
+    pick.appendChild(check);
+
+    const name = document.createElement("td");
+    name.className = "py-1 pr-2";
+    const swatch = document.createElement("span");
+    swatch.className = "inline-block w-3 h-3 rounded-full mr-2 align-middle border border-gray-600";
+    swatch.style.backgroundColor = wp.color || "transparent";
+    name.appendChild(swatch);
+    name.appendChild(document.createTextNode(wp.name || "(unnamed)"));
+
+    const coords = document.createElement("td");
+    coords.className = "py-1 pr-2 font-mono text-xs";
+    coords.textContent = [wp.x, wp.y, wp.z].map((v) => (v == null ? "?" : v)).join(", ");
+
+    const world = document.createElement("td");
+    world.className = "py-1 pr-2";
+    world.appendChild(buildWaypointWorldSelect(wp));
+
+    const notes = [];
+    if (wp.x == null || wp.z == null) notes.push("no coordinates");
+    else if (wp.world == null) notes.push("choose a dimension");
+    if (wp.y == null) notes.push("no height");
+    if (wp.exists) notes.push("already in the list");
+
+    const note = document.createElement("td");
+    note.className = "py-1 text-xs text-amber-300";
+    note.textContent = notes.join(", ");
+
+    [pick, name, coords, world, note].forEach((cell) => row.appendChild(cell));
+    body.appendChild(row);
+  });
+
+  updateWaypointSelectionState();
+}
+
+function addSelectedWaypoints() {
+  const chosen = pendingWaypoints.filter((wp) => wp.selected && waypointIsUsable(wp));
+  if (chosen.length === 0) return;
+
+  if (isOnlyBlankPortal()) portals = [];
+
+  chosen.forEach((wp) => {
+    const { portal } = validatePortalEntry({
+      name: wp.name,
+      x: wp.x,
+      y: wp.y,
+      z: wp.z,
+      world: wp.world,
+      color: wp.color,
+    });
+    if (portal) portals.push(portal);
+  });
+
+  closeWaypointDialog();
+  savePortalsToStorage();
+  renderPortalList();
+  updateOutputCard();
+}
+
+function exportWaypoints() {
+  const formatSelect = document.getElementById("waypointFormat");
+  const travelCheck = document.getElementById("waypointIncludeTravel");
+  const format = formatSelect ? formatSelect.value : WAYPOINT_FORMAT_XAERO;
+
+  const waypoints = buildPortalWaypoints(travelCheck ? travelCheck.checked : false);
+  if (waypoints.length === 0) {
+    alert("There are no portals with coordinates to export.");
+    return;
+  }
+
+  buildWaypointExportFiles(format, waypoints).forEach((file) => downloadTextFile(file.fileName, file.text));
+}
+
+function setupWaypointControls() {
+  const formatSelect = document.getElementById("waypointFormat");
+  const hint = document.getElementById("waypointHint");
+
+  if (formatSelect) {
+    Object.entries(WAYPOINT_FORMAT_LABELS).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      formatSelect.appendChild(option);
+    });
+
+    const showHint = () => {
+      if (hint) hint.textContent = WAYPOINT_EXPORT_HINTS[formatSelect.value];
+    };
+    formatSelect.addEventListener("change", showHint);
+    showHint();
+  }
+
+  const fileInput = document.getElementById("waypointFile");
+  if (fileInput) {
+    fileInput.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) importWaypointFiles(e.target.files);
+      e.target.value = "";
+    });
+  }
+
+  const selectAll = document.getElementById("waypointSelectAll");
+  if (selectAll) {
+    selectAll.addEventListener("change", () => {
+      pendingWaypoints.forEach((wp) => {
+        if (waypointIsUsable(wp)) wp.selected = selectAll.checked;
+      });
+      renderWaypointRows();
+    });
+  }
+
+  const bulkWorld = document.getElementById("waypointBulkWorld");
+  if (bulkWorld) {
+    bulkWorld.addEventListener("change", () => {
+      if (!bulkWorld.value) return;
+
+      pendingWaypoints.forEach((wp) => {
+        if (wp.world != null) return;
+
+        wp.world = bulkWorld.value;
+        wp.exists = waypointMatchesPortal(wp);
+        wp.selected = waypointIsUsable(wp) && !wp.exists;
+      });
+      renderWaypointRows();
+    });
+  }
+
+  const actions = {
+    waypointExportBtn: exportWaypoints,
+    waypointAddBtn: addSelectedWaypoints,
+    waypointCancelBtn: closeWaypointDialog,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+}
+
+// ---- Smart Paste ----
+
+let pasteEntries = [];
+
+function openPasteDialog() {
+  const dialog = document.getElementById("pasteDialog");
+  const input = document.getElementById("pasteInput");
+  if (!dialog || !input) return;
+
+  dialog.classList.remove("hidden");
+  updatePastePreview();
+  input.focus();
+}
+
+function closePasteDialog() {
+  const dialog = document.getElementById("pasteDialog");
+  if (dialog) dialog.classList.add("hidden");
+}
+
+function updatePastePreview() {
+  const input = document.getElementById("pasteInput");
+  if (!input) return;
+
+  const { entries, skipped } = parseCoordinateText(input.value);
+
+  // Entries without a dimension start in the top card's world
+  pasteEntries = entries.map((entry) => ({
+    ...entry,
+    world: entry.world || topWorld,
+    assumedWorld: !entry.world,
+    added: false,
+  }));
+
+  const summary = document.getElementById("pasteSummary");
+  if (summary) {
+    const usable = pasteEntries.filter((entry) => !entry.error).length;
+    summary.textContent = input.value.trim() === ""
+      ? ""
+      : `${usable} positions found` + (skipped > 0 ? `, ${skipped} lines not recognised.` : ".");
+  }
+
+  renderPasteRows();
+}
+
+function buildPasteWorldSelect(entry) {
+  const select = document.createElement("select");
+  select.className =
+    "bg-gray-900 border border-gray-700 rounded-lg px-1 py-0.5 text-gray-100 " +
+    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  select.innerHTML = [WORLD_OVERWORLD, WORLD_NETHER].map((w) => `<option value="${w}">${w}</option>`).join("");
+  select.value = entry.world;
+  select.title = entry.assumedWorld ? "No dimension in the text, using the top card's world" : "";
+
+  select.addEventListener("change", () => {
+    entry.world = select.value;
+    entry.assumedWorld = false;
+    select.title = "";
+  });
+
+  return select;
+}
+
+function buildPasteActions(entry) {
+  const cell = document.createElement("td");
+  cell.className = "py-1 flex flex-row gap-2 justify-end";
+
+  if (entry.error) {
+    cell.className = `py-1 text-xs ${SEVERITY_STYLES[SEVERITY_ERROR]}`;
+    cell.textContent = entry.error;
+    return cell;
+  }
+
+  const loadBtn = document.createElement("button");
+  loadBtn.className = "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-xs text-gray-200 hover:bg-gray-700 transition";
+  loadBtn.textContent = "Load into Top Card";
+  loadBtn.addEventListener("click", () => loadPasteEntryIntoTopCard(entry));
+
+  const addBtn = document.createElement("button");
+  addBtn.className =
+    "bg-purple-600 hover:bg-purple-700 text-white rounded-lg px-2 py-1 text-xs transition disabled:opacity-50";
+  addBtn.textContent = entry.added ? "Added ✓" : "Add as Portal";
+  addBtn.disabled = entry.added;
+  addBtn.addEventListener("click", () => {
+    addPasteEntriesAsPortals([entry]);
+    renderPasteRows();
+  });
+
+  cell.appendChild(loadBtn);
+  cell.appendChild(addBtn);
+  return cell;
+}
+
+function renderPasteRows() {
+  const body = document.getElementById("pastePreview");
+  if (!body) return;
+
+  body.innerHTML = "";
+
+  pasteEntries.forEach((entry) => {
+    const row = document.createElement("tr");
+    row.className = "border-t border-gray-700 text-gray-200";
+    row.title = entry.text;
+
+    const cells = [
+      [entry.lineNumber, "text-gray-400"],
+      [entry.source, "text-xs text-gray-400"],
+    ];
+    cells.forEach(([text, className]) => {
+      const cell = document.createElement("td");
+      cell.className = `py-1 pr-2 ${className}`;
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const nameCell = document.createElement("td");
+    nameCell.className = "py-1 pr-2";
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = entry.name;
+    nameInput.placeholder = "Name";
+    nameInput.className =
+      "bg-gray-900 border border-gray-700 rounded-lg px-2 py-0.5 text-gray-100 w-32 " +
+      "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+    nameInput.addEventListener("input", () => {
+      entry.name = nameInput.value;
+    });
+    nameCell.appendChild(nameInput);
+    row.appendChild(nameCell);
+
+    const coords = document.createElement("td");
+    coords.className = "py-1 pr-2 font-mono text-xs";
+    coords.textContent = entry.error ? "—" : `${entry.x}, ${entry.y}, ${entry.z}`;
+    row.appendChild(coords);
+
+    const worldCell = document.createElement("td");
+    worldCell.className = "py-1 pr-2";
+    if (!entry.error) worldCell.appendChild(buildPasteWorldSelect(entry));
+    row.appendChild(worldCell);
+
+    row.appendChild(buildPasteActions(entry));
+    body.appendChild(row);
+  });
+
+  const addAll = document.getElementById("pasteAddAllBtn");
+  if (addAll) addAll.disabled = !pasteEntries.some((entry) => !entry.error && !entry.added);
+}
+
+function loadPasteEntryIntoTopCard(entry) {
+  const state = readTopCardState();
+  applyTopCardState({
+    ...state,
+    name: entry.name || state.name,
+    x: String(entry.x),
+    y: String(entry.y),
+    z: String(entry.z),
+    world: entry.world,
+  });
+
+  saveTopCardToStorage();
+  updateTopWorldUI();
+  updateOutputCard();
+  closePasteDialog();
+}
+
+// One save for the whole batch, so it is a single undo step
+function addPasteEntriesAsPortals(entries) {
+  const usable = entries.filter((entry) => !entry.error && !entry.added);
+  if (usable.length === 0) return;
+
+  if (isOnlyBlankPortal()) portals = [];
+
+  usable.forEach((entry) => {
+    const { portal } = validatePortalEntry({
+      name: entry.name,
+      x: entry.x,
+      y: entry.y,
+      z: entry.z,
+      world: entry.world,
+    });
+    if (portal) portals.push(portal);
+    entry.added = true;
+  });
+
+  savePortalsToStorage();
+  renderPortalList();
+  updateOutputCard();
+}
+
+function setupSmartPaste() {
+  const input = document.getElementById("pasteInput");
+  if (input) input.addEventListener("input", updatePastePreview);
+
+  const actions = {
+    pasteCoordsBtn: openPasteDialog,
+    pasteCloseBtn: closePasteDialog,
+    pasteAddAllBtn: () => {
+      addPasteEntriesAsPortals(pasteEntries);
+      renderPasteRows();
+    },
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+}
+
+// ---- Share Link Preview ----
+
+let pendingShare = null;
+
+function copyShareLink(button) {
+  encodeSharePayload().then((hash) => {
+    const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+
+    const warnLong = () => {
+      if (url.length > SHARE_LINK_WARN_LENGTH) {
+        alert(`The link is ${url.length} characters long and some apps may cut it off. ` +
+          "Use Export Portals for very large networks.");
+      }
+    };
+
+    if (!navigator.clipboard) {
+      prompt("Copy this share link:", url);
+      warnLong();
+      return;
+    }
+
+    navigator.clipboard.writeText(url).then(
+      () => {
+        const label = button.textContent;
+        button.textContent = "Link Copied!";
+        setTimeout(() => (button.textContent = label), 1500);
+        warnLong();
+      },
+      (err) => {
+        console.warn("Clipboard write failed:", err);
+        prompt("Copy this share link:", url);
+        warnLong();
+      }
+    );
+  }).catch((err) => {
+    alert("Failed to create the share link.");
+    console.error(err);
+  });
+}
+
+// Drops the #share= fragment so reloading does not reopen the preview
+function clearShareHash() {
+  if (location.hash.startsWith(SHARE_HASH_PREFIX)) {
+    history.replaceState(null, "", `${location.pathname}${location.search}`);
+  }
+}
+
+function renderSharePreview(result, error) {
+  const summary = document.getElementById("shareSummary");
+  const errorLine = document.getElementById("shareError");
+  const body = document.getElementById("sharePortals");
+  if (!summary || !errorLine || !body) return;
+
+  body.innerHTML = "";
+  errorLine.classList.toggle("hidden", !error);
+  errorLine.textContent = error ? `${error} Nothing has been changed.` : "";
+
+  if (result) {
+    const rules = RULES_PROFILES[result.header.rulesProfile] || getRulesProfile();
+    const repairs = result.repaired.length + result.rejected.length;
+    summary.textContent = `${result.portals.length} portals, ${rules.label} rules` +
+      (repairs > 0 ? ` (${repairs} entries repaired or dropped).` : ".");
+  } else {
+    summary.textContent = "";
+  }
+
+  (result ? result.portals : []).forEach((portal) => {
+    const row = document.createElement("tr");
+    row.className = "border-t border-gray-700 text-gray-200";
+
+    [
+      [portal.name || "(unnamed)", ""],
+      [[portal.x, portal.y, portal.z].map((v) => (v == null ? "—" : v)).join(", "), "font-mono text-xs"],
+      [portal.world, ""],
+      [portal.destination || "—", ""],
+    ].forEach(([text, className]) => {
+      const cell = document.createElement("td");
+      cell.className = `py-1 pr-2 ${className}`;
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    body.appendChild(row);
+  });
+
+  ["shareMergeBtn", "shareWorkspaceBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !result || result.portals.length === 0;
+  });
+}
+
+function openSharePreviewFromHash() {
+  if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+
+  const dialog = document.getElementById("shareDialog");
+  if (!dialog) return;
+
+  decodeSharePayload(location.hash).then(
+    (result) => {
+      pendingShare = result;
+      renderSharePreview(result, null);
+    },
+    (err) => {
+      pendingShare = null;
+      console.warn("Bad share link:", err);
+      renderSharePreview(null, err.message);
+    }
+  ).then(() => dialog.classList.remove("hidden"));
+}
+
+function closeSharePreview() {
+  pendingShare = null;
+  clearShareHash();
+
+  const dialog = document.getElementById("shareDialog");
+  if (dialog) dialog.classList.add("hidden");
+}
+
+function mergeSharedNetwork() {
+  if (!pendingShare) return;
+
+  const { portals: incoming, header } = pendingShare;
+  mergeTagColors(header.tagColors);
+  closeSharePreview();
+  applyImportedPortals(incoming, "merge");
+}
+
+function importSharedNetworkAsWorkspace() {
+  if (!pendingShare) return;
+
+  const name = promptWorkspaceName("Name for the shared network's workspace:", "Shared network");
+  if (!name) return;
+
+  const { portals: incoming, header } = pendingShare;
+  closeSharePreview();
+
+  const id = createWorkspaceId();
+  workspaceIndex.workspaces.push({ id, name });
+  switchWorkspace(id);
+
+  portals = incoming.length > 0 ? incoming : [createBlankPortal()];
+  if (header.rulesProfile) settings.rulesProfile = header.rulesProfile;
+  settings.tagColors = header.tagColors;
+
+  savePortalsToStorage();
+  saveSettingsToStorage();
+  refreshWorkspaceUI();
+}
+
+function setupShareLinks() {
+  const shareBtn = document.getElementById("shareLinkBtn");
+  if (shareBtn) shareBtn.addEventListener("click", () => copyShareLink(shareBtn));
+
+  const actions = {
+    shareCloseBtn: closeSharePreview,
+    shareMergeBtn: mergeSharedNetwork,
+    shareWorkspaceBtn: importSharedNetworkAsWorkspace,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
+  });
+
+  // Links pasted into an already open tab only change the fragment
+  window.addEventListener("hashchange", openSharePreviewFromHash);
+  openSharePreviewFromHash();
+}
+
+// ---- Spreadsheet Import / Export ----
+
+const MAX_TABLE_ROWS_SHOWN = 200;
+
+let pendingTable = null;
+
+function openTableDialog(text) {
+  const dialog = document.getElementById("tableDialog");
+  const input = document.getElementById("tableInput");
+  if (!dialog || !input) return;
+
+  input.value = text;
+  updateTablePreview();
+  dialog.classList.remove("hidden");
+  if (text === "") input.focus();
+}
+
+function closeTableDialog() {
+  pendingTable = null;
+
+  const dialog = document.getElementById("tableDialog");
+  if (dialog) dialog.classList.add("hidden");
+}
+
+function describeTableMapping(result) {
+  const { mapping, headerFound, delimiter } = result;
+  const separator = delimiter === "\t" ? "tab" : `"${delimiter}"`;
+
+  if (!headerFound) {
+    const order = TABLE_HEADERLESS_ORDER.map((key) => TABLE_COLUMNS.find((c) => c.key === key).header);
+    return `No header row, reading columns as ${order.join(", ")}. Separator ${separator}.`;
+  }
+
+  const used = TABLE_COLUMNS.filter((c) => mapping.columns[c.key] != null).map((c) => c.header);
+  if (mapping.location != null) used.push("Portal Loc");
+
+  const parts = [`Columns: ${used.join(", ")}`];
+  if (mapping.computed.length > 0) parts.push(`recalculated: ${mapping.computed.join(", ")}`);
+  if (mapping.unknown.length > 0) parts.push(`ignored: ${mapping.unknown.join(", ")}`);
+
+  return `${parts.join("; ")}. Separator ${separator}.`;
+}
+
+function buildTablePreviewRow(entry) {
+  const row = document.createElement("tr");
+  row.className = "border-t border-gray-700 text-gray-200";
+
+  const portal = entry.portal || createBlankPortal();
+  const coords = [portal.x, portal.y, portal.z].map((v) => (v == null ? "—" : v)).join(", ");
+
+  let status;
+  let statusClass;
+  if (entry.errors.length > 0) {
+    status = `Skipped: ${entry.errors.join(", ")}`;
+    statusClass = SEVERITY_STYLES[SEVERITY_ERROR];
+  } else if (entry.warnings.length > 0) {
+    status = entry.warnings.join(", ");
+    statusClass = SEVERITY_STYLES[SEVERITY_WARNING];
+  } else {
+    status = "OK";
+    statusClass = "text-gray-400";
+  }
 
-  const cards = container.querySelectorAll(".portal-card");
+  [
+    [entry.row, "text-gray-400"],
+    [portal.name || "(unnamed)", ""],
+    [coords, "font-mono text-xs"],
+    [portal.world, ""],
+    [portal.destination || "—", ""],
+    [status, `text-xs ${statusClass}`],
+  ].forEach(([text, className]) => {
+    const cell = document.createElement("td");
+    cell.className = `py-1 pr-2 ${className}`;
+    cell.textContent = text;
+    row.appendChild(cell);
+  });
 
-  cards.forEach((card, index) => {
-    const portal = portals[index];
-    if (!portal) return;
+  return row;
+}
 
-    const travelSpan = card.querySelector(".travel-loc");
-    if (travelSpan) {
-      if (!portal.travel || portal.travel.x == null) {
-        travelSpan.textContent = "— / — / — (—)";
-      } else {
-        travelSpan.textContent = `${portal.travel.x} / ${portal.travel.y} / ${portal.travel.z} (${portal.travel.world})`;
-      }
-    }
+function updateTablePreview() {
+  const input = document.getElementById("tableInput");
+  const summary = document.getElementById("tableSummary");
+  const columns = document.getElementById("tableColumns");
+  const body = document.getElementById("tablePreview");
+  if (!input || !summary || !columns || !body) return;
 
-    const closestSpan = card.querySelector(".closest-info");
-    if (closestSpan) {
-      if (!portal.closest || portal.closest.name == null) {
-        closestSpan.textContent = "— (—)";
-      } else {
-        closestSpan.textContent = `${portal.closest.name} (${portal.closest.distance.toFixed(
-          2
-        )})`;
-      }
-    }
-    // ---- Target Display ----
-    const targetSpan = card.querySelector(".target-info");
-    if (targetSpan) {
-    if (!portal.target || portal.target.name == null) {
-        targetSpan.textContent = "— (—)";
-    } else if (portal.target.distance === "Cannot Reach") {
-        targetSpan.textContent = `${portal.target.name} (Cannot Reach)`;
-    } else {
-        targetSpan.textContent = `${portal.target.name} (${portal.target.distance.toFixed(2)})`;
+  body.innerHTML = "";
+  pendingTable = null;
+
+  if (input.value.trim() !== "") {
+    try {
+      pendingTable = parseTableText(input.value);
+    } catch (err) {
+      summary.textContent = err.message;
+      console.warn(err);
     }
+  }
+
+  const entries = pendingTable ? pendingTable.entries : [];
+  const accepted = entries.filter((entry) => entry.portal && entry.errors.length === 0);
+
+  if (pendingTable) {
+    summary.textContent = `${accepted.length} of ${entries.length} rows ready to import.`;
+    columns.textContent = describeTableMapping(pendingTable);
+  } else {
+    if (input.value.trim() === "") summary.textContent = "";
+    columns.textContent = "";
+  }
+
+  entries.slice(0, MAX_TABLE_ROWS_SHOWN).forEach((entry) => body.appendChild(buildTablePreviewRow(entry)));
+
+  if (entries.length > MAX_TABLE_ROWS_SHOWN) {
+    const more = document.createElement("tr");
+    more.innerHTML = `<td colspan="6" class="py-1 text-gray-400">…and ${entries.length - MAX_TABLE_ROWS_SHOWN} more rows</td>`;
+    body.appendChild(more);
+  }
+
+  ["tableReplaceBtn", "tableMergeBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = accepted.length === 0;
+  });
+}
+
+function applyPendingTable(mode) {
+  if (!pendingTable) return;
+
+  const incoming = pendingTable.entries
+    .filter((entry) => entry.portal && entry.errors.length === 0)
+    .map((entry) => entry.portal);
+
+  closeTableDialog();
+  applyImportedPortals(incoming, mode);
+}
+
+function exportPortalsToCsv() {
+  downloadTextFile("portals.csv", formatDelimitedText(buildTableRows(), ","));
+}
+
+function copyPortalsAsTsv(button) {
+  const text = formatDelimitedText(buildTableRows(), "\t");
+
+  if (!navigator.clipboard) {
+    alert("Copying needs clipboard access, use Export CSV instead.");
+    return;
+  }
+
+  navigator.clipboard.writeText(text).then(
+    () => {
+      const label = button.textContent;
+      button.textContent = "Copied!";
+      setTimeout(() => (button.textContent = label), 1500);
+    },
+    (err) => {
+      alert("Could not copy to the clipboard, use Export CSV instead.");
+      console.error(err);
     }
+  );
+}
+
+function setupTableControls() {
+  const fileInput = document.getElementById("tableFile");
+  if (fileInput) {
+    fileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+
+      readFileText(file).then(openTableDialog, (err) => {
+        alert("Failed to read the table file.");
+        console.error(err);
+      });
+    });
+  }
+
+  const input = document.getElementById("tableInput");
+  if (input) input.addEventListener("input", updateTablePreview);
+
+  const copyBtn = document.getElementById("tableCopyBtn");
+  if (copyBtn) copyBtn.addEventListener("click", () => copyPortalsAsTsv(copyBtn));
 
+  const actions = {
+    tablePasteBtn: () => openTableDialog(""),
+    tableExportBtn: exportPortalsToCsv,
+    tableReplaceBtn: () => applyPendingTable("replace"),
+    tableMergeBtn: () => applyPendingTable("merge"),
+    tableCancelBtn: closeTableDialog,
+  };
+
+  Object.entries(actions).forEach(([id, action]) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", action);
   });
 }
 
-// ---- Global Calculation Dispatcher ----
+// ---- Tab Sync ----
+//
+// Tabs share localStorage, and every save fires a storage event in the other
+// tabs, which take over the saved version. The top card and undo history stay
+// per tab, and each tab keeps the workspace it has open.
 
-function updateAllPortalCalculations() {
-  try {
-    portals.forEach((portal) => computePortalTravelLocation(portal));
-    portals.forEach((portal, index) => computeClosestPortal(portal, index));
-    portals.forEach((portal) => computeTargetPortal(portal));
+// Set while showing another tab's portals, which that tab already sends to the team server
+let applyingTabChange = false;
+
+function applyPortalsFromOtherTab(raw) {
+  // A deleted workspace is handled by the change to the workspace list
+  if (raw == null) return;
+
+  const result = validatePortalData(JSON.parse(raw));
+  const incoming = result.portals.length > 0 ? result.portals : [createBlankPortal()];
+  if (JSON.stringify(incoming.map(serializePortal)) === snapshotPortals()) return;
+
+  portals = incoming;
 
+  // Its own undo step, not part of whatever is being typed in this tab
+  editHistory.groupTarget = null;
+  applyingTabChange = true;
+  try {
+    renderPortalList();
     savePortalsToStorage();
-    updatePortalCardDisplays();
-    updateOutputCard();
-  } catch (err) {
-    console.error("Calculation update failed:", err);
+  } finally {
+    applyingTabChange = false;
   }
+  editHistory.groupTarget = null;
+  updateOutputCard();
 }
 
-// ---- Rendering ----
+function applySettingsFromOtherTab(raw) {
+  settings = raw ? sanitizeSettings(JSON.parse(raw)) : createDefaultSettings();
 
-function renderPortalList() {
-  const container = document.getElementById("portalList");
-  if (!container) {
-    console.error("portalList container missing from DOM");
+  const rulesSelect = document.getElementById("rulesProfile");
+  if (rulesSelect) rulesSelect.value = settings.rulesProfile;
+
+  // Rules change the results, tag colours the cards
+  renderPortalList();
+  updateOutputCard();
+}
+
+function applyHighwayPlanFromOtherTab(raw) {
+  highwayPlan = raw ? sanitizeHighwayPlan(JSON.parse(raw)) : createDefaultHighwayPlan();
+  renderHighwayList();
+  updateHighwayPanel();
+  drawPortalMaps();
+}
+
+function applyWorkspaceIndexFromOtherTab(raw) {
+  const openId = workspaceIndex.activeId;
+  workspaceIndex = sanitizeWorkspaceIndex(raw ? JSON.parse(raw) : null);
+
+  if (workspaceIndex.workspaces.some((ws) => ws.id === openId)) {
+    workspaceIndex.activeId = openId;
+    updateWorkspaceSelect();
     return;
   }
 
-  container.innerHTML = "";
+  // The workspace open here was deleted in the other tab
+  loadActiveWorkspace();
+  refreshWorkspaceUI();
+}
 
-  portals.forEach((portal, index) => {
-    const card = createPortalCard(portal, index);
-    container.appendChild(card);
-  });
+function applySyncStateFromOtherTab(raw) {
+  const before = syncState;
+  syncState = raw ? sanitizeSyncState(JSON.parse(raw)) : createDefaultSyncState();
 
-  updateAllPortalCalculations();
-  // Add Portal Button under the list
-  const addBtn = document.createElement("button");
-  addBtn.className =
-    "mt-6 bg-gray-800/60 backdrop-blur-sm border border-gray-700 rounded-xl " +
-    "px-6 py-3 text-gray-200 hover:bg-gray-700 transition font-medium";
-  addBtn.textContent = "+ Add Portal";
+  const reconnect = ["enabled", "serverUrl", "list", "token"].some((key) => before[key] !== syncState[key]);
+  if (reconnect) {
+    restartTeamSync();
+  } else {
+    updateTeamSyncPanel();
+  }
+  updatePortalCardDisplays();
+}
 
-  addBtn.addEventListener("click", () => {
-    portals.push(createBlankPortal());
-    savePortalsToStorage();
-    renderPortalList();
-});
+function setupTabSync() {
+  window.addEventListener("storage", (e) => {
+    if (e.storageArea !== localStorage || e.key == null) return;
 
-container.appendChild(addBtn);
+    // Keys of the workspace open in this tab; other workspaces load when switched to
+    const handler = {
+      [WORKSPACES_KEY]: applyWorkspaceIndexFromOtherTab,
+      [workspaceKey(STORAGE_KEY)]: applyPortalsFromOtherTab,
+      [workspaceKey(SETTINGS_KEY)]: applySettingsFromOtherTab,
+      [workspaceKey(HIGHWAYS_KEY)]: applyHighwayPlanFromOtherTab,
+      [workspaceKey(SYNC_KEY)]: applySyncStateFromOtherTab,
+    }[e.key];
+    if (!handler) return;
 
+    try {
+      handler(e.newValue);
+    } catch (err) {
+      console.error(`Failed to apply a change from another tab (${e.key}):`, err);
+    }
+  });
 }
 
-function createPortalCard(portal, index) {
-  const wrapper = document.createElement("div");
-  wrapper.className = "relative w-full";
+// ---- Team Sync ----
+//
+// Optional sync of a workspace with a list on a self-hosted server (see
+// bin/sync-server.js). Local changes are found by comparing each portal with
+// the copy last synced, so edits made offline are simply sent later. A portal
+// changed here and on the server since that copy is a conflict: it is left out
+// of the sync until someone picks which version to keep.
 
-  const card = document.createElement("div");
-  card.className =
-    "portal-card bg-gray-800/60 backdrop-blur-sm border border-gray-700 rounded-xl p-4 pl-10 pr-10 shadow-lg w-full " +
-    "min-w-[1100px] grid grid-cols-[110px_110px_320px_125px_175px_175px] items-center gap-8";
+const SYNC_PUSH_DELAY_MS = 1000;
+const SYNC_RETRY_MS = 15000;
+// Only used where the browser has no EventSource
+const SYNC_POLL_MS = 30000;
 
+const SYNC_LIST_NAME = /^[\w-]{1,64}$/;
 
-  card.appendChild(buildPortalNameInput(portal, index));
-  card.appendChild(buildDestinationInput(portal, index));
-  card.appendChild(buildLocationInputs(portal, index));
-  card.appendChild(buildTravelLocDisplay());
-  card.appendChild(buildClosestDisplay());
-  card.appendChild(buildTargetDisplay());
+const SYNC_STATUS_NEW = "new";
+const SYNC_STATUS_EDITED = "edited";
+const SYNC_STATUS_DELETED = "deleted";
+const SYNC_STATUS_CONFLICT = "conflict";
 
+// Connection state, not saved
+const teamSync = { events: null, pushTimer: null, retryTimer: null, pollTimer: null, running: null, again: false, error: "" };
 
-  wrapper.appendChild(card);
-  wrapper.appendChild(buildMoveButtons(index));
-  wrapper.appendChild(buildDeleteButton(index));
+function syncSnapshot(portal) {
+  return JSON.stringify(serializePortal(portal));
+}
 
-  return wrapper;
+// Server entries go through the same validation as imported files
+function entryToPortal(entry) {
+  return entry.portal ? validatePortalEntry(entry.portal).portal : null;
 }
 
-function buildPortalNameInput(portal, index) {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+function entrySnapshot(entry) {
+  const portal = entryToPortal(entry);
+  return portal ? syncSnapshot(portal) : null;
+}
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Portal Name";
+// Blank cards nobody has typed into yet are not sent
+function getPortalSyncStatus(portal) {
+  if (!syncState.enabled) return null;
+  if (syncState.conflicts[portal.id]) return SYNC_STATUS_CONFLICT;
 
-  const input = document.createElement("input");
-  input.type = "text";
-  input.value = portal.name || "";
-  input.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 w-32 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  const base = syncState.base[portal.id];
+  if (!base || base.data === null) return isBlankPortal(portal) ? null : SYNC_STATUS_NEW;
+  return base.data === syncSnapshot(portal) ? null : SYNC_STATUS_EDITED;
+}
 
-  input.addEventListener("input", () => {
-    portals[index].name = input.value;
-    savePortalsToStorage();
-    updateAllPortalCalculations();
+function collectLocalSyncChanges() {
+  const changes = [];
+  const present = new Set();
+
+  portals.forEach((portal) => {
+    present.add(portal.id);
+    const status = getPortalSyncStatus(portal);
+    if (status === SYNC_STATUS_NEW || status === SYNC_STATUS_EDITED) {
+      changes.push({ id: portal.id, status, name: portal.name, portal });
+    }
   });
 
-  container.appendChild(label);
-  container.appendChild(input);
-  return container;
+  Object.entries(syncState.base).forEach(([id, base]) => {
+    if (base.data === null || present.has(id) || syncState.conflicts[id]) return;
+    changes.push({ id, status: SYNC_STATUS_DELETED, name: JSON.parse(base.data).name, portal: null });
+  });
+
+  return changes;
 }
 
-function buildDestinationInput(portal, index) {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+function getSyncListUrl(suffix) {
+  const server = syncState.serverUrl.replace(/\/+$/, "");
+  return `${server}/lists/${encodeURIComponent(syncState.list)}${suffix}`;
+}
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Destination";
+async function syncRequest(suffix, options = {}) {
+  const headers = {};
+  if (options.body) headers["Content-Type"] = "application/json";
+  if (syncState.token) headers.Authorization = `Bearer ${syncState.token}`;
 
-  const input = document.createElement("input");
-  input.type = "text";
-  input.value = portal.destination || "";
-  input.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 w-32 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  let response;
+  try {
+    response = await fetch(getSyncListUrl(suffix), { ...options, headers });
+  } catch (err) {
+    throw new Error("server not reachable");
+  }
 
-  input.addEventListener("input", () => {
-    portals[index].destination = input.value;
-    savePortalsToStorage();
-    updateAllPortalCalculations();
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `server answered ${response.status}`);
+  return data;
+}
+
+function applyServerPortal(index, portal) {
+  if (index === -1) {
+    if (portal) portals.push(portal);
+  } else if (portal) {
+    portals[index] = portal;
+  } else {
+    portals.splice(index, 1);
+  }
+}
+
+// Takes over what others changed, unless it was changed here too.
+// Returns whether the local list changed.
+async function pullSyncChanges(state) {
+  const data = await syncRequest(`?since=${state.revision}`);
+  if (state !== syncState) return false;
+
+  const onlyBlank = isOnlyBlankPortal();
+  let changed = false;
+
+  data.entries.forEach((entry) => {
+    const base = state.base[entry.id];
+    if (base && entry.revision <= base.revision) return;
+
+    const index = portals.findIndex((portal) => portal.id === entry.id);
+    const local = index === -1 ? null : syncSnapshot(portals[index]);
+    const incoming = entrySnapshot(entry);
+    const editedHere = base ? local !== base.data : local !== null && !isBlankPortal(portals[index]);
+
+    if (local !== incoming && editedHere) {
+      state.conflicts[entry.id] = entry;
+      return;
+    }
+
+    if (local !== incoming) {
+      applyServerPortal(index, entryToPortal(entry));
+      changed = true;
+    }
+    state.base[entry.id] = { revision: entry.revision, data: incoming };
+    delete state.conflicts[entry.id];
   });
 
-  container.appendChild(label);
-  container.appendChild(input);
-  return container;
+  state.revision = data.revision;
+
+  // Like an import, the server's portals replace the lone blank card
+  if (changed && onlyBlank && portals.length > 1 && isBlankPortal(portals[0])) portals.shift();
+  if (portals.length === 0) portals.push(createBlankPortal());
+  return changed;
 }
 
-function buildLocationInputs(portal, index) {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+// Returns whether the server took any change, so a new revision exists
+async function pushSyncChanges(state) {
+  const changes = collectLocalSyncChanges();
+  if (changes.length === 0) return false;
+
+  const sent = new Map(changes.map((change) => [change.id, change.portal ? syncSnapshot(change.portal) : null]));
+
+  const data = await syncRequest("/changes", {
+    method: "POST",
+    body: JSON.stringify({
+      user: state.user,
+      changes: changes.map((change) => ({
+        id: change.id,
+        baseRevision: state.base[change.id] ? state.base[change.id].revision : 0,
+        portal: change.portal ? serializePortal(change.portal) : null,
+      })),
+    }),
+  });
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Portal Loc";
+  let accepted = false;
+  data.results.forEach((result) => {
+    if (result.status === "ok") {
+      accepted = true;
+      state.base[result.id] = { revision: result.revision, data: sent.get(result.id) };
+    } else if (result.status === "conflict") {
+      // No current version means the server lost the portal
+      state.conflicts[result.id] = result.current || { id: result.id, revision: 0, portal: null, updatedBy: "", updatedAt: null };
+    } else {
+      console.warn(`Team sync server refused portal ${result.id}`);
+    }
+  });
 
-  const row = document.createElement("div");
-  row.className = "flex flex-row gap-2";
+  return accepted;
+}
 
-  const xInput = document.createElement("input");
-  xInput.type = "number";
-  xInput.value = portal.x ?? "";
-  xInput.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 w-16 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+// One run at a time; a request made meanwhile runs once more afterwards
+function runTeamSync() {
+  if (!syncState.enabled) return Promise.resolve();
+  if (teamSync.running) {
+    teamSync.again = true;
+    return teamSync.running;
+  }
 
-  xInput.addEventListener("input", () => {
-    portals[index].x = xInput.value === "" ? null : Number(xInput.value);
-    savePortalsToStorage();
-    updateAllPortalCalculations();
+  const state = syncState;
+  clearTimeout(teamSync.pushTimer);
+  clearTimeout(teamSync.retryTimer);
+
+  const run = async () => {
+    try {
+      // Pull first, so edits from others show up as conflicts instead of being overwritten
+      if (await pullSyncChanges(state)) {
+        editHistory.groupTarget = null;
+        renderPortalList();
+        updateOutputCard();
+      }
+      // Pulling once more catches up on the revisions the push made
+      if (state === syncState && await pushSyncChanges(state)) teamSync.again = true;
+      teamSync.error = "";
+    } catch (err) {
+      console.warn("Team sync failed:", err);
+      teamSync.error = err.message;
+      teamSync.retryTimer = setTimeout(runTeamSync, SYNC_RETRY_MS);
+    }
+
+    if (state === syncState) saveSyncStateToStorage();
+  };
+
+  teamSync.running = run().finally(() => {
+    teamSync.running = null;
+    updatePortalCardDisplays();
+    updateTeamSyncPanel();
+
+    if (teamSync.again) {
+      teamSync.again = false;
+      runTeamSync();
+    }
   });
 
-  const yInput = document.createElement("input");
-  yInput.type = "number";
-  yInput.value = portal.y ?? "";
-  yInput.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 w-16 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  updateTeamSyncPanel();
+  return teamSync.running;
+}
 
-  yInput.addEventListener("input", () => {
-    portals[index].y = yInput.value === "" ? null : Number(yInput.value);
-    savePortalsToStorage();
-    updateAllPortalCalculations();
+function scheduleSyncPush() {
+  if (!syncState.enabled || applyingTabChange) return;
+
+  clearTimeout(teamSync.pushTimer);
+  teamSync.pushTimer = setTimeout(runTeamSync, SYNC_PUSH_DELAY_MS);
+}
+
+function stopTeamSync() {
+  if (teamSync.events) teamSync.events.close();
+  teamSync.events = null;
+
+  clearTimeout(teamSync.pushTimer);
+  clearTimeout(teamSync.retryTimer);
+  clearInterval(teamSync.pollTimer);
+  teamSync.error = "";
+}
+
+// The server announces every new revision; EventSource reconnects by itself
+function listenForSyncChanges() {
+  if (typeof EventSource !== "function") {
+    teamSync.pollTimer = setInterval(runTeamSync, SYNC_POLL_MS);
+    return;
+  }
+
+  const query = syncState.token ? `?token=${encodeURIComponent(syncState.token)}` : "";
+  const events = new EventSource(getSyncListUrl(`/events${query}`));
+
+  events.addEventListener("revision", (e) => {
+    try {
+      if (JSON.parse(e.data).revision !== syncState.revision) runTeamSync();
+    } catch (err) {
+      console.warn("Ignoring a malformed sync event:", err);
+    }
   });
 
-  const zInput = document.createElement("input");
-  zInput.type = "number";
-  zInput.value = portal.z ?? "";
-  zInput.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 w-16 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+  events.addEventListener("error", () => {
+    teamSync.error = "connection lost, retrying";
+    updateTeamSyncPanel();
+  });
+
+  teamSync.events = events;
+}
+
+// For the workspace just loaded, or after the settings changed
+function restartTeamSync() {
+  stopTeamSync();
+
+  if (syncState.enabled) {
+    listenForSyncChanges();
+    runTeamSync();
+  }
+
+  updateTeamSyncPanel();
+}
+
+function connectTeamSync() {
+  const read = (id) => {
+    const input = document.getElementById(id);
+    return input ? input.value.trim() : "";
+  };
+  const serverUrl = read("syncServerUrl");
+  const list = read("syncList");
+
+  if (!/^https?:\/\//i.test(serverUrl)) {
+    alert("Enter the server address, starting with http:// or https://.");
+    return;
+  }
+  if (!SYNC_LIST_NAME.test(list)) {
+    alert("List names are up to 64 letters, digits, - and _.");
+    return;
+  }
+
+  // Another list starts from scratch, the same one picks up where it left off
+  if (serverUrl !== syncState.serverUrl || list !== syncState.list) {
+    syncState = { ...createDefaultSyncState(), serverUrl, list };
+  }
+  syncState.enabled = true;
+  syncState.user = read("syncUser");
+  syncState.token = read("syncToken");
+
+  saveSyncStateToStorage();
+  restartTeamSync();
+}
+
+function disconnectTeamSync() {
+  syncState.enabled = false;
+  saveSyncStateToStorage();
+  restartTeamSync();
+  updatePortalCardDisplays();
+}
+
+function resolveSyncConflict(id, keepMine) {
+  const entry = syncState.conflicts[id];
+  if (!entry) return;
+
+  delete syncState.conflicts[id];
+  // With the server's version as the base, keeping mine is an ordinary edit
+  syncState.base[id] = { revision: entry.revision, data: entrySnapshot(entry) };
+
+  if (!keepMine) {
+    applyServerPortal(portals.findIndex((portal) => portal.id === id), entryToPortal(entry));
+    if (portals.length === 0) portals.push(createBlankPortal());
+    renderPortalList();
+    updateOutputCard();
+  }
+
+  saveSyncStateToStorage();
+  runTeamSync();
+}
 
-  zInput.addEventListener("input", () => {
-    portals[index].z = zInput.value === "" ? null : Number(zInput.value);
-    savePortalsToStorage();
-    updateAllPortalCalculations();
-  });
+// ---- Team Sync Panel ----
 
-  const worldSelect = document.createElement("select");
-  worldSelect.className =
-    "bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-gray-100 " +
-    "focus:border-purple-400 focus:ring-1 focus:ring-purple-400 outline-none";
+const MAX_SYNC_ROWS_SHOWN = 50;
 
-  worldSelect.innerHTML = `
-    <option ${portal.world === WORLD_OVERWORLD ? "selected" : ""}>Overworld</option>
-    <option ${portal.world === WORLD_NETHER ? "selected" : ""}>Nether</option>
-  `;
+const SYNC_BADGES = {
+  [SYNC_STATUS_NEW]: { text: "new", title: "Not on the team list yet", className: "bg-sky-800 text-sky-100" },
+  [SYNC_STATUS_EDITED]: { text: "edited", title: "Changed here, not sent yet", className: "bg-amber-800 text-amber-100" },
+  [SYNC_STATUS_CONFLICT]: { text: "conflict", title: "Also changed by someone else, see Team Sync", className: "bg-red-800 text-red-100" },
+};
 
-  worldSelect.addEventListener("change", () => {
-    portals[index].world = worldSelect.value;
-    savePortalsToStorage();
-    updateAllPortalCalculations();
-  });
+function updateSyncBadge(badge, status) {
+  if (!badge) return;
 
-  row.appendChild(xInput);
-  row.appendChild(yInput);
-  row.appendChild(zInput);
-  row.appendChild(worldSelect);
+  const style = SYNC_BADGES[status];
+  badge.className = `sync-badge rounded px-1 text-[10px] uppercase ${style ? style.className : "hidden"}`;
+  setTextIfChanged(badge, style ? style.text : "");
+  badge.title = style ? style.title : "";
+}
 
-  container.appendChild(label);
-  container.appendChild(row);
-  return container;
+function describeSyncPortal(portal) {
+  if (!portal) return "deleted";
+
+  const where = portal.x == null ? "no coordinates" : `${portal.x} / ${portal.y ?? "—"} / ${portal.z ?? "—"}`;
+  const destination = portal.destination ? ` → ${portal.destination}` : "";
+  return `${portal.name || "(unnamed)"}: ${where} ${portal.world}${destination}`;
 }
 
-function buildTravelLocDisplay() {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+function buildSyncConflictRow(id, entry) {
+  const local = portals.find((portal) => portal.id === id) || null;
+  const who = entry.updatedBy || "someone";
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Travel Loc";
+  const item = document.createElement("li");
+  item.className = "flex flex-col md:flex-row md:items-center gap-2 border-l-2 border-red-500 pl-3";
 
-  const span = document.createElement("span");
-  span.className = "travel-loc text-gray-100";
-  span.textContent = "— / — / — (—)";
+  const text = document.createElement("div");
+  text.className = "flex-1 flex flex-col";
 
-  container.appendChild(label);
-  container.appendChild(span);
+  const mine = document.createElement("span");
+  mine.className = "text-gray-200";
+  mine.textContent = `Yours: ${describeSyncPortal(local)}`;
 
-  return container;
-}
+  const theirs = document.createElement("span");
+  theirs.className = "text-gray-400";
+  theirs.textContent = `${who}'s: ${describeSyncPortal(entryToPortal(entry))}`;
 
-function buildTargetDisplay() {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+  text.appendChild(mine);
+  text.appendChild(theirs);
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Target";
+  const keepBtn = document.createElement("button");
+  keepBtn.className = "shrink-0 bg-gray-900 border border-gray-700 rounded-lg px-3 py-1 text-gray-200 hover:bg-gray-700 transition";
+  keepBtn.textContent = "Keep Mine";
+  keepBtn.addEventListener("click", () => resolveSyncConflict(id, true));
 
-  const span = document.createElement("span");
-  span.className = "target-info text-gray-100";
-  span.textContent = "— (—)";
+  const takeBtn = document.createElement("button");
+  takeBtn.className = keepBtn.className;
+  takeBtn.textContent = `Use ${who}'s`;
+  takeBtn.addEventListener("click", () => resolveSyncConflict(id, false));
 
-  container.appendChild(label);
-  container.appendChild(span);
+  item.appendChild(text);
+  item.appendChild(keepBtn);
+  item.appendChild(takeBtn);
+  return item;
+}
 
-  return container;
+function describeSyncStatus(changes, conflicts) {
+  if (!syncState.enabled) return "Not connected. Portals are only kept in this browser.";
+
+  const waiting = changes.length === 0 ? "" : `${changes.length} change${changes.length === 1 ? "" : "s"} waiting`;
+  if (teamSync.error) {
+    return `Offline (${teamSync.error}). ${waiting || "Nothing waiting"}, edits are sent when the server is back.`;
+  }
+
+  const parts = [];
+  if (conflicts > 0) parts.push(`${conflicts} conflict${conflicts === 1 ? "" : "s"} to resolve`);
+  if (waiting) parts.push(teamSync.running ? "sending…" : waiting);
+  return parts.length > 0 ? parts.join(", ") : `Up to date with "${syncState.list}" (revision ${syncState.revision})`;
 }
 
-function buildClosestDisplay() {
-  const container = document.createElement("div");
-  container.className = "flex flex-col";
+function updateTeamSyncPanel() {
+  const section = document.getElementById("syncSection");
+  const status = document.getElementById("syncStatus");
+  const list = document.getElementById("syncChanges");
+  if (!section || !status || !list) return;
+
+  const connected = syncState.enabled;
+  const values = { syncServerUrl: syncState.serverUrl, syncList: syncState.list, syncUser: syncState.user, syncToken: syncState.token };
+  Object.entries(values).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    if (input !== document.activeElement) input.value = value;
+    input.disabled = connected;
+  });
 
-  const label = document.createElement("label");
-  label.className = "text-gray-400 text-xs";
-  label.textContent = "Closest";
+  const connectBtn = document.getElementById("syncConnectBtn");
+  if (connectBtn) connectBtn.textContent = connected ? "Disconnect" : "Connect";
+  const nowBtn = document.getElementById("syncNowBtn");
+  if (nowBtn) nowBtn.disabled = !connected;
 
-  const span = document.createElement("span");
-  span.className = "closest-info text-gray-100";
-  span.textContent = "— (—)";
+  const changes = connected ? collectLocalSyncChanges() : [];
+  const conflicts = connected ? Object.entries(syncState.conflicts) : [];
 
-  container.appendChild(label);
-  container.appendChild(span);
+  setTextIfChanged(status, describeSyncStatus(changes, conflicts.length));
 
-  return container;
-}
+  const summary = document.getElementById("syncSummary");
+  if (summary) {
+    summary.textContent = !connected ? "" :
+      conflicts.length > 0 ? `${conflicts.length} conflict${conflicts.length === 1 ? "" : "s"}` :
+      teamSync.error ? "offline" : `connected to ${syncState.list}`;
+  }
 
-function buildMoveButtons(index) {
-  const container = document.createElement("div");
-  container.className = "absolute left-2 top-1/2 -translate-y-1/2 flex flex-col gap-1";
+  list.innerHTML = "";
+  if (!section.open) return;
 
-  // Up button
-  const upBtn = document.createElement("button");
-  upBtn.className =
-    "text-gray-400 hover:text-purple-300 px-2 leading-none";
-  upBtn.textContent = "↑";
-  upBtn.addEventListener("click", () => movePortalUp(index));
+  conflicts.slice(0, MAX_SYNC_ROWS_SHOWN).forEach(([id, entry]) => list.appendChild(buildSyncConflictRow(id, entry)));
 
-  // Down button
-  const downBtn = document.createElement("button");
-  downBtn.className =
-    "text-gray-400 hover:text-purple-300 px-2 leading-none";
-  downBtn.textContent = "↓";
-  downBtn.addEventListener("click", () => movePortalDown(index));
+  changes.slice(0, MAX_SYNC_ROWS_SHOWN).forEach((change) => {
+    const item = document.createElement("li");
+    item.className = "flex flex-row items-center gap-3";
 
-  container.appendChild(upBtn);
-  container.appendChild(downBtn);
-  return container;
+    const badge = document.createElement("span");
+    badge.className = "w-16 shrink-0 text-xs uppercase text-gray-400";
+    badge.textContent = change.status;
+
+    const name = document.createElement("span");
+    name.className = "text-gray-200";
+    name.textContent = change.name || "(unnamed)";
+
+    item.appendChild(badge);
+    item.appendChild(name);
+    list.appendChild(item);
+  });
+
+  const hidden = Math.max(0, conflicts.length - MAX_SYNC_ROWS_SHOWN) + Math.max(0, changes.length - MAX_SYNC_ROWS_SHOWN);
+  if (hidden > 0) {
+    const more = document.createElement("li");
+    more.className = "text-gray-400";
+    more.textContent = `…and ${hidden} more`;
+    list.appendChild(more);
+  }
 }
 
+function setupTeamSync() {
+  const section = document.getElementById("syncSection");
+  const connectBtn = document.getElementById("syncConnectBtn");
+  const nowBtn = document.getElementById("syncNowBtn");
 
-function buildDeleteButton(index) {
-  const btn = document.createElement("button");
-  btn.className =
-    "absolute right-2 top-1/2 -translate-y-1/2 text-gray-400 hover:text-purple-300 px-2";
-  btn.textContent = "X";
+  if (!section || !connectBtn || !nowBtn) {
+    console.warn("Team sync controls missing from DOM");
+    return;
+  }
 
-  btn.addEventListener("click", () => {
-    deletePortal(index);
+  connectBtn.addEventListener("click", () => {
+    if (syncState.enabled) disconnectTeamSync();
+    else connectTeamSync();
   });
+  nowBtn.addEventListener("click", () => runTeamSync());
+  section.addEventListener("toggle", updateTeamSyncPanel);
 
-  return btn;
-}
+  // Try again as soon as the device is back online
+  window.addEventListener("online", () => runTeamSync());
 
-// ---- Move & Delete ----
+  restartTeamSync();
+}
 
-function deletePortal(index) {
-  try {
-    portals.splice(index, 1);
+// ---- How It Works Walkthrough ----
+//
+// how-it-works.html runs the link explanation on the portals saved in this
+// browser, one step at a time. It only reads storage; nothing is saved here.
+
+const WALKTHROUGH_TOP = "top";
+const MAX_WALKTHROUGH_CANDIDATES = 50;
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Map colours per candidate status
+const WALKTHROUGH_MARKERS = {
+  chosen: "fill-green-400",
+  tie: "fill-amber-400",
+  farther: "fill-gray-300",
+  "out-of-range": "fill-gray-500",
+};
+
+let walkthrough = { choices: [], key: null, step: 0, steps: [], trace: null };
+
+// The saved top inputs as a portal, or null unless x, y and z are all filled in
+function buildPortalFromTopCardState(state) {
+  if (!state || typeof state !== "object") return null;
+
+  const coords = ["x", "y", "z"].map((key) =>
+    typeof state[key] === "string" && state[key].trim() !== "" ? Number(state[key]) : NaN);
+  if (!coords.every(Number.isFinite)) return null;
+
+  const portal = createBlankPortal();
+  portal.name = typeof state.name === "string" ? state.name.trim() : "";
+  portal.destination = typeof state.destination === "string" ? state.destination : "";
+  portal.destinationId = typeof state.destinationId === "string" ? state.destinationId : null;
+  [portal.x, portal.y, portal.z] = coords;
+  portal.world = state.world === WORLD_NETHER ? WORLD_NETHER : WORLD_OVERWORLD;
+  portal.frame = sanitizeFrame({
+    axis: state.axis,
+    width: state.width ? Number(state.width) : null,
+    height: state.height ? Number(state.height) : null,
+    anchor: state.anchor,
+  });
 
-    if (portals.length === 0) {
-      portals.push(createBlankPortal());
-    }
+  PortalEngine.resolveDestinations([portal], portals);
+  computePortalTravelLocation(portal);
+  computeClosestPortal(portal, -1);
+  return portal;
+}
 
-    savePortalsToStorage();
-    renderPortalList();
-  } catch (err) {
-    console.error("Failed to delete portal:", err);
+// The top inputs when they hold coordinates, then every listed portal that does
+function loadWalkthroughChoices() {
+  workspaceIndex = loadWorkspaceIndexFromStorage();
+  settings = loadSettingsFromStorage();
+  portals = loadPortalsFromStorage() || [];
+  networkContext = PortalEngine.computeNetwork(portals, getRulesProfile());
+
+  const choices = [];
+  const top = buildPortalFromTopCardState(loadTopCardFromStorage());
+  if (top) {
+    choices.push({ key: WALKTHROUGH_TOP, label: top.name ? `Top inputs: ${top.name}` : "Top inputs", portal: top, index: -1 });
   }
+
+  portals.forEach((portal, index) => {
+    if (!getPortalFrameBounds(portal)) return;
+    choices.push({ key: `portal-${portal.id}`, label: `${portal.name || "(unnamed)"} (${portal.world})`, portal, index });
+  });
+
+  return choices;
 }
 
-function movePortalUp(index) {
-  if (index <= 0) return;
-  [portals[index - 1], portals[index]] = [portals[index], portals[index - 1]];
-  savePortalsToStorage();
-  renderPortalList();
+function getWalkthroughChoice() {
+  return walkthrough.choices.find((choice) => choice.key === walkthrough.key) || null;
 }
 
-function movePortalDown(index) {
-  if (index >= portals.length - 1) return;
-  [portals[index], portals[index + 1]] = [portals[index + 1], portals[index]];
-  savePortalsToStorage();
-  renderPortalList();
+function svgElement(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+  return el;
 }
 
+// Layers appear with the step that explains them: the square from the
+// search step, portals from the check, the winning line from the result
+function renderWalkthroughMap(svg, trace, step) {
+  svg.innerHTML = "";
+  if (!trace) return;
+
+  const { range } = trace.search;
+  const extent = range * 1.5;
+  const line = extent / 100;
+  const toMap = (block) => ({ x: block.x - trace.point.x, y: block.z - trace.point.z });
+  const inView = (pos) => Math.abs(pos.x) <= extent && Math.abs(pos.y) <= extent;
+
+  svg.setAttribute("viewBox", `${-extent} ${-extent} ${extent * 2} ${extent * 2}`);
+  svg.setAttribute("aria-label", `Search square of ${range} blocks around ${formatBlock(trace.point)} in the ${trace.world}`);
+
+  if (step >= 1) {
+    svg.appendChild(svgElement("rect", {
+      x: -range, y: -range, width: range * 2, height: range * 2,
+      class: "fill-purple-500/10 stroke-purple-400", "stroke-width": line, "stroke-dasharray": `${line * 4} ${line * 3}`,
+    }));
+  }
 
-// ---- Top Input World Toggle ----
+  if (step >= 3 && trace.chosen) {
+    const pos = toMap(trace.chosen.block);
+    svg.appendChild(svgElement("line", { x1: 0, y1: 0, x2: pos.x, y2: pos.y, class: "stroke-green-400", "stroke-width": line }));
+  }
 
-function setupTopWorldButtons() {
-  const overworldBtn = document.getElementById("top-overworldBtn");
-  const netherBtn = document.getElementById("top-netherBtn");
+  if (step >= 2) {
+    trace.candidates.forEach((entry) => {
+      if (!entry.block) return;
+      const pos = toMap(entry.block);
+      if (!inView(pos)) return;
+
+      const marker = svgElement("circle", { cx: pos.x, cy: pos.y, r: extent / 30, class: WALKTHROUGH_MARKERS[entry.status] });
+      const title = svgElement("title", {});
+      title.textContent = describeCandidate(entry, trace).text;
+      marker.appendChild(title);
+      svg.appendChild(marker);
+    });
+  }
 
-  if (!overworldBtn || !netherBtn) {
-    console.warn("Top world buttons missing from DOM");
-    return;
+  const destination = trace.destination;
+  if (step >= 4 && destination && destination.block) {
+    const pos = toMap(destination.block);
+    svg.appendChild(svgElement("circle", {
+      cx: pos.x, cy: pos.y, r: extent / 15, class: "fill-none stroke-amber-300", "stroke-width": line,
+    }));
   }
 
-  overworldBtn.addEventListener("click", () => {
-    topWorld = WORLD_OVERWORLD;
-    updateTopWorldUI();
-    updateOutputCard();
-  });
+  const size = extent / 20;
+  svg.appendChild(svgElement("path", {
+    d: `M ${-size} ${-size} L ${size} ${size} M ${-size} ${size} L ${size} ${-size}`,
+    class: "stroke-purple-300", "stroke-width": line * 2,
+  }));
+}
 
-  netherBtn.addEventListener("click", () => {
-    topWorld = WORLD_NETHER;
-    updateTopWorldUI();
-    updateOutputCard();
+function renderWalkthroughStep() {
+  const list = document.getElementById("walkthroughSteps");
+  const content = document.getElementById("walkthroughStep");
+  const map = document.getElementById("walkthroughMap");
+  const prevBtn = document.getElementById("walkthroughPrevBtn");
+  const nextBtn = document.getElementById("walkthroughNextBtn");
+  const { steps, step } = walkthrough;
+
+  list.innerHTML = "";
+  steps.forEach((entry, i) => {
+    const item = document.createElement("li");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = i === step
+      ? "bg-purple-600 text-white rounded-lg px-3 py-1"
+      : "bg-gray-900 border border-gray-700 text-gray-300 rounded-lg px-3 py-1 hover:bg-gray-700 transition";
+    btn.textContent = `${i + 1}. ${entry.title}`;
+    if (i === step) btn.setAttribute("aria-current", "step");
+    btn.addEventListener("click", () => showWalkthroughStep(i));
+    item.appendChild(btn);
+    list.appendChild(item);
   });
 
-  updateTopWorldUI();
+  content.innerHTML = "";
+  if (steps[step]) content.appendChild(buildExplanationStep(steps[step], step + 1));
+
+  renderWalkthroughMap(map, walkthrough.trace, step);
+  prevBtn.disabled = step === 0;
+  nextBtn.disabled = step >= steps.length - 1;
 }
 
-function updateTopWorldUI() {
-  const overworldBtn = document.getElementById("top-overworldBtn");
-  const netherBtn = document.getElementById("top-netherBtn");
+// The step buttons are rebuilt, so focus moves to the new current one
+function showWalkthroughStep(step) {
+  const list = document.getElementById("walkthroughSteps");
+  const hadFocus = list.contains(document.activeElement);
 
-  if (!overworldBtn || !netherBtn) return;
+  walkthrough.step = Math.max(0, Math.min(walkthrough.steps.length - 1, step));
+  renderWalkthroughStep();
 
-  overworldBtn.classList.toggle(
-    "bg-purple-700",
-    topWorld === WORLD_OVERWORLD
-  );
-  overworldBtn.classList.toggle("text-white", topWorld === WORLD_OVERWORLD);
+  const current = list.querySelector('[aria-current="step"]');
+  if (hadFocus && current) current.focus();
+}
 
-  netherBtn.classList.toggle("bg-purple-700", topWorld === WORLD_NETHER);
-  netherBtn.classList.toggle("text-white", topWorld === WORLD_NETHER);
+function selectWalkthroughPortal(key) {
+  walkthrough.key = key;
+  const choice = getWalkthroughChoice();
+
+  walkthrough.trace = choice ? PortalEngine.explainPortalLink(choice.portal, choice.index, getEngineContext()) : null;
+  walkthrough.steps = walkthrough.trace
+    ? describeLinkTrace(walkthrough.trace, choice.portal, MAX_WALKTHROUGH_CANDIDATES)
+    : [];
+  walkthrough.step = Math.min(walkthrough.step, Math.max(0, walkthrough.steps.length - 1));
+
+  const select = document.getElementById("walkthroughPortal");
+  if (select.value !== key) select.value = key;
+  renderWalkthroughStep();
 }
 
-// ---- Add Portal From Top Inputs (Convert Button repurposed) ----
+// Reads storage again; keeps the chosen portal and step when they still exist
+function refreshWalkthrough() {
+  const select = document.getElementById("walkthroughPortal");
+  const empty = document.getElementById("walkthroughEmpty");
+  const body = document.getElementById("walkthroughBody");
+  const source = document.getElementById("walkthroughSource");
 
-function setupConvertButton() {
-  const btn = document.getElementById("top-convertBtn");
-  if (!btn) {
-    console.warn("Convert/Add button missing from DOM");
-    return;
-  }
+  walkthrough.choices = loadWalkthroughChoices();
 
-  // Repurpose as "Add Portal"
-  btn.textContent = "Add Portal";
+  const workspace = getActiveWorkspace();
+  source.textContent = `From workspace "${workspace ? workspace.name : "Default"}" with ${getRulesProfile().label} rules.`;
 
-  btn.addEventListener("click", () => {
-    try {
-      addPortalFromTopInputs();
-    } catch (err) {
-      console.error("Add portal failed:", err);
-    }
+  select.innerHTML = "";
+  walkthrough.choices.forEach((choice) => {
+    const option = document.createElement("option");
+    option.value = choice.key;
+    option.textContent = choice.label;
+    select.appendChild(option);
   });
 
-  const topX = document.getElementById("top-x");
-  const topY = document.getElementById("top-y");
-  const topZ = document.getElementById("top-z");
-  const topDest = document.getElementById("top-destination");
-  const topName = document.getElementById("top-name");
+  const hasChoices = walkthrough.choices.length > 0;
+  empty.classList.toggle("hidden", hasChoices);
+  body.classList.toggle("hidden", !hasChoices);
+  select.disabled = !hasChoices;
+  if (!hasChoices) return;
 
-  [topX, topY, topZ, topDest, topName].forEach((el) => {
-    if (!el) return;
-    el.addEventListener("input", updateOutputCard);
-  });
+  const fromHash = location.hash.slice(1);
+  const known = (key) => walkthrough.choices.some((choice) => choice.key === key);
+  const key = known(walkthrough.key) ? walkthrough.key : known(fromHash) ? fromHash : walkthrough.choices[0].key;
+  selectWalkthroughPortal(key);
 }
 
-function addPortalFromTopInputs() {
-  const nameEl = document.getElementById("top-name");
-  const destEl = document.getElementById("top-destination");
-  const xEl = document.getElementById("top-x");
-  const yEl = document.getElementById("top-y");
-  const zEl = document.getElementById("top-z");
+function setupWalkthrough() {
+  const ids = [
+    "walkthroughPortal", "walkthroughEmpty", "walkthroughBody", "walkthroughSource",
+    "walkthroughSteps", "walkthroughStep", "walkthroughMap", "walkthroughPrevBtn", "walkthroughNextBtn",
+  ];
+  if (ids.some((id) => !document.getElementById(id))) {
+    console.warn("Walkthrough elements missing from DOM");
+    return;
+  }
 
-  const name = nameEl.value.trim();
-  const destination = destEl.value.trim();
-  const xVal = xEl.value;
-  const yVal = yEl.value;
-  const zVal = zEl.value;
+  const select = document.getElementById("walkthroughPortal");
+  select.addEventListener("change", () => {
+    history.replaceState(null, "", `#${select.value}`);
+    selectWalkthroughPortal(select.value);
+  });
 
-  const x = xVal === "" ? null : Number(xVal);
-  const y = yVal === "" ? null : Number(yVal);
-  const z = zVal === "" ? null : Number(zVal);
+  document.getElementById("walkthroughPrevBtn").addEventListener("click", () => showWalkthroughStep(walkthrough.step - 1));
+  document.getElementById("walkthroughNextBtn").addEventListener("click", () => showWalkthroughStep(walkthrough.step + 1));
 
-  const newPortal = {
-    name,
-    destination,
-    x,
-    y,
-    z,
-    world: topWorld,
-    travel: { x: null, y: null, z: null, world: null },
-    closest: { name: null, distance: null },
-    target: { name: null, distance: null },
-  };
+  document.getElementById("walkthroughSteps").addEventListener("keydown", (e) => {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    e.preventDefault();
+    showWalkthroughStep(walkthrough.step + (e.key === "ArrowRight" ? 1 : -1));
+  });
 
-  portals.push(newPortal);
-  savePortalsToStorage();
-  renderPortalList();
+  // Links from a card's explanation open the page on that portal
+  window.addEventListener("hashchange", () => {
+    const key = location.hash.slice(1);
+    if (walkthrough.choices.some((choice) => choice.key === key)) {
+      walkthrough.step = 0;
+      selectWalkthroughPortal(key);
+    }
+  });
 
-  nameEl.value = "";
-  destEl.value = "";
-  xEl.value = "";
-  yEl.value = "";
-  zEl.value = "";
+  // Edits in a calculator tab show up here straight away
+  window.addEventListener("storage", refreshWalkthrough);
 
-  updateOutputCard();
+  refreshWalkthrough();
 }
 
-// ---- Optional Reset Button ----
+// ---- Offline App ----
 
-function resetPortals() {
-  if (!confirm("Are you sure you want to reset all portals?")) return;
+let updatePrompt = null;
 
-  portals = [createBlankPortal()];
-  savePortalsToStorage();
-  renderPortalList();
-  updateOutputCard();
-}
+function showUpdatePrompt(worker) {
+  if (updatePrompt) return;
 
+  updatePrompt = document.createElement("div");
+  updatePrompt.className = "fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-md bg-gray-800 border border-purple-600 rounded-lg shadow-lg px-4 py-3 flex items-center gap-3 text-sm text-gray-200";
+  updatePrompt.setAttribute("role", "status");
 
-function exportPortalsToFile() {
-  const data = JSON.stringify(portals, null, 2); // pretty JSON
-  const blob = new Blob([data], { type: "text/plain" });
-  const url = URL.createObjectURL(blob);
+  const text = document.createElement("span");
+  text.className = "flex-1";
+  text.textContent = "A new version of Nether Portal Linker is ready.";
 
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "portals.txt";
-  a.click();
+  const reloadBtn = document.createElement("button");
+  reloadBtn.type = "button";
+  reloadBtn.className = "bg-purple-600 hover:bg-purple-700 text-white font-medium px-3 py-1.5 rounded-lg transition";
+  reloadBtn.textContent = "Reload";
+  reloadBtn.addEventListener("click", () => {
+    // The page reloads once the new version takes over (controllerchange)
+    reloadBtn.disabled = true;
+    worker.postMessage({ type: "skipWaiting" });
+  });
 
-  URL.revokeObjectURL(url);
+  const laterBtn = document.createElement("button");
+  laterBtn.type = "button";
+  laterBtn.className = "bg-gray-800/60 border border-gray-700 rounded-lg px-3 py-1.5 text-gray-200 hover:bg-gray-700 transition";
+  laterBtn.textContent = "Later";
+  laterBtn.addEventListener("click", () => updatePrompt.classList.add("hidden"));
+
+  updatePrompt.append(text, reloadBtn, laterBtn);
+  document.body.appendChild(updatePrompt);
 }
 
-function importPortalsFromFile(file) {
-  const reader = new FileReader();
+function watchForAppUpdate(registration) {
+  // Only an update when a worker already controls the page; the first
+  // install just fills the cache
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
 
-  reader.onload = (event) => {
-    try {
-      const imported = JSON.parse(event.target.result);
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    if (!worker) return;
 
-      if (!Array.isArray(imported)) {
-        alert("Invalid portal file format.");
-        return;
-      }
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+    });
+  });
 
-      portals = imported;
-      savePortalsToStorage();
-      renderPortalList();
-      updateOutputCard();
-    } catch (err) {
-      alert("Failed to import portal data.");
-      console.error(err);
-    }
-  };
+  // Tabs stay open for a whole play session, so check again when one comes back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") registration.update().catch(() => {});
+  });
+}
 
-  reader.readAsText(file);
+function setupOfflineApp() {
+  // Service workers need http(s); a page opened from disk still works online
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // Portal data is already in localStorage, so reloading loses nothing
+    if (!hadController || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+
+  navigator.serviceWorker.register("sw.js")
+    .then(watchForAppUpdate)
+    .catch((err) => console.error("Service worker registration failed:", err));
 }
 
 // ---- App Bootstrap ----
 
 document.addEventListener("DOMContentLoaded", () => {
+  setupOfflineApp();
+
   try {
+    // how-it-works.html shares this script but only has the walkthrough
+    if (!document.getElementById("portalList")) {
+      setupWalkthrough();
+      return;
+    }
+
     initializePortals();
     renderPortalList();
+    setupVirtualPortalList();
+    setupDiagnosticsPanel();
+    setupListControls();
+    setupCardActions();
+    setupWorkspaceControls();
+    setupEditHistory();
     setupTopWorldButtons();
+    setupRulesProfileSelect();
+    setupReturnPlanner();
+    setupRoutePlanner();
+    setupHighwayPlanner();
+    setupBuildCommands();
+    setupPortalMap();
     setupConvertButton();
+    setupTopDestinationPicker();
+    setupSmartPaste();
+    setupTopExplanation();
     updateOutputCard();
 
     // Import / Export
     document.getElementById("exportBtn").addEventListener("click", exportPortalsToFile);
     document.getElementById("importFile").addEventListener("change", (e) => {
       if (e.target.files.length > 0) importPortalsFromFile(e.target.files[0]);
+      e.target.value = "";
     });
+    setupImportReport();
+    setupWaypointControls();
+    setupTableControls();
+    setupShareLinks();
+    setupTabSync();
+    setupTeamSync();
 
     // Reset
     document.getElementById("resetBtn").addEventListener("click", resetPortals);
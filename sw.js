@@ -0,0 +1,66 @@
+// Service worker: keeps the site usable offline by serving the app files from
+// a cache. Portal data lives in the page's localStorage and never passes
+// through here; requests to other origins (such as a team sync server) are
+// left alone.
+
+// Bump on every deploy: a changed sw.js is what tells open pages an update is ready
+const CACHE_VERSION = "v2";
+const CACHE_PREFIX = "portal-linker-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const APP_FILES = [
+  "./",
+  "index.html",
+  "how-it-works.html",
+  "script.js",
+  "portal-engine.js",
+  "src/output.css",
+  "style.css",
+  "manifest.webmanifest",
+  "assets/images/CCD.png",
+];
+
+self.addEventListener("install", (event) => {
+  // Skip the HTTP cache so a new version never stores stale copies
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_FILES.map((url) => new Request(url, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A new version waits until the page asks for it, so nobody is reloaded mid-edit
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skipWaiting") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+
+      try {
+        return await fetch(request);
+      } catch (err) {
+        // Offline and not cached: pages fall back to the calculator
+        if (request.mode === "navigate") {
+          const page = await cache.match("index.html");
+          if (page) return page;
+        }
+        throw err;
+      }
+    })
+  );
+});